@@ -1,53 +1,65 @@
-import React, { useMemo, useState, useRef } from "react";
+import React, { useMemo, useState, useRef, useEffect, useCallback } from "react";
 import Papa from "papaparse";
-import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend, BarChart, Bar } from "recharts";
+import { ResponsiveContainer, LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend, BarChart, Bar, ReferenceDot } from "recharts";
 import Logo from "./components/Logo";
+import { ACCEPTED_EXTENSIONS, isAcceptedFile } from "./lib/reportFiles";
+import { mergeSources } from "./lib/mergeSources";
+import SourceFileList from "./components/SourceFileList";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import ReconciliationBadge from "./components/ReconciliationBadge";
+import { reconcileReport } from "./lib/reconcileReport";
+import SavedDatasetsList from "./components/SavedDatasetsList";
+import { listDatasets, saveDataset, loadDataset, deleteDataset, loadSession, saveSession } from "./lib/datasetStore";
+import { DATE_FIELDS, normalizeFilterState, toggleSort, filtersToQuery, filtersFromQuery, hasFilterQuery } from "./lib/filterState";
+import PresetsMenu from "./components/PresetsMenu";
+import Pagination from "./components/Pagination";
+import { readJson, usePersistedState } from "./lib/localStore";
+import { normalizePresets, savePreset, renamePreset, deletePreset, setDefaultPreset, exportPresets, importPresets } from "./lib/filterPresets";
+import UploadProgressList from "./components/UploadProgressList";
+import { EMPTY_AGGREGATES } from "./lib/aggregate";
+import SortableHeader from "./components/SortableHeader";
+import PaymentGroupRows from "./components/PaymentGroupRows";
+import ComparisonControls from "./components/ComparisonControls";
+import KpiDelta from "./components/KpiDelta";
+import { alignTrend, mergeByKey } from "./lib/comparison";
+import TrendControls from "./components/TrendControls";
+import { GRANULARITIES, normalizeTrendOptions, withMovingAverage } from "./lib/trend";
+import DateRangeFilter from "./components/DateRangeFilter";
+import { formatDay } from "./lib/dates";
+import { payerCategoryOf, payerCategoryLabel } from "./lib/payerCategory";
+import PayerSplitPanel from "./components/PayerSplitPanel";
+import MultiSelectFilter from "./components/MultiSelectFilter";
+import QueryBuilder from "./components/QueryBuilder";
+import { EMPTY_QUERY } from "./lib/queryBuilder";
+import { normalizeAliasMap, aliasSources } from "./lib/facilityAliases";
+import FacilityAliasEditor from "./components/FacilityAliasEditor";
+import { normalizePayerAliases, applyPayerAliases } from "./lib/payerAliases";
+import PayerMergePanel from "./components/PayerMergePanel";
+import UnappliedWorkQueue from "./components/UnappliedWorkQueue";
+import ExceptionsPanel from "./components/ExceptionsPanel";
+import { normalizeWorkItems, updateWorkItem, AGING_BUCKETS } from "./lib/workQueue";
+import DuplicatesPanel from "./components/DuplicatesPanel";
+import { findDuplicateGroups, normalizeDismissals, DEFAULT_WINDOW_DAYS } from "./lib/duplicates";
+import BankReconciliationPanel from "./components/BankReconciliationPanel";
+import {
+  normalizeBankStatement,
+  normalizeBankMatches,
+  depositPayments,
+  reconcileDeposits,
+  matchManually,
+  unmatch,
+  EMPTY_BANK_MATCHES,
+} from "./lib/bankDeposits";
+import AnomalyAlertsPanel from "./components/AnomalyAlertsPanel";
+import { alertsInFilters, findAnomalies, normalizeAnomalySettings } from "./lib/anomalies";
 
 // --- Helpers ---------------------------------------------------------------
-function parseMoney(v) {
-  if (v == null) return 0;
-  const n = String(v).replace(/[^0-9.\-]/g, "");
-  const f = parseFloat(n);
-  return isNaN(f) ? 0 : f;
-}
-
-function detectHeaderRow(rows) {
-  for (let i = 0; i < Math.min(30, rows.length); i++) {
-    const row = rows[i] || [];
-    const rowLower = row.map((c) => String(c || "").toLowerCase());
-    // Check for both "payment id" (Format 1) and "paymentid" (Format 2)
-    if (rowLower.some((c) => c.includes("payment id") || c.includes("paymentid"))) return i;
-  }
-  return 0; // fallback
-}
-
-function idxAny(header, names) {
-  const lower = header.map(h => String(h || "").toLowerCase());
-  const targets = names.map(n => n.toLowerCase());
-  return lower.findIndex(h => targets.includes(h));
-}
-
-function toDate(s) {
-  if (!s) return null;
-  const d = new Date(s);
-  return isNaN(d.getTime()) ? null : d;
-}
-
-function splitPayer(payerName) {
-  if (!payerName) return { payerCategory: null, payer: null };
-  const s = String(payerName);
-  if (s.includes(" - ")) {
-    const parts = s.split(" - ");
-    const cat = parts.shift();
-    const rest = parts.join(" - ");
-    return { payerCategory: (cat || "").trim(), payer: (rest || "").trim() };
-  }
-  return { payerCategory: null, payer: s.trim() };
+function csvDownload(rows, filename) {
+  fileDownload(Papa.unparse(rows), filename, "text/csv;charset=utf-8;");
 }
 
-function csvDownload(rows, filename) {
-  const csv = Papa.unparse(rows);
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+function fileDownload(text, filename, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -56,211 +68,335 @@ function csvDownload(rows, filename) {
   URL.revokeObjectURL(url);
 }
 
-// TheraOffice normalization: kill NBSPs, collapse spaces, lowercase for matching
-function normalizeFacility(s) {
-  return String(s ?? "")
-    .replace(/\u00A0/g, " ") // NBSP -> space
-    .replace(/\s+/g, " ")    // collapse spaces
-    .trim()
-    .toLowerCase();
-}
+// Filtered rows table, in display order; every column sorts (comparators in lib/aggregate)
+const TABLE_COLUMNS = [
+  { key: "paymentId", label: "Payment ID" },
+  { key: "facility", label: "Facility" },
+  { key: "payerCategory", label: "Payer Category" },
+  { key: "payer", label: "Payer" },
+  { key: "paymentType", label: "Payment Type" },
+  { key: "checkNumber", label: "Check #" },
+  { key: "dateEntered", label: "Date Entered" },
+  { key: "paymentDate", label: "Payment Date" },
+  { key: "paymentAmount", label: "Amount", align: "right" },
+  { key: "appliedAmount", label: "Applied", align: "right" },
+  { key: "unappliedAmount", label: "Unapplied", align: "right" },
+  { key: "notes", label: "Notes" },
+];
 
 // --- Component -------------------------------------------------------------
 export default function PaymentsDashboard() {
-  const [rows, setRows] = useState([]);
+  const [sources, setSources] = useState([]); // [{ id, fileName, rows, warnings, totals }] in upload order
   const [search, setSearch] = useState("");
   const [payerFilter, setPayerFilter] = useState([]);
+  const [payerCategories, setPayerCategories] = useState([]); // see lib/payerCategory
   const [paymentTypes, setPaymentTypes] = useState([]);
   const [facilityFilter, setFacilityFilter] = useState([]); // holds normalized facility keys
+  const [payerMode, setPayerMode] = useState("include"); // include / exclude the picked values
+  const [typeMode, setTypeMode] = useState("include");
+  const [facilityMode, setFacilityMode] = useState("include");
   const [minAmt, setMinAmt] = useState("");
   const [maxAmt, setMaxAmt] = useState("");
+  const [query, setQuery] = useState(EMPTY_QUERY); // advanced AND / OR conditions
   const [fromDate, setFromDate] = useState(""); // yyyy-mm-dd
   const [toDateFilter, setToDateFilter] = useState("");
-  const [fileName, setFileName] = useState("");
+  const [dateField, setDateField] = useState("dateEntered"); // which date From / To (and the trend chart) use
+  const [missingDates, setMissingDates] = useState("exclude"); // see MISSING_DATE_OPTIONS
   const [isDragging, setIsDragging] = useState(false);
   const [isFiltersOpen, setIsFiltersOpen] = useState(true);
   const [darkMode, setDarkMode] = useState(false);
-  const [sortBy, setSortBy] = useState(null); // 'paymentId' | 'paymentDate' | 'dateEntered' | null
-  const [sortDirection, setSortDirection] = useState('asc'); // 'asc' | 'desc'
+  const [sorts, setSorts] = useState([]); // [{ key, direction }] for the Filtered rows table, primary first
+  const [datasetId, setDatasetId] = useState(null); // IndexedDB id of the open dataset
+  const [savedDatasets, setSavedDatasets] = useState([]);
+  const [isRestored, setIsRestored] = useState(false); // don't persist anything until the last session is back
+  const [page, setPage] = useState(0); // Filtered rows table, 0-based
+  const [pageSize, setPageSize] = useState(100);
+  const [uploads, setUploads] = useState([]); // [{ id, fileName, progress }] still parsing in a worker
+  const [aggregateResult, setAggregateResult] = useState(null); // { rows, requestId, aggregates } from the aggregate worker
+  const [aggregateError, setAggregateError] = useState(null); // { requestId, message } when the worker failed a request
+  const [storageError, setStorageError] = useState(null); // last failed save / load in browser storage, until dismissed
+  const [pendingRequestId, setPendingRequestId] = useState(0);
+  const [expandedPayments, setExpandedPayments] = useState(() => new Set());
+  const [compare, setCompare] = useState({ mode: "off", fromDate: "", toDate: "", datasetId: "" }); // see lib/comparison
+  const [compareRows, setCompareRows] = useState(null); // merged rows of the saved dataset picked for comparison
+
+  // Storage fails in the background (auto-save, quota, private browsing), so failures go to a banner
+  // rather than an alert per attempt. reportStorageError(action) is a catch handler.
+  const reportStorageError = useCallback((action) => (err) => {
+    setStorageError(`${action}: ${err && err.message ? err.message : String(err)}`);
+  }, []);
+  const reportSettingsError = useMemo(() => reportStorageError("Could not save settings"), [reportStorageError]);
+
+  // Settings kept in localStorage: [value, update], where update also saves (see lib/localStore)
+  const [presetState, updatePresets] = usePersistedState("filterPresets", normalizePresets, reportSettingsError);
+  const [isGrouped, updateGrouped] = usePersistedState("groupedView", (v) => v === true, reportSettingsError); // Filtered rows: one row per payment
+  const [trendOptions, updateTrendOptions] = usePersistedState("trendOptions", normalizeTrendOptions, reportSettingsError);
+  const [facilityAliases, updateFacilityAliases] = usePersistedState("facilityAliases", normalizeAliasMap, reportSettingsError);
+  const [payerAliases, updatePayerAliases] = usePersistedState("payerAliases", normalizePayerAliases, reportSettingsError);
+  const [workItems, updateWorkItems] = usePersistedState("workQueue", normalizeWorkItems, reportSettingsError); // by paymentId
+  const [duplicateWindow, updateDuplicateWindow] = usePersistedState(
+    "duplicateWindowDays",
+    (n) => (Number.isInteger(n) && n >= 0 ? n : DEFAULT_WINDOW_DAYS),
+    reportSettingsError
+  );
+  const [duplicateDismissals, updateDuplicateDismissals] = usePersistedState("duplicateDismissals", normalizeDismissals, reportSettingsError);
+  const [bankStatement, updateBankStatement] = usePersistedState("bankStatement", normalizeBankStatement, reportSettingsError);
+  const [bankMatches, updateBankMatches] = usePersistedState("bankMatches", normalizeBankMatches, reportSettingsError);
+  const [anomalySettings, updateAnomalySettings] = usePersistedState("anomalySettings", normalizeAnomalySettings, reportSettingsError);
+
   const fileInputRef = useRef(null);
+  const nextSourceId = useRef(1);
+  const persistedSources = useRef(null); // sources as last read from / written to IndexedDB
+  const lastUrlPush = useRef(0);
+  const uploadWorkers = useRef(new Map()); // upload id -> parse worker
+  const aggregateWorker = useRef(null);
+  const sentRows = useRef({ version: 0, rows: [], compareRows: null }); // rows the aggregate worker currently holds
+  const lastRequestId = useRef(0);
+
+  // All filter + sort state as one object (see lib/filterState)
+  const filterState = useMemo(() => ({
+    search, payerFilter, payerCategories, paymentTypes, facilityFilter, payerMode, typeMode, facilityMode, minAmt, maxAmt, query, fromDate, toDate: toDateFilter, dateField, missingDates, sorts,
+  }), [search, payerFilter, payerCategories, paymentTypes, facilityFilter, payerMode, typeMode, facilityMode, minAmt, maxAmt, query, fromDate, toDateFilter, dateField, missingDates, sorts]);
+
+  const applyFilterState = useCallback((input) => {
+    const f = normalizeFilterState(input);
+    setSearch(f.search);
+    setPayerFilter(f.payerFilter);
+    setPayerCategories(f.payerCategories);
+    setPaymentTypes(f.paymentTypes);
+    setFacilityFilter(f.facilityFilter);
+    setPayerMode(f.payerMode);
+    setTypeMode(f.typeMode);
+    setFacilityMode(f.facilityMode);
+    setMinAmt(f.minAmt);
+    setMaxAmt(f.maxAmt);
+    setQuery(f.query);
+    setFromDate(f.fromDate);
+    setToDateFilter(f.toDate);
+    setDateField(f.dateField);
+    setMissingDates(f.missingDates);
+    setSorts(f.sorts);
+  }, []);
+
+  const refreshSavedDatasets = useCallback(() => {
+    listDatasets().then(setSavedDatasets).catch(reportStorageError("Could not list saved datasets"));
+  }, [reportStorageError]);
+
+  // Restore the last session (open dataset + filters) once on load
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const session = await loadSession();
+        const restored = session && session.datasetId ? await loadDataset(session.datasetId) : null;
+        if (cancelled) return;
+        if (restored) {
+          persistedSources.current = restored;
+          setSources(restored);
+          setDatasetId(session.datasetId);
+        }
+        // A shared link wins over the filters open last time; the default view only fills in when there
+        // is no saved session (first visit, or storage was cleared)
+        const presets = normalizePresets(readJson("filterPresets", null));
+        const defaultPreset = presets.presets.find((p) => p.id === presets.defaultId);
+        if (hasFilterQuery(window.location.search)) applyFilterState(filtersFromQuery(window.location.search));
+        else if (session && session.filters) applyFilterState(session.filters);
+        else if (defaultPreset) applyFilterState(defaultPreset.filters);
+      } catch (err) {
+        if (!cancelled) reportStorageError("Could not restore the last session")(err);
+      } finally {
+        if (!cancelled) {
+          setIsRestored(true);
+          refreshSavedDatasets();
+        }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [applyFilterState, refreshSavedDatasets, reportStorageError]);
+
+  // Auto-save the open dataset whenever its files change; removing the last file deletes it
+  useEffect(() => {
+    if (!isRestored || !datasetId || sources === persistedSources.current) return;
+    persistedSources.current = sources;
+    const save = sources.length > 0 ? saveDataset(datasetId, sources) : deleteDataset(datasetId);
+    save.then(refreshSavedDatasets).catch(reportStorageError("Could not save the dataset"));
+    if (sources.length === 0) setDatasetId(null);
+  }, [isRestored, datasetId, sources, refreshSavedDatasets, reportStorageError]);
+
+  // Mirror filter + sort state into the URL. Each change is a history entry so back/forward walks
+  // through them; rapid changes (typing in search) replace the entry instead of flooding history.
+  useEffect(() => {
+    if (!isRestored) return;
+    const query = filtersToQuery(filterState, window.location.search);
+    if (query === window.location.search) return;
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    const now = Date.now();
+    if (now - lastUrlPush.current < 1000) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+    lastUrlPush.current = now;
+  }, [isRestored, filterState]);
+
+  useEffect(() => {
+    const onPopState = () => applyFilterState(filtersFromQuery(window.location.search));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [applyFilterState]);
+
+  useEffect(() => {
+    if (!isRestored) return;
+    saveSession({ datasetId, filters: filterState }).catch(reportStorageError("Could not save the session"));
+  }, [isRestored, datasetId, filterState, reportStorageError]);
+
+  const updateWorkQueueItem = (paymentId, patch) => updateWorkItems(updateWorkItem(workItems, paymentId, patch));
+
+  const importPresetFile = (file) => {
+    file.text()
+      .then((text) => updatePresets(importPresets(presetState, text)))
+      .catch(reportStorageError("Could not import views"));
+  };
+
+  const openDataset = async (id) => {
+    try {
+      const restored = await loadDataset(id);
+      if (!restored) return;
+      persistedSources.current = restored;
+      setSources(restored);
+      setDatasetId(id);
+    } catch (err) {
+      reportStorageError("Could not open the saved dataset")(err);
+    }
+  };
+
+  const removeDataset = async (id) => {
+    try {
+      await deleteDataset(id);
+    } catch (err) {
+      reportStorageError("Could not delete the saved dataset")(err);
+    }
+    if (id === datasetId) {
+      setDatasetId(null);
+      setSources([]);
+    }
+    refreshSavedDatasets();
+  };
+
+  // Close the open dataset (it stays in Saved datasets) and start from an empty one
+  const startNewDataset = () => {
+    setDatasetId(null);
+    setSources([]);
+  };
 
-  const handleFile = (file) => {
-    if (!file) return;
-    setFileName(file.name);
-    onUpload(file);
+  // Every upload is added to the current dataset; overlapping rows are de-duplicated in mergeSources
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []).filter((f) => isAcceptedFile(f.name));
+    for (const file of files) onUpload(file);
   };
 
+  // Each file is read and parsed in its own worker so a large report never freezes the page
   const onUpload = (file) => {
-    Papa.parse(file, {
-      complete: (result) => {
-        const raw = result.data || [];
-        const arrayRows = raw.map((r) => (Array.isArray(r) ? r : Object.values(r)));
-        const headerRowIdx = detectHeaderRow(arrayRows);
-        const header = (arrayRows[headerRowIdx] || []).map((c) => String(c || "").trim());
-        const dataRows = arrayRows.slice(headerRowIdx + 1);
-        const idx = (name) => header.findIndex((h) => h.toLowerCase() === name.toLowerCase());
-
-        // Detect format: Format 2 has "payercategory" field (distinguishing feature), Format 1 has "Payer Name" (combined)
-        const headerLower = header.map(h => h.toLowerCase());
-        const hasPayerCategory = headerLower.some(h => h.includes("payercategory"));
-        const hasPayerName = headerLower.some(h => h.includes("payer name"));
-        const isFormat2 = hasPayerCategory || (!hasPayerName && headerLower.some(h => h.replace(/\s+/g, "") === "paymentid"));
-        
-        let cleaned = [];
-
-        if (isFormat2) {
-          // Format 2: filtered_payments.csv - Simple format with already separated fields
-          // May include facility, appliedAmount, unappliedAmount if exported from this app
-          const iPaymentId = idx("paymentId");
-          const iPayerCategory = idx("payerCategory");
-          const iPayer = idx("payer");
-          const iPaymentType = idx("paymentType");
-          const iCheck = idx("checkNumber");
-          const iDateEntered = idx("dateEntered");
-          const iPaymentDate = idx("paymentDate");
-          const iPaymentAmount = idx("paymentAmount");
-          const iNotes = idx("notes");
-          const iFacility = idx("facility");
-          const iAppliedAmount = idx("appliedAmount");
-          const iUnappliedAmount = idx("unappliedAmount");
-
-          for (let i = 0; i < dataRows.length; i++) {
-            const r = dataRows[i] || [];
-            const pid = r[iPaymentId];
-            if (!pid || String(pid).toLowerCase() === "paymentid") continue;
-            if (!/^\d+$/.test(String(pid))) continue;
-
-            const facilityVal = iFacility >= 0 ? (r[iFacility] || "").toString().trim() : "";
-            const appliedVal = iAppliedAmount >= 0 ? parseMoney(r[iAppliedAmount]) : 0;
-            
-            cleaned.push({
-              paymentId: String(pid),
-              payerCategory: (r[iPayerCategory] || "").toString().trim(),
-              payer: (r[iPayer] || "").toString().trim(),
-              paymentType: (r[iPaymentType] || "Unknown").toString(),
-              checkNumber: (r[iCheck] || "").toString(),
-              dateEntered: toDate(r[iDateEntered]),
-              paymentDate: toDate(r[iPaymentDate]),
-              paymentAmount: parseMoney(r[iPaymentAmount]),
-              notes: (r[iNotes] || "").toString(),
-              facility: facilityVal,
-              facilityNorm: facilityVal ? normalizeFacility(facilityVal) : "",
-              appliedAmount: Number.isFinite(appliedVal) ? appliedVal : 0,
-            });
-          }
-        } else {
-          // Format 1: Collected Payments format - Has facility/applied blocks
-          const iPaymentId = idx("Payment ID");
-          const iPayerName = idx("Payer Name");
-          const iPaymentType = idx("Payment Type");
-          const iCheck = idx("Check #");
-          const iDateEntered = idx("Date Entered");
-          const iPaymentDate = idx("Payment Date");
-          const iPayment = idx("Payment");
-          const iNotes = idx("Notes");
-
-          // Iterate through rows; for each payment, attach following Facility/Applied blocks
-          for (let i = 0; i < dataRows.length; i++) {
-            const r = dataRows[i] || [];
-            const pid = r[iPaymentId];
-            const paymentLabel = (r[iPayment] ?? "").toString();
-            if (!pid || String(pid).toLowerCase() === "payment id") continue;
-            if (paymentLabel && /total/i.test(paymentLabel)) continue;
-            if (!/^\d+$/.test(String(pid))) continue;
-
-            const { payerCategory: cat, payer } = splitPayer(r[iPayerName]);
-            const base = {
-              paymentId: String(pid),
-              payerCategory: cat || "",
-              payer: payer || "",
-              paymentType: (r[iPaymentType] || "Unknown").toString(),
-              checkNumber: r[iCheck] || "",
-              dateEntered: toDate(r[iDateEntered]),
-              paymentDate: toDate(r[iPaymentDate]),
-              paymentAmount: parseMoney(r[iPayment]),
-              notes: r[iNotes] || "",
-            };
-
-            // Look ahead for a "Facility / Applied" header row, then capture the next value rows
-            let j = i + 1;
-            let foundFacilityBlock = false;
-            while (j < dataRows.length) {
-              const row = dataRows[j] || [];
-              const joinedLower = row.map((c) => String(c || "").trim().toLowerCase());
-              // Stop when we hit the next payment section header or a new payment row
-              if (joinedLower.includes("payment id") || (/^\d+$/.test(String(row[iPaymentId] || "")))) break;
-
-              // Detect the inline Facility/Applied header row
-              const facilityHeaderIdx = joinedLower.indexOf("facility");
-              const appliedHeaderIdx = joinedLower.indexOf("applied");
-              if (facilityHeaderIdx !== -1 && appliedHeaderIdx !== -1) {
-                // Following rows until a blank-seeming line or next section: capture facility/applied
-                let k = j + 1;
-                while (k < dataRows.length) {
-                  const valRow = dataRows[k] || [];
-                  const valLower = valRow.map((c) => String(c || "").trim().toLowerCase());
-                  if (valLower.includes("facility total:")) { k++; continue; }
-                  // break when we reach an empty separator or next section
-                  const isSeparator = valLower.every((c) => c === "");
-                  if (isSeparator) { k++; continue; }
-                  if (valLower.includes("payment id") || (/^\d+$/.test(String(valRow[iPaymentId] || "")))) break;
-
-                  const facilityVal = valRow[facilityHeaderIdx];
-                  const appliedVal = valRow[appliedHeaderIdx];
-                  if (facilityVal) {
-                    foundFacilityBlock = true;
-                    cleaned.push({
-                      ...base,
-                      facility: String(facilityVal),
-                      facilityNorm: normalizeFacility(facilityVal),
-                      appliedAmount: parseMoney(appliedVal),
-                    });
-                  }
-                  k++;
-                }
-                j = k;
-                break;
-              }
-              j++;
-            }
-
-            // If no facility block found, still emit the base row without facility
-            if (!foundFacilityBlock) {
-              cleaned.push({
-                ...base,
-                facility: "",
-                facilityNorm: "",
-                appliedAmount: 0,
-              });
-            }
-          }
-        }
+    const id = `src-${Date.now()}-${nextSourceId.current++}`;
+    const worker = new Worker(new URL("./workers/parseReport.worker.js", import.meta.url), { type: "module" });
+    uploadWorkers.current.set(id, worker);
+    setUploads((prev) => [...prev, { id, fileName: file.name, progress: 0 }]);
 
-        // Compute unapplied per payment (collected - sum(applied across facilities))
-        const appliedByPayment = new Map();
-        for (const row of cleaned) {
-          const key = row.paymentId;
-          const applied = Number.isFinite(row.appliedAmount) ? row.appliedAmount : 0;
-          appliedByPayment.set(key, (appliedByPayment.get(key) || 0) + applied);
-        }
-        const withUnapplied = cleaned.map((row) => {
-          const totalApplied = appliedByPayment.get(row.paymentId) || 0;
-          const unapplied = row.paymentAmount - totalApplied;
-          return { ...row, unappliedAmount: Number.isFinite(unapplied) ? unapplied : 0 };
-        });
-
-        setRows(withUnapplied);
-      },
-      skipEmptyLines: true,
-      error: (err) => alert("Parse error: " + (err && err.message ? err.message : String(err))),
-    });
+    const fail = (message) => {
+      finishUpload(id);
+      alert(`Parse error in ${file.name}: ` + message);
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") {
+        setUploads((prev) => prev.map((u) => (u.id === id ? { ...u, progress: msg.progress } : u)));
+      } else if (msg.type === "done") {
+        finishUpload(id);
+        addSource(id, file.name, msg);
+      } else if (msg.type === "error") {
+        fail(msg.message);
+      }
+    };
+    worker.onerror = (e) => fail(e.message || "worker failed");
+    worker.postMessage({ file });
+  };
+
+  // Also used to cancel: terminating the worker drops the file
+  const finishUpload = (id) => {
+    const worker = uploadWorkers.current.get(id);
+    if (worker) worker.terminate();
+    uploadWorkers.current.delete(id);
+    setUploads((prev) => prev.filter((u) => u.id !== id));
+  };
+
+  const addSource = (id, fileName, { payments, warnings, totals }) => {
+    setSources((prev) => [...prev, { id, fileName, rows: payments, warnings, totals }]);
+    setDatasetId((prev) => prev || `ds-${Date.now()}`);
   };
 
+  useEffect(() => {
+    const workers = uploadWorkers.current;
+    return () => {
+      for (const worker of workers.values()) worker.terminate();
+      workers.clear();
+    };
+  }, []);
+
+  const removeSource = (id) => setSources((prev) => prev.filter((s) => s.id !== id));
+
+  // Facility aliases apply per file before merging, so renamed clinics dedupe across overlapping files
+  const merged = useMemo(() => mergeSources(aliasSources(sources, facilityAliases)), [sources, facilityAliases]);
+  // Approved payer merges (see lib/payerAliases) rename payers after merging
+  const rows = useMemo(() => applyPayerAliases(merged.rows, payerAliases), [merged, payerAliases]);
+
+  // Across every loaded payment, not just the filtered ones: a double posting can straddle any filter
+  const duplicateGroups = useMemo(() => findDuplicateGroups(rows, duplicateWindow), [rows, duplicateWindow]);
+
+  // Deposits are matched against every loaded payment; the statement's own dates bound what is unmatched
+  const depositReconciliation = useMemo(
+    () => (bankStatement ? reconcileDeposits(depositPayments(rows), bankStatement.deposits, bankMatches) : null),
+    [rows, bankStatement, bankMatches]
+  );
+
+  // Baselines need the whole history, so alerts ignore the filters; they follow the chart's date field
+  const anomalies = useMemo(() => findAnomalies(rows, dateField, anomalySettings), [rows, dateField, anomalySettings]);
+  // The chart shows filtered totals, so it only marks alerts for the facilities and types on it
+  const alertsByDay = useMemo(() => {
+    const m = new Map();
+    for (const a of alertsInFilters(anomalies, filterState)) m.set(a.day, [...(m.get(a.day) || []), a]);
+    return m;
+  }, [anomalies, filterState]);
+
+  // Payments per payer name as parsed, for the merge suggestions
+  const rawPayerCounts = useMemo(() => {
+    const seen = new Set();
+    const counts = new Map();
+    for (const r of merged.rows) {
+      if (!r.payer || seen.has(r.paymentId)) continue;
+      seen.add(r.paymentId);
+      counts.set(r.payer, (counts.get(r.payer) || 0) + 1);
+    }
+    return counts;
+  }, [merged]);
+
+  // Printed report totals vs parsed rows, per file (unfiltered)
+  const reconciliation = useMemo(
+    () => sources.map((s) => ({ sourceId: s.id, fileName: s.fileName, ...reconcileReport(s.rows, s.totals) })),
+    [sources]
+  );
+
+  const parseWarnings = useMemo(
+    () => sources.flatMap((s) => s.warnings.map((w) => ({ fileName: s.fileName, ...w }))),
+    [sources]
+  );
+
   const uniquePayers = useMemo(() => {
     const s = new Set(rows.map((r) => r.payer).filter(Boolean));
     return Array.from(s).sort();
   }, [rows]);
 
+  const uniqueCategories = useMemo(() => {
+    const s = new Set(rows.map(payerCategoryOf));
+    return Array.from(s).sort();
+  }, [rows]);
+
   const uniqueTypes = useMemo(() => {
     const s = new Set(rows.map((r) => r.paymentType).filter(Boolean));
     return Array.from(s).sort();
@@ -278,234 +414,221 @@ export default function PaymentsDashboard() {
       .sort((a, b) => a.label.localeCompare(b.label));
   }, [rows]);
 
-  const filtered = useMemo(() => {
-    const min = minAmt ? parseFloat(minAmt) : -Infinity;
-    const max = maxAmt ? parseFloat(maxAmt) : Infinity;
-    const q = search.trim().toLowerCase();
-    const from = fromDate ? new Date(fromDate + "T00:00:00") : null;
-    const to = toDateFilter ? new Date(toDateFilter + "T23:59:59") : null;
-
-    return rows.filter((r) => {
-      if (payerFilter.length && !payerFilter.includes(r.payer)) return false;
-      if (paymentTypes.length && !paymentTypes.includes(r.paymentType)) return false;
-
-      // ✅ robust facility filter using normalized key
-      if (facilityFilter.length && !facilityFilter.includes(r.facilityNorm)) return false;
-
-      if (r.paymentAmount < min || r.paymentAmount > max) return false;
-      if (q && !(String(r.payer || "").toLowerCase().includes(q) || String(r.notes || "").toLowerCase().includes(q))) return false;
-      if (from && r.dateEntered && r.dateEntered < from) return false;
-      if (to && r.dateEntered && r.dateEntered > to) return false;
-      return true;
-    });
-  }, [rows, payerFilter, paymentTypes, facilityFilter, minAmt, maxAmt, search, fromDate, toDateFilter]);
-
-  const handleSort = (column) => {
-    if (sortBy === column) {
-      // Toggle direction if clicking the same column
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
-    } else {
-      // Set new column and default to ascending
-      setSortBy(column);
-      setSortDirection('asc');
-    }
-  };
+  // { value, label } lists for the pickers; facilities filter on the normalized key
+  const payerOptions = useMemo(() => uniquePayers.map((p) => ({ value: p, label: p })), [uniquePayers]);
+  const typeOptions = useMemo(() => uniqueTypes.map((t) => ({ value: t, label: t })), [uniqueTypes]);
+  const facilityOptions = useMemo(() => uniqueFacilities.map((f) => ({ value: f.norm, label: f.label })), [uniqueFacilities]);
 
-  const sortedFiltered = useMemo(() => {
-    if (!sortBy) return filtered;
-    
-    const sorted = [...filtered].sort((a, b) => {
-      let aVal, bVal;
-      
-      if (sortBy === 'paymentId') {
-        aVal = parseInt(a.paymentId) || 0;
-        bVal = parseInt(b.paymentId) || 0;
-      } else if (sortBy === 'paymentDate') {
-        aVal = a.paymentDate ? a.paymentDate.getTime() : 0;
-        bVal = b.paymentDate ? b.paymentDate.getTime() : 0;
-      } else if (sortBy === 'dateEntered') {
-        aVal = a.dateEntered ? a.dateEntered.getTime() : 0;
-        bVal = b.dateEntered ? b.dateEntered.getTime() : 0;
-      } else {
-        return 0;
-      }
-      
-      if (aVal < bVal) return sortDirection === 'asc' ? -1 : 1;
-      if (aVal > bVal) return sortDirection === 'asc' ? 1 : -1;
-      return 0;
-    });
-    
-    return sorted;
-  }, [filtered, sortBy, sortDirection]);
-
-  const daily = useMemo(() => {
-    const map = new Map();
-    const countMap = new Map();
-    const seenPayments = new Map(); // Track which payment IDs we've already counted per date
-    
-    for (const r of filtered) {
-      if (!r.dateEntered) continue;
-      const key = r.dateEntered.toISOString().slice(0, 10);
-      const paymentKey = `${key}-${r.paymentId}`;
-      
-      // Only count each payment ID once per day
-      if (!seenPayments.has(paymentKey)) {
-        seenPayments.set(paymentKey, true);
-        map.set(key, (map.get(key) || 0) + r.paymentAmount);
-        countMap.set(key, (countMap.get(key) || 0) + 1);
-      }
-    }
-    return Array.from(map.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([date, total]) => ({ 
-      date, 
-      total, 
-      count: countMap.get(date) || 0 
-    }));
-  }, [filtered]);
-
-  const byType = useMemo(() => {
-    const map = new Map();
-    const countMap = new Map();
-    const seenPayments = new Map(); // Track which payment IDs we've already counted per type
-    
-    for (const r of filtered) {
-      const paymentKey = `${r.paymentType}-${r.paymentId}`;
-      
-      // Only count each payment ID once per type
-      if (!seenPayments.has(paymentKey)) {
-        seenPayments.set(paymentKey, true);
-        map.set(r.paymentType, (map.get(r.paymentType) || 0) + r.paymentAmount);
-        countMap.set(r.paymentType, (countMap.get(r.paymentType) || 0) + 1);
-      }
-    }
-    return Array.from(map.entries()).sort((a, b) => b[1] - a[1]).map(([type, total]) => ({ 
-      type, 
-      total, 
-      count: countMap.get(type) || 0 
-    }));
-  }, [filtered]);
-
-  const topPayers = useMemo(() => {
-    const map = new Map();
-    const countMap = new Map();
-    const seenPayments = new Map(); // Track which payment IDs we've already counted per payer
-    
-    for (const r of filtered) {
-      const paymentKey = `${r.payer}-${r.paymentId}`;
-      
-      // Only count each payment ID once per payer
-      if (!seenPayments.has(paymentKey)) {
-        seenPayments.set(paymentKey, true);
-        map.set(r.payer, (map.get(r.payer) || 0) + r.paymentAmount);
-        countMap.set(r.payer, (countMap.get(r.payer) || 0) + 1);
-      }
+  // Filtering, sorting and every chart/KPI series run in the aggregate worker (see lib/aggregate).
+  // Results that arrive after a newer request or a rows change are dropped.
+  useEffect(() => {
+    const worker = new Worker(new URL("./workers/aggregate.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.version !== sentRows.current.version || msg.requestId !== lastRequestId.current) return;
+      if (msg.type === "error") setAggregateError({ requestId: msg.requestId, message: msg.message });
+      else setAggregateResult({ rows: sentRows.current.rows, requestId: msg.requestId, aggregates: msg.aggregates });
+    };
+    // Uncaught failures (the worker script itself) take down every request, so they fail the latest one
+    worker.onerror = (e) => {
+      e.preventDefault();
+      setAggregateError({ requestId: lastRequestId.current, message: e.message || "worker failed" });
+    };
+    aggregateWorker.current = worker;
+    return () => {
+      worker.terminate();
+      aggregateWorker.current = null;
+    };
+  }, []);
+
+  // Comparing against another saved dataset: load and merge its files like the open one
+  const compareDatasetId = compare.mode === "dataset" ? compare.datasetId : "";
+  useEffect(() => {
+    if (!compareDatasetId) {
+      setCompareRows(null);
+      return;
     }
-    return Array.from(map.entries()).sort((a, b) => b[1] - a[1]).slice(0, 15).map(([payer, total]) => ({ 
-      payer, 
-      total, 
-      count: countMap.get(payer) || 0 
-    }));
-  }, [filtered]);
-
-  // Applied totals by facility (this is the key facility view)
-  const byFacilityApplied = useMemo(() => {
-    const map = new Map();
-    const countMap = new Map();
-    for (const r of filtered) {
-      const key = r.facility || "Unspecified";
-      map.set(key, (map.get(key) || 0) + (Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0));
-      countMap.set(key, (countMap.get(key) || 0) + 1);
+    let cancelled = false;
+    loadDataset(compareDatasetId)
+      .then((saved) => {
+        if (!cancelled) {
+          setCompareRows(saved ? applyPayerAliases(mergeSources(aliasSources(saved, facilityAliases)).rows, payerAliases) : null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) reportStorageError("Could not load the comparison dataset")(err);
+      });
+    return () => { cancelled = true; };
+  }, [compareDatasetId, facilityAliases, payerAliases, reportStorageError]);
+
+  // The worker only needs the bucket size; the moving average is applied to the finished series here
+  const granularity = trendOptions.granularity;
+
+  useEffect(() => {
+    const worker = aggregateWorker.current;
+    if (!worker) return;
+    const sent = sentRows.current;
+    if (sent.rows !== rows) {
+      sentRows.current = { ...sentRows.current, version: sentRows.current.version + 1, rows };
+      worker.postMessage({ type: "rows", version: sentRows.current.version, rows });
     }
-    return Array.from(map.entries())
-      .sort((a, b) => b[1] - a[1])
-      .map(([facility, totalApplied]) => ({ 
-        facility, 
-        totalApplied, 
-        count: countMap.get(facility) || 0 
-      }));
-  }, [filtered]);
-
-  // Unapplied by payment id: collected minus sum(applied) across facilities for that payment
-  const unappliedByPayment = useMemo(() => {
-    const collectedByPid = new Map();
-    const appliedSumByPid = new Map();
-    const labelByPid = new Map(); // prefer payer label for tooltip
-    for (const r of filtered) {
-      const pid = r.paymentId;
-      if (!collectedByPid.has(pid)) collectedByPid.set(pid, r.paymentAmount);
-      appliedSumByPid.set(pid, (appliedSumByPid.get(pid) || 0) + (Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0));
-      if (!labelByPid.has(pid)) labelByPid.set(pid, r.payer || "");
+    if (sent.compareRows !== compareRows) {
+      sentRows.current = { ...sentRows.current, version: sentRows.current.version + 1, compareRows };
+      worker.postMessage({ type: "compareRows", version: sentRows.current.version, rows: compareRows });
     }
-    const out = [];
-    for (const [pid, collected] of collectedByPid.entries()) {
-      const applied = appliedSumByPid.get(pid) || 0;
-      const unapplied = collected - applied;
-      if (unapplied > 0.0001) out.push({ paymentId: pid, payer: labelByPid.get(pid) || "", unapplied });
+    const requestId = ++lastRequestId.current;
+    setPendingRequestId(requestId);
+    worker.postMessage({
+      type: "aggregate", version: sentRows.current.version, requestId, filters: filterState, grouped: isGrouped, compare, granularity,
+    });
+  }, [rows, compareRows, filterState, isGrouped, compare, granularity]);
+
+  const aggregates = aggregateResult ? aggregateResult.aggregates : EMPTY_AGGREGATES;
+  // A failed request keeps the last good results on screen, flagged as out of date
+  const aggregateFailed = aggregateError !== null && aggregateError.requestId === pendingRequestId;
+  const isAggregating = !aggregateFailed && (!aggregateResult || aggregateResult.requestId !== pendingRequestId);
+  const {
+    trend, byType, topPayers, byFacilityApplied, byRegionApplied, unappliedByPayment, exceptions,
+    grossCollected, refundsTotal, refundCount, overappliedTotal,
+    totalPaymentsEntered, totalPaymentsApplied, totalUnappliedPayments, totalCount,
+    uniquePayersCount, dateRange, maxPayment, minPayment, comparison, facets,
+  } = aggregates;
+
+  // Comparison overlays: buckets lined up from each period's start, bars matched by type / facility
+  const trendChart = useMemo(() => {
+    const series = comparison
+      ? alignTrend(trend, comparison.trend, granularity, comparison.primaryFromDate, comparison.fromDate)
+      : trend;
+    return withMovingAverage(series, granularity === "dow" ? 0 : trendOptions.movingAverage);
+  }, [trend, comparison, granularity, trendOptions.movingAverage]);
+  const byTypeChart = useMemo(
+    () => (comparison ? mergeByKey(byType, comparison.byType, "type", "total", "compareTotal") : byType),
+    [byType, comparison]
+  );
+  const byFacilityChart = useMemo(
+    () => (comparison ? mergeByKey(byFacilityApplied, comparison.byFacilityApplied, "facility", "totalApplied", "compareApplied") : byFacilityApplied),
+    [byFacilityApplied, comparison]
+  );
+
+  // Table rows in sort order, mapped from the indexes the worker sent back
+  const sortedFiltered = useMemo(() => {
+    if (!aggregateResult) return [];
+    const source = aggregateResult.rows;
+    return Array.from(aggregateResult.aggregates.order, (i) => source[i]);
+  }, [aggregateResult]);
+
+  const handleSort = (column, additive) => setSorts((prev) => toggleSort(prev, column, additive));
+
+  // Grouped view: payment summaries (see groupByPayment); facility rows are looked up on expand
+  const paymentGroups = (isGrouped && aggregateResult && aggregateResult.aggregates.groups) || [];
+  const groupRows = (g) => g.rowIndexes.map((i) => aggregateResult.rows[i]);
+  const tableItems = isGrouped ? paymentGroups : sortedFiltered;
+
+  const toggleGrouped = () => updateGrouped(!isGrouped);
+
+  const toggleExpanded = (paymentId) => {
+    setExpandedPayments((prev) => {
+      const next = new Set(prev);
+      if (next.has(paymentId)) next.delete(paymentId);
+      else next.add(paymentId);
+      return next;
+    });
+  };
+
+  // Only the current page is rendered; back to the first page whenever the filtered set changes
+  useEffect(() => setPage(0), [tableItems.length, sortedFiltered, pageSize]);
+  const pageCount = Math.max(1, Math.ceil(tableItems.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = useMemo(
+    () => tableItems.slice(currentPage * pageSize, (currentPage + 1) * pageSize),
+    [tableItems, currentPage, pageSize]
+  );
+
+  const exportWorkQueue = (queue) => {
+    const agingLabels = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, b.label]));
+    csvDownload(
+      queue.map((q) => ({
+        paymentId: q.paymentId,
+        payer: q.payer,
+        paymentType: q.paymentType,
+        paymentDate: formatDay(q.paymentDate),
+        dateEntered: formatDay(q.dateEntered),
+        collectedAmount: q.collected,
+        appliedAmount: q.applied,
+        unappliedAmount: q.unapplied,
+        ageDays: q.ageDays ?? "",
+        aging: q.aging ? agingLabels[q.aging] : "",
+        assignee: q.assignee,
+        status: q.status,
+        notes: q.notes,
+      })),
+      "unapplied_work_queue.csv"
+    );
+  };
+
+  const exportExceptions = (list) => {
+    csvDownload(
+      list.map((e) => ({
+        paymentId: e.paymentId,
+        payer: e.payer,
+        paymentType: e.paymentType,
+        paymentDate: formatDay(e.paymentDate),
+        dateEntered: formatDay(e.dateEntered),
+        collectedAmount: e.collected,
+        appliedAmount: e.applied,
+        unappliedAmount: e.unapplied,
+        flags: e.types.join("; "),
+        notes: e.notes,
+      })),
+      "payment_exceptions.csv"
+    );
+  };
+
+  // Export follows the table: one row per facility row, or one per payment with its facility split
+  const exportCsv = () => {
+    if (isGrouped) {
+      csvDownload(
+        paymentGroups.map((g) => ({
+          paymentId: g.paymentId,
+          payerCategory: g.payerCategory,
+          payer: g.payer,
+          paymentType: g.paymentType,
+          checkNumber: g.checkNumber,
+          dateEntered: formatDay(g.dateEntered),
+          paymentDate: formatDay(g.paymentDate),
+          collectedAmount: g.paymentAmount,
+          appliedAmount: g.appliedAmount,
+          unappliedAmount: g.unappliedAmount,
+          facilityCount: g.facilities.length,
+          facilitySplit: groupRows(g)
+            .filter((r) => r.facility)
+            .map((r) => `${r.facility}: ${(Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0).toFixed(2)}`)
+            .join("; "),
+          notes: g.notes
+        })),
+        "filtered_payments_by_payment.csv"
+      );
+      return;
     }
-    return out.sort((a, b) => b.unapplied - a.unapplied).slice(0, 20);
-  }, [filtered]);
-
-  const totalPaymentsEntered = useMemo(() => {
-    const seenPayments = new Set();
-    return filtered.reduce((sum, r) => {
-      if (!seenPayments.has(r.paymentId)) {
-        seenPayments.add(r.paymentId);
-        return sum + r.paymentAmount;
-      }
-      return sum;
-    }, 0);
-  }, [filtered]);
-  
-  const totalPaymentsApplied = filtered.reduce((sum, r) => sum + (Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0), 0);
-  
-  const totalUnappliedPayments = useMemo(() => {
-    const seenPayments = new Set();
-    return filtered.reduce((sum, r) => {
-      if (!seenPayments.has(r.paymentId)) {
-        seenPayments.add(r.paymentId);
-        return sum + (Number.isFinite(r.unappliedAmount) ? r.unappliedAmount : 0);
-      }
-      return sum;
-    }, 0);
-  }, [filtered]);
-  
-  const totalCount = useMemo(() => {
-    const seenPayments = new Set();
-    return filtered.reduce((count, r) => {
-      if (!seenPayments.has(r.paymentId)) {
-        seenPayments.add(r.paymentId);
-        return count + 1;
-      }
-      return count;
-    }, 0);
-  }, [filtered]);
-
-  // Additional metrics
-  const uniquePayersCount = useMemo(() => {
-    const set = new Set(filtered.map((r) => r.payer).filter(Boolean));
-    return set.size;
-  }, [filtered]);
-
-  const dateRange = useMemo(() => {
-    const dates = filtered
-      .map((r) => r.dateEntered)
-      .filter((d) => d != null)
-      .map((d) => d.getTime())
-      .sort((a, b) => a - b);
-    if (dates.length === 0) return null;
-    const first = new Date(dates[0]);
-    const last = new Date(dates[dates.length - 1]);
-    return { first, last, count: dates.length };
-  }, [filtered]);
-
-  const maxPayment = useMemo(() => {
-    if (filtered.length === 0) return null;
-    return Math.max(...filtered.map((r) => r.paymentAmount));
-  }, [filtered]);
-
-  const minPayment = useMemo(() => {
-    if (filtered.length === 0) return null;
-    return Math.min(...filtered.map((r) => r.paymentAmount));
-  }, [filtered]);
+    csvDownload(
+      sortedFiltered.map(r => ({
+        paymentId: r.paymentId,
+        payerCategory: r.payerCategory,
+        payer: r.payer,
+        paymentType: r.paymentType,
+        checkNumber: r.checkNumber,
+        dateEntered: formatDay(r.dateEntered),
+        paymentDate: formatDay(r.paymentDate),
+        paymentAmount: r.paymentAmount,
+        facility: r.facility || "",
+        region: r.region || "",
+        appliedAmount: Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0,
+        unappliedAmount: Number.isFinite(r.unappliedAmount) ? r.unappliedAmount : (r.paymentAmount - (Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0)),
+        notes: r.notes
+      })),
+      "filtered_payments.csv"
+    );
+  };
 
   return (
     <div className={`min-h-screen transition-colors duration-200 ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
@@ -536,26 +659,9 @@ export default function PaymentsDashboard() {
             </button>
             <button
               className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
-              onClick={() =>
-                csvDownload(
-                  filtered.map(r => ({
-                    paymentId: r.paymentId,
-                    payerCategory: r.payerCategory,
-                    payer: r.payer,
-                    paymentType: r.paymentType,
-                    checkNumber: r.checkNumber,
-                    dateEntered: r.dateEntered ? r.dateEntered.toISOString().slice(0, 10) : "",
-                    paymentDate: r.paymentDate ? r.paymentDate.toISOString().slice(0, 10) : "",
-                    paymentAmount: r.paymentAmount,
-                    facility: r.facility || "",
-                    appliedAmount: Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0,
-                    unappliedAmount: Number.isFinite(r.unappliedAmount) ? r.unappliedAmount : (r.paymentAmount - (Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0)),
-                    notes: r.notes
-                  })),
-                  "filtered_payments.csv"
-                )
-              }
-              disabled={filtered.length === 0}
+              onClick={exportCsv}
+              title={isGrouped ? "One row per payment, with its facility split" : "One row per facility row"}
+              disabled={sortedFiltered.length === 0}
             >
               <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -565,31 +671,45 @@ export default function PaymentsDashboard() {
           </div>
         </div>
 
-        <div className={`shadow-lg border rounded-xl overflow-hidden transition-all ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} backdrop-blur-sm`}>
-          <button
-            onClick={() => setIsFiltersOpen(!isFiltersOpen)}
-            className={`w-full px-6 py-4 flex items-center justify-between transition-colors ${darkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'} ${isFiltersOpen && darkMode ? 'border-b border-gray-700' : isFiltersOpen ? 'border-b border-gray-200' : ''}`}
-          >
-            <div className="flex items-center gap-3">
-              <svg className={`w-5 h-5 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
-              </svg>
-              <span className={`font-bold text-base ${darkMode ? 'text-white' : 'text-gray-900'}`}>Filters & Upload</span>
-            </div>
-            <svg
-              className={`w-5 h-5 transition-transform duration-300 ${isFiltersOpen ? 'rotate-180' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+        <div className={`shadow-lg border rounded-xl transition-all ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} backdrop-blur-sm`}>
+          <div className={`flex items-center gap-3 pr-6 transition-colors ${isFiltersOpen && darkMode ? 'border-b border-gray-700' : isFiltersOpen ? 'border-b border-gray-200' : ''}`}>
+            <button
+              onClick={() => setIsFiltersOpen(!isFiltersOpen)}
+              className={`flex-1 px-6 py-4 flex items-center justify-between transition-colors ${isFiltersOpen ? 'rounded-tl-xl' : 'rounded-l-xl'} ${darkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'}`}
             >
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
-            </svg>
-          </button>
+              <div className="flex items-center gap-3">
+                <svg className={`w-5 h-5 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+                </svg>
+                <span className={`font-bold text-base ${darkMode ? 'text-white' : 'text-gray-900'}`}>Filters & Upload</span>
+              </div>
+              <svg
+                className={`w-5 h-5 transition-transform duration-300 ${isFiltersOpen ? 'rotate-180' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+            <PresetsMenu
+              presets={presetState.presets}
+              defaultId={presetState.defaultId}
+              onApply={(preset) => applyFilterState(preset.filters)}
+              onSave={(name) => updatePresets(savePreset(presetState, name, filterState))}
+              onRename={(id, name) => updatePresets(renamePreset(presetState, id, name))}
+              onDelete={(id) => updatePresets(deletePreset(presetState, id))}
+              onSetDefault={(id) => updatePresets(setDefaultPreset(presetState, id))}
+              onExport={() => fileDownload(exportPresets(presetState), "dashboard_views.json", "application/json")}
+              onImport={importPresetFile}
+              darkMode={darkMode}
+            />
+          </div>
           {isFiltersOpen && (
             <div className="p-6 bg-gradient-to-br from-transparent via-transparent to-transparent">
               <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
                 <div>
-                  <label className={`block text-sm font-semibold mb-3 tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Upload CSV File</label>
+                  <label className={`block text-sm font-semibold mb-3 tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Upload Report (CSV / XLS)</label>
                   <div
                     className={`border-2 border-dashed rounded-xl p-8 text-center transition-all duration-300 ${isDragging ? "border-blue-500 bg-blue-50 dark:bg-blue-950/20 dark:border-blue-400 scale-105" : darkMode
                       ? "border-gray-600 bg-gray-700/50 hover:border-gray-500 hover:bg-gray-700"
@@ -606,28 +726,44 @@ export default function PaymentsDashboard() {
                     onDrop={(e) => {
                       e.preventDefault();
                       setIsDragging(false);
-                      const files = e.dataTransfer.files;
-                      if (files.length > 0 && files[0].name.endsWith(".csv")) {
-                        handleFile(files[0]);
-                      }
+                      handleFiles(e.dataTransfer.files);
                     }}
                   >
                     <input
                       ref={fileInputRef}
                       type="file"
-                      accept=".csv"
+                      accept={ACCEPTED_EXTENSIONS.join(",")}
+                      multiple
                       className="hidden"
-                      onChange={(e) => e.target.files && e.target.files[0] && handleFile(e.target.files[0])}
+                      onChange={(e) => {
+                        handleFiles(e.target.files);
+                        e.target.value = ""; // allow re-selecting the same file after removing it
+                      }}
                     />
-                    {fileName ? (
+                    {uploads.length > 0 && (
+                      <div className="mb-3">
+                        <UploadProgressList uploads={uploads} onCancel={finishUpload} darkMode={darkMode} />
+                      </div>
+                    )}
+                    {sources.length > 0 ? (
                       <div className="space-y-2">
-                        <div className="text-green-600 font-medium">✓ {fileName}</div>
-                        <button
-                          onClick={() => fileInputRef.current?.click()}
-                          className="text-sm text-blue-600 hover:text-blue-700 underline"
-                        >
-                          Upload different file
-                        </button>
+                        <SourceFileList sources={sources} stats={merged.stats} onRemove={removeSource} darkMode={darkMode} />
+                        <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{rows.length} rows loaded</div>
+                        <div className="flex justify-center gap-3">
+                          <button
+                            onClick={() => fileInputRef.current?.click()}
+                            className="text-sm text-blue-600 hover:text-blue-700 underline"
+                          >
+                            Add files
+                          </button>
+                          <button
+                            onClick={startNewDataset}
+                            className="text-sm text-red-600 hover:text-red-700 underline"
+                            title="Close this dataset; it stays under Saved datasets"
+                          >
+                            New dataset
+                          </button>
+                        </div>
                       </div>
                     ) : (
                       <div className="space-y-3">
@@ -650,57 +786,62 @@ export default function PaymentsDashboard() {
                             onClick={() => fileInputRef.current?.click()}
                             className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
                           >
-                            Choose CSV File
+                            Choose Files
                           </button>
                         </div>
-                        <p className={`text-xs font-medium ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>or drag and drop</p>
-                        <p className={`text-xs mt-2 ${darkMode ? 'text-gray-600' : 'text-gray-400'}`}>Supports: "Collected Payments" or "filtered_payments" CSV formats</p>
+                        <p className={`text-xs font-medium ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>or drag and drop one or more weekly reports</p>
+                        <p className={`text-xs mt-2 ${darkMode ? 'text-gray-600' : 'text-gray-400'}`}>Supports: "Collected Payments" (.csv, .xls, .xlsx) or "filtered_payments" CSV formats</p>
                       </div>
                     )}
                   </div>
+                  <SavedDatasetsList
+                    datasets={savedDatasets}
+                    activeId={datasetId}
+                    onOpen={openDataset}
+                    onDelete={removeDataset}
+                    darkMode={darkMode}
+                  />
                 </div>
 
+                <DateRangeFilter
+                  fromDate={fromDate}
+                  toDate={toDateFilter}
+                  dateField={dateField}
+                  missingDates={missingDates}
+                  onChange={(patch) => applyFilterState({ ...filterState, ...patch })}
+                  darkMode={darkMode}
+                />
+
                 <div className="space-y-3">
-                  <label className={`block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>From Date Entered</label>
-                  <input
-                    type="date"
-                    className={`border rounded-lg p-2.5 w-full transition-all focus:ring-2 focus:outline-none font-medium ${darkMode
-                      ? 'bg-gray-700/50 border-gray-600 text-white focus:border-blue-500 focus:ring-blue-500/20'
-                      : 'bg-white border-gray-300 focus:border-blue-500 focus:ring-blue-500/20'
-                      }`}
-                    value={fromDate}
-                    onChange={(e) => setFromDate(e.target.value)}
-                  />
-                  <label className={`block text-sm font-semibold mt-2 tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>To Date Entered</label>
-                  <input
-                    type="date"
-                    className={`border rounded-lg p-2.5 w-full transition-all focus:ring-2 focus:outline-none font-medium ${darkMode
-                      ? 'bg-gray-700/50 border-gray-600 text-white focus:border-blue-500 focus:ring-blue-500/20'
-                      : 'bg-white border-gray-300 focus:border-blue-500 focus:ring-blue-500/20'
-                      }`}
-                    value={toDateFilter}
-                    onChange={(e) => setToDateFilter(e.target.value)}
+                  <MultiSelectFilter
+                    label="Payer"
+                    options={payerOptions}
+                    selected={payerFilter}
+                    onChange={setPayerFilter}
+                    mode={payerMode}
+                    onModeChange={setPayerMode}
+                    counts={facets && facets.payerFilter}
+                    emptyText="Upload a CSV to see payers"
+                    darkMode={darkMode}
                   />
-                </div>
 
-                <div className="space-y-3">
-                  <label className={`block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Payer</label>
-                  <div className={`max-h-56 overflow-auto rounded-xl border p-3 transition-all ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-white border-gray-300'}`}>
-                    {uniquePayers.map((p) => (
-                      <label key={p} className={`flex items-center gap-2 py-1 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label className={`block text-sm font-semibold mt-2 tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Payer category</label>
+                  <div className={`max-h-32 overflow-auto rounded-xl border p-3 transition-all ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-white border-gray-300'}`}>
+                    {uniqueCategories.map((c) => (
+                      <label key={c} className={`flex items-center gap-2 py-1 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                         <input
                           type="checkbox"
-                          checked={payerFilter.includes(p)}
+                          checked={payerCategories.includes(c)}
                           onChange={(e) => {
                             const v = e.target.checked;
-                            setPayerFilter((prev) => (v ? [...prev, p] : prev.filter((x) => x !== p)));
+                            setPayerCategories((prev) => (v ? [...prev, c] : prev.filter((x) => x !== c)));
                           }}
                           className="rounded"
                         />
-                        <span>{p}</span>
+                        <span>{payerCategoryLabel(c)}</span>
                       </label>
                     ))}
-                    {uniquePayers.length === 0 && <div className={`text-sm ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>Upload a CSV to see payers</div>}
+                    {uniqueCategories.length === 0 && <div className={`text-sm ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>Upload a CSV to see categories</div>}
                   </div>
 
                   <label className={`block text-sm font-semibold mt-2 tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Search payer/notes</label>
@@ -745,55 +886,100 @@ export default function PaymentsDashboard() {
                 </div>
 
                 <div className="space-y-3">
-                  <label className={`block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Payment types</label>
-                  <div className={`max-h-56 overflow-auto rounded-xl border p-3 transition-all ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-white border-gray-300'}`}>
-                    {uniqueTypes.map((t) => (
-                      <label key={t} className={`flex items-center gap-2 py-1 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                        <input
-                          type="checkbox"
-                          checked={paymentTypes.includes(t)}
-                          onChange={(e) => {
-                            const v = e.target.checked;
-                            setPaymentTypes((prev) => (v ? [...prev, t] : prev.filter((x) => x !== t)));
-                          }}
-                          className="rounded"
-                        />
-                        <span>{t}</span>
-                      </label>
-                    ))}
-                    {uniqueTypes.length === 0 && <div className={`text-sm ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>Upload a CSV to see types</div>}
-                  </div>
+                  <MultiSelectFilter
+                    label="Payment types"
+                    options={typeOptions}
+                    selected={paymentTypes}
+                    onChange={setPaymentTypes}
+                    mode={typeMode}
+                    onModeChange={setTypeMode}
+                    counts={facets && facets.paymentTypes}
+                    emptyText="Upload a CSV to see types"
+                    darkMode={darkMode}
+                  />
                 </div>
 
                 <div className="space-y-3">
-                  <label className={`block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Facilities / Clinics</label>
-                  <div className={`max-h-56 overflow-auto rounded-xl border p-3 transition-all ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-white border-gray-300'}`}>
-                    {uniqueFacilities.map((f) => (
-                      <label key={f.norm} className={`flex items-center gap-2 py-1 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                        <input
-                          type="checkbox"
-                          checked={facilityFilter.includes(f.norm)}
-                          onChange={(e) => {
-                            const v = e.target.checked;
-                            setFacilityFilter((prev) => (v ? [...prev, f.norm] : prev.filter((x) => x !== f.norm)));
-                          }}
-                          className="rounded"
-                        />
-                        <span>{f.label}</span>
-                      </label>
-                    ))}
-                    {uniqueFacilities.length === 0 && <div className={`text-sm ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>Upload a CSV to see facilities</div>}
-                  </div>
+                  <MultiSelectFilter
+                    label="Facilities / Clinics"
+                    options={facilityOptions}
+                    selected={facilityFilter}
+                    onChange={setFacilityFilter}
+                    mode={facilityMode}
+                    onModeChange={setFacilityMode}
+                    counts={facets && facets.facilityFilter}
+                    emptyText="Upload a CSV to see facilities"
+                    darkMode={darkMode}
+                  />
                   <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>Facility metrics below use <strong>Applied</strong> amounts.</p>
                 </div>
               </div>
+
+              <div className={`mt-6 pt-6 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <QueryBuilder query={query} onChange={setQuery} darkMode={darkMode} />
+              </div>
             </div>
           )}
         </div>
 
+        <FacilityAliasEditor
+          sources={sources}
+          aliasMap={facilityAliases}
+          onChange={updateFacilityAliases}
+          darkMode={darkMode}
+        />
+
+        <PayerMergePanel
+          payerCounts={rawPayerCounts}
+          aliasMap={payerAliases}
+          onChange={updatePayerAliases}
+          darkMode={darkMode}
+        />
+
+        <DiagnosticsPanel
+          warnings={parseWarnings}
+          darkMode={darkMode}
+          onExport={(list) =>
+            csvDownload(
+              list.map((w) => ({
+                file: w.fileName,
+                line: w.line ?? "",
+                level: w.level,
+                type: w.type,
+                paymentId: w.paymentId || "",
+                message: w.message,
+              })),
+              "parse_diagnostics.csv"
+            )
+          }
+        />
+
+        {storageError && (
+          <div className={`flex items-start justify-between gap-3 rounded-lg border px-4 py-3 text-sm ${darkMode ? 'bg-amber-900/30 border-amber-700 text-amber-300' : 'bg-amber-50 border-amber-200 text-amber-800'}`}>
+            <span>{storageError}</span>
+            <button onClick={() => setStorageError(null)} className="underline shrink-0">Dismiss</button>
+          </div>
+        )}
+
+        {aggregateFailed && (
+          <div className={`rounded-lg border px-4 py-3 text-sm ${darkMode ? 'bg-red-900/30 border-red-700 text-red-300' : 'bg-red-50 border-red-200 text-red-800'}`}>
+            Could not apply these filters: {aggregateError.message}. The figures below are from the last filters that worked.
+          </div>
+        )}
+
         {rows.length > 0 && (
           <div className="space-y-4">
-            <div className={`grid grid-cols-1 md:grid-cols-3 gap-4 shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+            <div className={`shadow-sm border rounded-lg px-4 py-3 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+              <ComparisonControls
+                compare={compare}
+                onChange={setCompare}
+                datasets={savedDatasets}
+                activeDatasetId={datasetId}
+                comparison={comparison}
+                darkMode={darkMode}
+              />
+            </div>
+            <div className={`grid grid-cols-1 md:grid-cols-4 gap-4 shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
               <div className={`rounded-lg p-4 transition-colors ${darkMode ? 'bg-blue-900/30 border-blue-700' : 'bg-blue-50 border-blue-200'} border`}>
                 <div className="flex items-center">
                   <div className="flex-shrink-0">
@@ -804,6 +990,9 @@ export default function PaymentsDashboard() {
                   <div className="ml-4">
                     <p className={`text-sm font-medium ${darkMode ? 'text-blue-300' : 'text-blue-900'}`}>Total Payments Entered</p>
                     <p className={`text-2xl font-semibold ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}>${totalPaymentsEntered.toFixed(2)}</p>
+                    {comparison && <KpiDelta current={totalPaymentsEntered} previous={comparison.totalPaymentsEntered} darkMode={darkMode} />}
+                    <p className={`text-xs mt-1 ${darkMode ? 'text-blue-300' : 'text-blue-900'}`}>{totalCount.toLocaleString()} payments</p>
+                    {comparison && <KpiDelta current={totalCount} previous={comparison.totalCount} isMoney={false} darkMode={darkMode} />}
                   </div>
                 </div>
               </div>
@@ -818,6 +1007,7 @@ export default function PaymentsDashboard() {
                   <div className="ml-4">
                     <p className={`text-sm font-medium ${darkMode ? 'text-green-300' : 'text-green-900'}`}>Total Payments Applied</p>
                     <p className={`text-2xl font-semibold ${darkMode ? 'text-green-400' : 'text-green-600'}`}>${totalPaymentsApplied.toFixed(2)}</p>
+                    {comparison && <KpiDelta current={totalPaymentsApplied} previous={comparison.totalPaymentsApplied} darkMode={darkMode} />}
                   </div>
                 </div>
               </div>
@@ -832,12 +1022,41 @@ export default function PaymentsDashboard() {
                   <div className="ml-4">
                     <p className={`text-sm font-medium ${darkMode ? 'text-orange-300' : 'text-orange-900'}`}>Total Unapplied Payments</p>
                     <p className={`text-2xl font-semibold ${darkMode ? 'text-orange-400' : 'text-orange-600'}`}>${totalUnappliedPayments.toFixed(2)}</p>
+                    {comparison && <KpiDelta current={totalUnappliedPayments} previous={comparison.totalUnappliedPayments} lowerIsBetter darkMode={darkMode} />}
+                    {overappliedTotal > 0.005 && (
+                      <p className={`text-xs mt-1 ${darkMode ? 'text-purple-300' : 'text-purple-700'}`}>
+                        Net of ${overappliedTotal.toFixed(2)} overapplied
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
+
+              <ReconciliationBadge results={reconciliation} darkMode={darkMode} />
+            </div>
+
+            <div className={`grid grid-cols-1 md:grid-cols-3 gap-3 shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+              <div className={`rounded-lg p-3 border transition-colors ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-emerald-50 border-emerald-200'}`}>
+                <p className={`text-xs font-medium ${darkMode ? 'text-emerald-300' : 'text-emerald-800'}`}>Gross Collections</p>
+                <p className={`text-xl font-bold ${darkMode ? 'text-emerald-400' : 'text-emerald-600'}`}>${grossCollected.toFixed(2)}</p>
+                {comparison && <KpiDelta current={grossCollected} previous={comparison.grossCollected} darkMode={darkMode} />}
+              </div>
+              <div className={`rounded-lg p-3 border transition-colors ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-red-50 border-red-200'}`}>
+                <p className={`text-xs font-medium ${darkMode ? 'text-red-300' : 'text-red-800'}`}>Refunds / Reversals</p>
+                <p className={`text-xl font-bold ${darkMode ? 'text-red-400' : 'text-red-600'}`}>
+                  {refundsTotal < 0 ? `-$${Math.abs(refundsTotal).toFixed(2)}` : "$0.00"}
+                </p>
+                <p className={`text-xs ${darkMode ? 'text-red-300' : 'text-red-800'}`}>{refundCount.toLocaleString()} negative payments</p>
+                {comparison && <KpiDelta current={-refundsTotal} previous={-comparison.refundsTotal} lowerIsBetter darkMode={darkMode} />}
+              </div>
+              <div className={`rounded-lg p-3 border transition-colors ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-slate-50 border-slate-200'}`}>
+                <p className={`text-xs font-medium ${darkMode ? 'text-slate-300' : 'text-slate-800'}`}>Net Collections</p>
+                <p className={`text-xl font-bold ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>${totalPaymentsEntered.toFixed(2)}</p>
+                <p className={`text-xs ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>Gross minus refunds</p>
+              </div>
             </div>
 
-            {filtered.length > 0 && (
+            {sortedFiltered.length > 0 && (
               <div className={`grid grid-cols-1 md:grid-cols-4 gap-3 shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
                 <div className={`rounded-lg p-3 border transition-colors ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-yellow-50 border-yellow-200'}`}>
                   <p className={`text-xs font-medium ${darkMode ? 'text-yellow-300' : 'text-yellow-800'}`}>Unique Payers</p>
@@ -856,7 +1075,7 @@ export default function PaymentsDashboard() {
                   </p>
                 </div>
                 <div className={`rounded-lg p-3 border transition-colors ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-cyan-50 border-cyan-200'}`}>
-                  <p className={`text-xs font-medium ${darkMode ? 'text-cyan-300' : 'text-cyan-800'}`}>Date Entered Range</p>
+                  <p className={`text-xs font-medium ${darkMode ? 'text-cyan-300' : 'text-cyan-800'}`}>{DATE_FIELDS[dateField]} Range</p>
                   <p className={`text-xs font-bold ${darkMode ? 'text-cyan-400' : 'text-cyan-600'}`}>
                     {dateRange ? `${dateRange.count} days` : 'N/A'}
                   </p>
@@ -868,10 +1087,21 @@ export default function PaymentsDashboard() {
 
         <div className={`grid grid-cols-1 lg:grid-cols-3 gap-4 shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
           <div className="lg:col-span-2">
-            <h2 className={`font-medium mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>Daily totals (by Date Entered)</h2>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                {GRANULARITIES[granularity]} totals (by {DATE_FIELDS[dateField]})
+              </h2>
+              <TrendControls
+                options={trendOptions}
+                onChange={updateTrendOptions}
+                dateField={dateField}
+                onDateFieldChange={setDateField}
+                darkMode={darkMode}
+              />
+            </div>
             <div className="h-80">
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={daily} margin={{ top: 10, right: 20, bottom: 60, left: 0 }}>
+                <LineChart data={trendChart} margin={{ top: 10, right: 20, bottom: 60, left: 0 }}>
                   <defs>
                     <linearGradient id="lineGradient" x1="0" y1="0" x2="0" y2="1">
                       <stop offset="0%" stopColor="#06b6d4" stopOpacity={1} />
@@ -884,13 +1114,12 @@ export default function PaymentsDashboard() {
                   </defs>
                   <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#374151' : '#e5e7eb'} strokeOpacity={0.5} />
                   <XAxis
-                    dataKey="date"
+                    dataKey="label"
                     stroke={darkMode ? '#9ca3af' : '#6b7280'}
                     angle={-45}
                     textAnchor="end"
                     height={80}
                     tick={{ fontSize: 12, fontWeight: 500 }}
-                    tickFormatter={(value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
                   />
                   <YAxis
                     stroke={darkMode ? '#9ca3af' : '#6b7280'}
@@ -906,20 +1135,60 @@ export default function PaymentsDashboard() {
                     }}
                     labelStyle={{ color: darkMode ? '#d1d5db' : '#111827', fontWeight: 600 }}
                     formatter={(value, name, props) => [
-                      `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} (${props.payload.count} transactions)`,
+                      props.dataKey === "compareTotal"
+                        ? `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} (${props.payload.compareLabel})`
+                        : props.dataKey === "movingAverage"
+                          ? `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+                          : `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} (${props.payload.count} transactions)${
+                            granularity === "day" && alertsByDay.has(props.payload.key) ? ` · ${alertsByDay.get(props.payload.key).length} alerts` : ""}`,
                       name
                     ]}
                   />
                   <Legend wrapperStyle={{ color: darkMode ? '#d1d5db' : ' #111827', fontWeight: 600 }} />
+                  {granularity !== "dow" && trendOptions.movingAverage > 0 && (
+                    <Line
+                      type="monotone"
+                      dataKey="movingAverage"
+                      name={`${trendOptions.movingAverage}-point moving avg`}
+                      stroke="#f59e0b"
+                      strokeWidth={2}
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
+                  {comparison && (
+                    <Line
+                      type="monotone"
+                      dataKey="compareTotal"
+                      name="Comparison"
+                      stroke={darkMode ? '#9ca3af' : '#6b7280'}
+                      strokeWidth={2}
+                      strokeDasharray="5 5"
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
                   <Line
                     type="monotone"
                     dataKey="total"
-                    name="Daily Total"
+                    name={`${GRANULARITIES[granularity]} total`}
                     stroke="url(#lineGradient)"
                     strokeWidth={3}
                     dot={false}
                     activeDot={{ r: 6, strokeWidth: 0 }}
                   />
+                  {/* Collection alerts (see AnomalyAlertsPanel): red for missing money, purple for spikes only */}
+                  {granularity === "day" && trendChart.filter((e) => e.total != null && alertsByDay.has(e.key)).map((e) => (
+                    <ReferenceDot
+                      key={e.key}
+                      x={e.label}
+                      y={e.total}
+                      r={5}
+                      fill={alertsByDay.get(e.key).every((a) => a.type === "spike") ? '#a855f7' : '#ef4444'}
+                      stroke={darkMode ? '#1f2937' : '#ffffff'}
+                      strokeWidth={2}
+                    />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -929,7 +1198,7 @@ export default function PaymentsDashboard() {
             <h2 className={`font-medium mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>Totals by payment type</h2>
             <div className="h-80">
               <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={byType} margin={{ top: 10, right: 20, bottom: 60, left: 0 }}>
+                <BarChart data={byTypeChart} margin={{ top: 10, right: 20, bottom: 60, left: 0 }}>
                   <defs>
                     <linearGradient id="barGradient" x1="0" y1="0" x2="0" y2="1">
                       <stop offset="0%" stopColor="#a855f7" stopOpacity={1} />
@@ -971,6 +1240,7 @@ export default function PaymentsDashboard() {
                     fill="url(#barGradient)"
                     radius={[6, 6, 0, 0]}
                   />
+                  {comparison && <Bar dataKey="compareTotal" name="Comparison" fill={darkMode ? '#6b7280' : '#d1d5db'} radius={[6, 6, 0, 0]} />}
                 </BarChart>
               </ResponsiveContainer>
             </div>
@@ -980,7 +1250,7 @@ export default function PaymentsDashboard() {
         <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
           <div className="flex items-center justify-between mb-2">
             <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Top payers</h2>
-            <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Showing: {filtered.length} transactions</div>
+            <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Showing: {sortedFiltered.length} rows ({totalCount} payments)</div>
           </div>
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
@@ -1038,7 +1308,7 @@ export default function PaymentsDashboard() {
           </div>
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
-              <BarChart data={byFacilityApplied} margin={{ top: 10, right: 20, bottom: 60, left: 0 }}>
+              <BarChart data={byFacilityChart} margin={{ top: 10, right: 20, bottom: 60, left: 0 }}>
                 <defs>
                   <linearGradient id="facilityAppliedGradient" x1="0" y1="0" x2="0" y2="1">
                     <stop offset="0%" stopColor="#22c55e" stopOpacity={1} />
@@ -1058,111 +1328,133 @@ export default function PaymentsDashboard() {
                 }}
                   labelStyle={{ color: darkMode ? '#d1d5db' : '#111827', fontWeight: 600 }}
                   formatter={(value, name, props) => [
-                    `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} (${props.payload.count} transactions)`,
-                    "Applied"
+                    props.dataKey === "compareApplied"
+                      ? `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+                      : `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} (${props.payload.count} transactions)`,
+                    name
                   ]} />
                 <Legend wrapperStyle={{ color: darkMode ? '#d1d5db' : '#111827', fontWeight: 600 }} />
                 <Bar dataKey="totalApplied" name="Applied" fill="url(#facilityAppliedGradient)" radius={[6, 6, 0, 0]} />
+                {comparison && <Bar dataKey="compareApplied" name="Comparison" fill={darkMode ? '#6b7280' : '#d1d5db'} radius={[6, 6, 0, 0]} />}
               </BarChart>
             </ResponsiveContainer>
           </div>
         </div>
 
+        {byRegionApplied.some((r) => r.region !== "Unassigned") && (
+          <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Totals by region (Applied)</h2>
+              <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Regions are set under Facility aliases</div>
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={byRegionApplied} margin={{ top: 10, right: 20, bottom: 20, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#374151' : '#e5e7eb'} strokeOpacity={0.5} />
+                  <XAxis dataKey="region" stroke={darkMode ? '#9ca3af' : '#6b7280'} tick={{ fontSize: 12, fontWeight: 500 }} />
+                  <YAxis stroke={darkMode ? '#9ca3af' : '#6b7280'} tick={{ fontSize: 12, fontWeight: 500 }}
+                    tickFormatter={(v) => `$${v.toLocaleString()}`} />
+                  <Tooltip contentStyle={{
+                    backgroundColor: darkMode ? '#1f2937' : '#ffffff',
+                    border: darkMode ? '1px solid #4b5563' : '1px solid #e5e7eb',
+                    borderRadius: '8px',
+                  }}
+                    labelStyle={{ color: darkMode ? '#d1d5db' : '#111827', fontWeight: 600 }}
+                    formatter={(value, name, props) => [
+                      `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} (${props.payload.count} rows)`,
+                      name
+                    ]} />
+                  <Bar dataKey="totalApplied" name="Applied" fill="#14b8a6" radius={[6, 6, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+
+        <PayerSplitPanel aggregates={aggregates} comparison={comparison} darkMode={darkMode} />
+
+        <AnomalyAlertsPanel
+          alerts={anomalies}
+          settings={anomalySettings}
+          onSettingsChange={updateAnomalySettings}
+          dateFieldLabel={DATE_FIELDS[dateField]}
+          darkMode={darkMode}
+        />
+
+        <ExceptionsPanel exceptions={exceptions} onExport={exportExceptions} darkMode={darkMode} />
+
+        <DuplicatesPanel
+          groups={duplicateGroups}
+          dismissed={duplicateDismissals}
+          onDismiss={(signature) => updateDuplicateDismissals([...duplicateDismissals, signature])}
+          onRestore={(signature) => updateDuplicateDismissals(duplicateDismissals.filter((s) => s !== signature))}
+          windowDays={duplicateWindow}
+          onWindowChange={updateDuplicateWindow}
+          darkMode={darkMode}
+        />
+
+        <UnappliedWorkQueue
+          unapplied={unappliedByPayment}
+          items={workItems}
+          onUpdate={updateWorkQueueItem}
+          onExport={exportWorkQueue}
+          darkMode={darkMode}
+        />
+
+        <BankReconciliationPanel
+          statement={bankStatement}
+          reconciliation={depositReconciliation}
+          onImport={updateBankStatement}
+          onClear={() => {
+            updateBankStatement(null);
+            updateBankMatches(EMPTY_BANK_MATCHES);
+          }}
+          onMatch={(depositId, paymentIds) => updateBankMatches(matchManually(bankMatches, depositId, paymentIds))}
+          onUnmatch={(depositId) => updateBankMatches(unmatch(bankMatches, depositId))}
+          darkMode={darkMode}
+        />
+
         <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
           <div className="flex items-center justify-between mb-2">
-            <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Unapplied by payment</h2>
-            <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Top 20 transactions with remaining unapplied</div>
-          </div>
-          <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
-            <table className="w-full text-sm">
-              <thead>
-                <tr className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Payment ID</th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Payer</th>
-                  <th className={`text-right p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Unapplied Amount</th>
-                </tr>
-              </thead>
-              <tbody>
-                {unappliedByPayment.map((item) => (
-                  <tr
-                    key={item.paymentId}
-                    className={`${darkMode ? 'border-gray-700' : 'border-gray-200'} border-t hover:bg-opacity-50 ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}
+            <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Filtered rows</h2>
+            <div className="flex items-center gap-3">
+              {isAggregating && rows.length > 0 && <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Updating…</div>}
+              <div className={`inline-flex rounded-md border text-sm overflow-hidden ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                {[[false, "Facility rows"], [true, "By payment"]].map(([grouped, label]) => (
+                  <button
+                    key={label}
+                    onClick={() => grouped !== isGrouped && toggleGrouped()}
+                    className={`px-3 py-1 ${grouped === isGrouped
+                      ? 'bg-blue-600 text-white'
+                      : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
                   >
-                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{item.paymentId}</td>
-                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{item.payer}</td>
-                    <td className={`p-2 text-right font-semibold ${darkMode ? 'text-orange-400' : 'text-orange-600'}`}>
-                      ${item.unapplied.toFixed(2)}
-                    </td>
-                  </tr>
+                    {label}
+                  </button>
                 ))}
-                {unappliedByPayment.length === 0 && (
-                  <tr>
-                    <td colSpan="3" className={`p-4 text-center ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>No unapplied payments found.</td>
-                  </tr>
-                )}
-              </tbody>
-            </table>
+              </div>
+            </div>
           </div>
-        </div>
-
-        <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
-          <h2 className={`font-medium mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>Filtered rows</h2>
-          <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+          <div className={`overflow-auto border rounded-md max-h-[36rem] ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
             <table className="w-full text-sm">
-              <thead>
+              <thead className="sticky top-0 z-10">
                 <tr className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
-                  <th 
-                    className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'} cursor-pointer hover:bg-opacity-80 select-none`}
-                    onClick={() => handleSort('paymentId')}
-                  >
-                    <div className="flex items-center gap-1">
-                      Payment ID
-                      {sortBy === 'paymentId' && (
-                        <span className="text-xs">
-                          {sortDirection === 'asc' ? '↑' : '↓'}
-                        </span>
-                      )}
-                    </div>
-                  </th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Facility</th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Payer Category</th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Payer</th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Payment Type</th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Check #</th>
-                  <th 
-                    className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'} cursor-pointer hover:bg-opacity-80 select-none`}
-                    onClick={() => handleSort('dateEntered')}
-                  >
-                    <div className="flex items-center gap-1">
-                      Date Entered
-                      {sortBy === 'dateEntered' && (
-                        <span className="text-xs">
-                          {sortDirection === 'asc' ? '↑' : '↓'}
-                        </span>
-                      )}
-                    </div>
-                  </th>
-                  <th 
-                    className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'} cursor-pointer hover:bg-opacity-80 select-none`}
-                    onClick={() => handleSort('paymentDate')}
-                  >
-                    <div className="flex items-center gap-1">
-                      Payment Date
-                      {sortBy === 'paymentDate' && (
-                        <span className="text-xs">
-                          {sortDirection === 'asc' ? '↑' : '↓'}
-                        </span>
-                      )}
-                    </div>
-                  </th>
-                  <th className={`text-right p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Amount</th>
-                  <th className={`text-right p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Applied</th>
-                  <th className={`text-right p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Unapplied</th>
-                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Notes</th>
+                  {TABLE_COLUMNS.map((c) => (
+                    <SortableHeader key={c.key} label={isGrouped && c.key === "paymentAmount" ? "Collected" : c.label} column={c.key} align={c.align} sorts={sorts} onSort={handleSort} darkMode={darkMode} />
+                  ))}
                 </tr>
               </thead>
               <tbody>
-                {sortedFiltered.map((r, idx) => (
+                {isGrouped && pageRows.map((g) => (
+                  <PaymentGroupRows
+                    key={g.paymentId}
+                    group={g}
+                    facilityRows={expandedPayments.has(g.paymentId) ? groupRows(g) : []}
+                    isExpanded={expandedPayments.has(g.paymentId)}
+                    onToggle={() => toggleExpanded(g.paymentId)}
+                    darkMode={darkMode}
+                  />
+                ))}
+                {!isGrouped && pageRows.map((r, idx) => (
                   <tr
                     key={`${r.paymentId}-${r.facility}-${idx}`}
                     className={`${darkMode ? 'border-gray-700' : 'border-gray-200'} border-t hover:bg-opacity-50 ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}
@@ -1173,15 +1465,15 @@ export default function PaymentsDashboard() {
                     <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.payer}</td>
                     <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.paymentType}</td>
                     <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.checkNumber}</td>
-                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.dateEntered ? r.dateEntered.toISOString().slice(0, 10) : ""}</td>
-                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.paymentDate ? r.paymentDate.toISOString().slice(0, 10) : ""}</td>
+                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{formatDay(r.dateEntered)}</td>
+                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{formatDay(r.paymentDate)}</td>
                     <td className={`p-2 text-right ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.paymentAmount.toFixed(2)}</td>
                     <td className={`p-2 text-right ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{Number.isFinite(r.appliedAmount) ? r.appliedAmount.toFixed(2) : ""}</td>
                     <td className={`p-2 text-right ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{Number.isFinite(r.unappliedAmount) ? r.unappliedAmount.toFixed(2) : ""}</td>
                     <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{r.notes}</td>
                   </tr>
                 ))}
-                {sortedFiltered.length === 0 && (
+                {tableItems.length === 0 && (
                   <tr>
                     <td colSpan="12" className={`p-4 text-center ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>No rows match your filters.</td>
                   </tr>
@@ -1189,6 +1481,16 @@ export default function PaymentsDashboard() {
               </tbody>
             </table>
           </div>
+          <div className="mt-3">
+            <Pagination
+              total={tableItems.length}
+              page={currentPage}
+              pageSize={pageSize}
+              onPageChange={setPage}
+              onPageSizeChange={setPageSize}
+              darkMode={darkMode}
+            />
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,12 @@
+import { describe, it, expect } from "vitest";
+import { renderToString } from "react-dom/server";
+import PaymentsDashboard from "./PaymentsDashboard";
+
+// Server render runs every memo and the whole JSX tree (no effects), so wiring mistakes such as a
+// panel handed the wrong series fail here instead of in the browser
+describe("PaymentsDashboard", () => {
+  it("renders with no data loaded", () => {
+    const html = renderToString(<PaymentsDashboard />);
+    expect(html).toContain("Filtered rows");
+  });
+});
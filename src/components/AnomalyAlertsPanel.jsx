@@ -0,0 +1,124 @@
+import { useMemo, useState } from "react";
+import { ANOMALY_TYPES, anomalyCounts, normalizeAnomalySettings } from "../lib/anomalies";
+import { parseDay } from "../lib/dates";
+
+const fmtMoney = (n) => `${n < 0 ? "-" : ""}$${Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const weekday = (day) => parseDay(day).toLocaleDateString("en-US", { weekday: "short" });
+// Threshold edits save on blur / Enter rather than per keystroke
+const blurOnEnter = (e) => e.key === "Enter" && e.target.blur();
+
+const SETTING_INPUTS = [
+  { key: "spikeFactor", label: "Spike at", suffix: "× baseline", step: 0.5 },
+  { key: "lowRatio", label: "Low at", suffix: "× baseline", step: 0.05 },
+  { key: "minBaseline", label: "Ignore baselines under $", suffix: "", step: 50 },
+  { key: "minHistory", label: "Needs", suffix: "weeks of history", step: 1 },
+];
+
+// Days where a facility + payment type collected far from its usual amount for that weekday (see
+// lib/anomalies). alerts cover all loaded payments; the trend chart marks the days of those within its
+// facility and payment type filters.
+export default function AnomalyAlertsPanel({ alerts, settings, onSettingsChange, dateFieldLabel, darkMode = false }) {
+  const [type, setType] = useState("");
+  const counts = useMemo(() => anomalyCounts(alerts), [alerts]);
+  const visible = type ? alerts.filter((a) => a.type === type) : alerts;
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const head = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const input = `w-20 border rounded-md px-2 py-1 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`;
+  const badge = {
+    zero: darkMode ? 'bg-red-900/40 text-red-300' : 'bg-red-100 text-red-800',
+    low: darkMode ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-800',
+    spike: darkMode ? 'bg-purple-900/40 text-purple-300' : 'bg-purple-100 text-purple-800',
+  };
+
+  const commit = (key, value) => {
+    const next = normalizeAnomalySettings({ ...settings, [key]: value });
+    if (next[key] !== settings[key]) onSettingsChange(next);
+  };
+
+  return (
+    <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div>
+          <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Collection alerts</h2>
+          <div className={`text-sm ${muted}`}>Daily totals per facility and payment type vs. the same weekday, by {dateFieldLabel}</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => setType("")}
+            className={`rounded-full px-3 py-1 text-xs font-semibold border ${!type ? 'border-blue-500' : (darkMode ? 'border-gray-600' : 'border-gray-300')} ${muted}`}
+          >
+            All {alerts.length.toLocaleString()}
+          </button>
+          {Object.entries(ANOMALY_TYPES).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setType(type === key ? "" : key)}
+              className={`rounded-full px-3 py-1 text-xs font-semibold border ${type === key ? 'border-blue-500' : 'border-transparent'} ${badge[key]}`}
+            >
+              {label} {counts[key].toLocaleString()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={`flex flex-wrap items-center gap-4 mb-3 text-sm ${muted}`}>
+        {SETTING_INPUTS.map((s) => (
+          <label key={s.key} className="flex items-center gap-2">
+            {s.label}
+            <input
+              key={settings[s.key]}
+              type="number"
+              min="0"
+              step={s.step}
+              defaultValue={settings[s.key]}
+              onBlur={(e) => commit(s.key, e.target.value)}
+              onKeyDown={blurOnEnter}
+              className={input}
+            />
+            {s.suffix}
+          </label>
+        ))}
+      </div>
+
+      <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+              <th className={`${head} text-left`}>Day</th>
+              <th className={`${head} text-left`}>Facility</th>
+              <th className={`${head} text-left`}>Payment Type</th>
+              <th className={`${head} text-right`}>Collected</th>
+              <th className={`${head} text-right`}>Usual for weekday</th>
+              <th className={`${head} text-left`}>Alert</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((a) => (
+              <tr key={`${a.day}|${a.facility}|${a.paymentType}`} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <td className={`${cell} whitespace-nowrap`}>{weekday(a.day)} {a.day}</td>
+                <td className={cell}>{a.facility}</td>
+                <td className={cell}>{a.paymentType}</td>
+                <td className={`${cell} text-right tabular-nums font-semibold`}>{fmtMoney(a.amount)}</td>
+                <td className={`${cell} text-right tabular-nums`} title={`Average of ${a.history} other ${weekday(a.day)}s`}>{fmtMoney(a.baseline)}</td>
+                <td className={cell}>
+                  <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${badge[a.type]}`}>
+                    {ANOMALY_TYPES[a.type]}{a.type === "spike" && a.baseline > 0 ? ` ${(a.amount / a.baseline).toFixed(1)}×` : ""}
+                  </span>
+                </td>
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan="6" className={`p-4 text-center ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  No alerts. A baseline needs {settings.minHistory} other weeks of the same weekday.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
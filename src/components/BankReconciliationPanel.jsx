@@ -0,0 +1,345 @@
+import { useMemo, useState } from "react";
+import { BANK_FIELDS, MATCH_KINDS, findBankHeaderRow, guessBankMapping, parseBankStatement } from "../lib/bankDeposits";
+import { ACCEPTED_EXTENSIONS, readReportRows } from "../lib/reportFiles";
+import { formatDay } from "../lib/dates";
+
+const fmtMoney = (n) => `${n < 0 ? "-" : ""}$${Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const PREVIEW_ROWS = 5;
+const REQUIRED_FIELDS = ["date", "amount"];
+
+// Import a bank statement, map its columns, then review how deposits line up with the loaded payments
+// (see lib/bankDeposits). reconciliation is reconcileDeposits() output, or null before an import.
+export default function BankReconciliationPanel({ statement, reconciliation, onImport, onClear, onMatch, onUnmatch, darkMode = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [pending, setPending] = useState(null); // { fileName, rows, headerRow, mapping } while mapping columns
+  const [error, setError] = useState("");
+  const [tab, setTab] = useState("matched");
+  const [depositId, setDepositId] = useState("");
+  const [paymentIds, setPaymentIds] = useState([]);
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const head = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const select = `border rounded-md px-2 py-1 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`;
+  const rowBorder = `border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`;
+  const tableBox = `overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`;
+  const primary = "rounded-md bg-blue-600 px-3 py-1 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed";
+  const secondary = `rounded-md border px-3 py-1 text-sm ${darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`;
+  const badge = darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-700';
+
+  const chooseFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const rows = await readReportRows(file);
+      const headerRow = findBankHeaderRow(rows);
+      setPending({ fileName: file.name, rows, headerRow, mapping: guessBankMapping(rows[headerRow] || []) });
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message || err}`);
+    }
+  };
+
+  const preview = useMemo(
+    () => (pending ? parseBankStatement(pending.rows, pending.mapping, pending.headerRow) : null),
+    [pending]
+  );
+  const canImport = pending && REQUIRED_FIELDS.every((f) => pending.mapping[f] >= 0) && preview.deposits.length > 0;
+
+  const confirmImport = () => {
+    onImport({ fileName: pending.fileName, deposits: preview.deposits });
+    setPending(null);
+    setTab("matched");
+  };
+
+  const selectedDeposit = reconciliation?.unmatchedDeposits.find((d) => d.id === depositId);
+  const selectedPayments = reconciliation ? reconciliation.unmatchedPayments.filter((p) => paymentIds.includes(p.paymentId)) : [];
+  const selectedTotal = selectedPayments.reduce((sum, p) => sum + p.amount, 0);
+
+  const confirmMatch = () => {
+    onMatch(selectedDeposit.id, selectedPayments.map((p) => p.paymentId));
+    setDepositId("");
+    setPaymentIds([]);
+  };
+
+  const togglePayment = (pid) =>
+    setPaymentIds(paymentIds.includes(pid) ? paymentIds.filter((id) => id !== pid) : [...paymentIds, pid]);
+
+  const matchedTotal = reconciliation ? reconciliation.matches.reduce((sum, m) => sum + m.deposit.amount, 0) : 0;
+  const depositsTotal = reconciliation ? reconciliation.unmatchedDeposits.reduce((sum, d) => sum + d.amount, 0) : 0;
+  const paymentsTotal = reconciliation ? reconciliation.unmatchedPayments.reduce((sum, p) => sum + p.amount, 0) : 0;
+
+  const tabs = reconciliation && {
+    matched: `Matched ${reconciliation.matches.length}`,
+    unmatched: `Unmatched ${reconciliation.unmatchedDeposits.length} deposits · ${reconciliation.unmatchedPayments.length} payments`,
+  };
+
+  return (
+    <div className={`shadow-sm border rounded-lg transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`w-full px-4 py-3 flex items-center justify-between ${darkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'}`}
+      >
+        <div className="flex items-center gap-3">
+          <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Bank deposits</h2>
+          {reconciliation && (
+            <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${reconciliation.unmatchedDeposits.length > 0
+              ? (darkMode ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-800')
+              : (darkMode ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-800')}`}>
+              {reconciliation.matches.length} matched · {reconciliation.unmatchedDeposits.length} unmatched deposits
+            </span>
+          )}
+        </div>
+        <svg
+          className={`w-5 h-5 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className={`p-4 space-y-3 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className={`text-sm ${muted}`}>
+              {statement
+                ? `${statement.fileName || "Bank statement"} · ${statement.deposits.length.toLocaleString()} deposits`
+                : "Import a bank statement export (date, amount, description) to match deposits to payments."}
+            </div>
+            <div className="flex items-center gap-2">
+              <label className={`${primary} cursor-pointer`}>
+                {statement ? "Replace statement" : "Import statement"}
+                <input type="file" accept={ACCEPTED_EXTENSIONS.join(",")} onChange={chooseFile} className="hidden" />
+              </label>
+              {statement && (
+                <button onClick={onClear} className={secondary}>
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+          {error && <div className={`text-sm ${darkMode ? 'text-red-400' : 'text-red-600'}`}>{error}</div>}
+
+          {pending && (
+            <div className={`border rounded-md p-3 space-y-3 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+              <div className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Map columns · {pending.fileName}</div>
+              <div className="flex flex-wrap gap-3">
+                {Object.entries(BANK_FIELDS).map(([field, label]) => (
+                  <label key={field} className={`flex flex-col gap-1 text-xs ${muted}`}>
+                    {label}{REQUIRED_FIELDS.includes(field) && " *"}
+                    <select
+                      value={pending.mapping[field]}
+                      onChange={(e) => setPending({ ...pending, mapping: { ...pending.mapping, [field]: Number(e.target.value) } })}
+                      className={select}
+                    >
+                      <option value={-1}>(none)</option>
+                      {(pending.rows[pending.headerRow] || []).map((h, i) => (
+                        <option key={i} value={i}>{String(h || `Column ${i + 1}`)}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className={tableBox}>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                      <th className={`${head} text-left`}>Date</th>
+                      <th className={`${head} text-left`}>Description</th>
+                      <th className={`${head} text-left`}>Reference</th>
+                      <th className={`${head} text-right`}>Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.deposits.slice(0, PREVIEW_ROWS).map((d) => (
+                      <tr key={d.id} className={rowBorder}>
+                        <td className={cell}>{d.date}</td>
+                        <td className={cell}>{d.description}</td>
+                        <td className={cell}>{d.reference}</td>
+                        <td className={`${cell} text-right tabular-nums`}>{fmtMoney(d.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className={`text-sm ${muted}`}>
+                  {preview.deposits.length.toLocaleString()} deposits · {preview.skipped.toLocaleString()} rows skipped (withdrawals, blank or unreadable)
+                </div>
+                <div className="flex items-center gap-2">
+                  <button onClick={() => setPending(null)} className={secondary}>Cancel</button>
+                  <button onClick={confirmImport} disabled={!canImport} className={primary}>
+                    Import {preview.deposits.length.toLocaleString()} deposits
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {reconciliation && !pending && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                {[
+                  ["Matched deposits", matchedTotal, reconciliation.matches.length],
+                  ["Unmatched deposits", depositsTotal, reconciliation.unmatchedDeposits.length],
+                  ["Unmatched payments", paymentsTotal, reconciliation.unmatchedPayments.length],
+                ].map(([label, amount, count]) => (
+                  <div key={label} className={`rounded-lg border p-2 ${darkMode ? 'border-gray-600 bg-gray-700/40' : 'border-gray-200 bg-gray-50'}`}>
+                    <div className={`text-xs font-medium ${muted}`}>{label}</div>
+                    <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>{fmtMoney(amount)}</div>
+                    <div className={`text-xs ${muted}`}>{count.toLocaleString()}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className={`inline-flex rounded-md border text-sm overflow-hidden ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                {Object.entries(tabs).map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setTab(key)}
+                    className={`px-3 py-1 ${tab === key ? 'bg-blue-600 text-white' : (darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100')}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {tab === "matched" && (
+                <div className={tableBox}>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                        <th className={`${head} text-left`}>Deposit Date</th>
+                        <th className={`${head} text-left`}>Description</th>
+                        <th className={`${head} text-right`}>Deposit</th>
+                        <th className={`${head} text-left`}>Match</th>
+                        <th className={`${head} text-left`}>Payments</th>
+                        <th className={`${head} text-right`}>Difference</th>
+                        <th className={head}></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {reconciliation.matches.map((m) => {
+                        const ids = m.payments.map((p) => p.paymentId).join(", ");
+                        return (
+                          <tr key={m.deposit.id} className={rowBorder}>
+                            <td className={cell}>{m.deposit.date}</td>
+                            <td className={`${cell} max-w-xs truncate`} title={m.deposit.description}>{m.deposit.description}</td>
+                            <td className={`${cell} text-right tabular-nums`}>{fmtMoney(m.deposit.amount)}</td>
+                            <td className={cell}>
+                              <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${badge}`}>{MATCH_KINDS[m.kind]}</span>
+                            </td>
+                            <td className={`${cell} max-w-xs truncate`} title={ids}>
+                              {m.payments.length === 1
+                                ? `${m.payments[0].paymentId} · ${m.payments[0].payer}`
+                                : `${m.payments.length} payments · ${Array.from(new Set(m.payments.map((p) => p.paymentType))).join(", ")} · ${formatDay(m.payments[0].date)}`}
+                            </td>
+                            <td className={`${cell} text-right tabular-nums ${Math.abs(m.difference) >= 0.005 ? (darkMode ? 'text-amber-300' : 'text-amber-700') : ''}`}>
+                              {fmtMoney(m.difference)}
+                            </td>
+                            <td className={`${cell} text-right`}>
+                              <button onClick={() => onUnmatch(m.deposit.id)} className="text-sm text-blue-600 hover:text-blue-700 underline">
+                                Unmatch
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                      {reconciliation.matches.length === 0 && (
+                        <tr>
+                          <td colSpan="7" className="p-4 text-center text-gray-500">No deposits matched yet.</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {tab === "unmatched" && (
+                <>
+                  <div className={`flex flex-wrap items-center justify-between gap-2 text-sm ${muted}`}>
+                    <div>
+                      {selectedDeposit
+                        ? `Deposit ${fmtMoney(selectedDeposit.amount)} ↔ ${selectedPayments.length} payments ${fmtMoney(selectedTotal)} · difference ${fmtMoney(selectedDeposit.amount - selectedTotal)}`
+                        : "Pick a deposit and the payments it contains to match them by hand."}
+                    </div>
+                    <button onClick={confirmMatch} disabled={!selectedDeposit || selectedPayments.length === 0} className={primary}>
+                      Match selected
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+                    <div className={tableBox}>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                            <th className={head}></th>
+                            <th className={`${head} text-left`}>Deposit Date</th>
+                            <th className={`${head} text-left`}>Description</th>
+                            <th className={`${head} text-right`}>Amount</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {reconciliation.unmatchedDeposits.map((d) => (
+                            <tr key={d.id} className={`${rowBorder} cursor-pointer`} onClick={() => setDepositId(d.id === depositId ? "" : d.id)}>
+                              <td className={cell}>
+                                <input type="radio" readOnly checked={d.id === depositId} />
+                              </td>
+                              <td className={cell}>{d.date}</td>
+                              <td className={`${cell} max-w-xs truncate`} title={d.description}>{d.description}</td>
+                              <td className={`${cell} text-right tabular-nums`}>{fmtMoney(d.amount)}</td>
+                            </tr>
+                          ))}
+                          {reconciliation.unmatchedDeposits.length === 0 && (
+                            <tr>
+                              <td colSpan="4" className="p-4 text-center text-gray-500">Every deposit is matched.</td>
+                            </tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                    <div className={tableBox}>
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                            <th className={head}></th>
+                            <th className={`${head} text-left`}>Payment</th>
+                            <th className={`${head} text-left`}>Type</th>
+                            <th className={`${head} text-left`}>Payment Date</th>
+                            <th className={`${head} text-right`}>Amount</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {reconciliation.unmatchedPayments.map((p) => (
+                            <tr key={p.paymentId} className={`${rowBorder} cursor-pointer`} onClick={() => togglePayment(p.paymentId)}>
+                              <td className={cell}>
+                                <input type="checkbox" readOnly checked={paymentIds.includes(p.paymentId)} />
+                              </td>
+                              <td className={cell} title={p.checkNumber ? `Check # ${p.checkNumber}` : undefined}>
+                                {p.paymentId} · {p.payer}
+                              </td>
+                              <td className={cell}>{p.paymentType}</td>
+                              <td className={cell}>{formatDay(p.date)}</td>
+                              <td className={`${cell} text-right tabular-nums`}>{fmtMoney(p.amount)}</td>
+                            </tr>
+                          ))}
+                          {reconciliation.unmatchedPayments.length === 0 && (
+                            <tr>
+                              <td colSpan="5" className="p-4 text-center text-gray-500">No unmatched payments in the statement period.</td>
+                            </tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { COMPARE_MODES } from "../lib/comparison";
+import { parseDay } from "../lib/dates";
+
+const fmtDay = (s) => (s ? parseDay(s).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) : "…");
+
+// Compare bar above the KPI cards: pick a relative period, a custom range or another saved dataset.
+// `comparison` is the resolved result from the aggregate worker, used to show which dates are compared.
+export default function ComparisonControls({ compare, onChange, datasets, activeDatasetId, comparison, darkMode = false }) {
+  const input = `rounded-md border px-2 py-1 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`;
+  const otherDatasets = datasets.filter((d) => d.id !== activeDatasetId);
+
+  return (
+    <div className={`flex flex-wrap items-center gap-3 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+      <label className="flex items-center gap-2 font-medium">
+        Compare to
+        <select value={compare.mode} onChange={(e) => onChange({ ...compare, mode: e.target.value })} className={input}>
+          {Object.entries(COMPARE_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode} disabled={mode === "dataset" && otherDatasets.length === 0}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {compare.mode === "range" && (
+        <>
+          <input type="date" value={compare.fromDate} onChange={(e) => onChange({ ...compare, fromDate: e.target.value })} className={input} />
+          <span>to</span>
+          <input type="date" value={compare.toDate} onChange={(e) => onChange({ ...compare, toDate: e.target.value })} className={input} />
+        </>
+      )}
+
+      {compare.mode === "dataset" && (
+        <select value={compare.datasetId} onChange={(e) => onChange({ ...compare, datasetId: e.target.value })} className={input}>
+          <option value="">Choose a dataset…</option>
+          {otherDatasets.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+        </select>
+      )}
+
+      {compare.mode !== "off" && (
+        <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+          {comparison
+            ? `${fmtDay(comparison.primaryFromDate)} – ${fmtDay(comparison.primaryToDate)} vs ${fmtDay(comparison.fromDate)} – ${fmtDay(comparison.toDate)}`
+            : compare.mode === "dataset" && !compare.datasetId ? "" : "Nothing to compare yet"}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { DATE_FIELDS, MISSING_DATE_OPTIONS } from "../lib/filterState";
+import { DATE_RANGE_PRESETS, datePresetRange } from "../lib/dateRangePresets";
+
+// From / To filter column: which date it applies to, quick ranges, and what to do with rows that lack the date.
+// onChange receives a partial filter state ({ fromDate, toDate }, { dateField } or { missingDates }).
+export default function DateRangeFilter({ fromDate, toDate, dateField, missingDates, onChange, darkMode = false }) {
+  const label = `block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`;
+  const input = `border rounded-lg p-2.5 w-full transition-all focus:ring-2 focus:outline-none font-medium ${darkMode
+    ? 'bg-gray-700/50 border-gray-600 text-white focus:border-blue-500 focus:ring-blue-500/20'
+    : 'bg-white border-gray-300 focus:border-blue-500 focus:ring-blue-500/20'
+    }`;
+  const small = `border rounded-lg px-2 py-1.5 w-full text-sm ${darkMode ? 'bg-gray-700/50 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`;
+  const fieldLabel = DATE_FIELDS[dateField];
+
+  return (
+    <div className="space-y-3">
+      <label className={label}>
+        Filter by
+        <select value={dateField} onChange={(e) => onChange({ dateField: e.target.value })} className={`${small} mt-2 font-normal`}>
+          {Object.entries(DATE_FIELDS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+        </select>
+      </label>
+      <select
+        value=""
+        onChange={(e) => {
+          const range = datePresetRange(e.target.value);
+          if (range) onChange(range);
+        }}
+        className={small}
+      >
+        <option value="">Quick range…</option>
+        {Object.entries(DATE_RANGE_PRESETS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+      </select>
+      <label className={label}>From {fieldLabel}</label>
+      <input type="date" className={input} value={fromDate} onChange={(e) => onChange({ fromDate: e.target.value })} />
+      <label className={`${label} mt-2`}>To {fieldLabel}</label>
+      <input type="date" className={input} value={toDate} onChange={(e) => onChange({ toDate: e.target.value })} />
+      <div className="flex items-center gap-2">
+        <select
+          value={missingDates}
+          onChange={(e) => onChange({ missingDates: e.target.value })}
+          className={small}
+          title={`Rows with no ${fieldLabel}`}
+        >
+          {Object.entries(MISSING_DATE_OPTIONS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+        </select>
+        {(fromDate || toDate) && (
+          <button onClick={() => onChange({ fromDate: "", toDate: "" })} className="shrink-0 text-sm text-blue-600 hover:text-blue-700 underline">
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useMemo, useState } from "react";
+import { WARNING_LABELS } from "../lib/parsePaymentsReport";
+
+// Collapsible list of everything the parser skipped or found suspicious, across all loaded files.
+// warnings: [{ fileName, type, level, line, paymentId?, message }]
+export default function DiagnosticsPanel({ warnings, onExport, darkMode = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showInfo, setShowInfo] = useState(false);
+
+  const counts = useMemo(() => {
+    const m = new Map();
+    for (const w of warnings) m.set(w.type, (m.get(w.type) || 0) + 1);
+    return Array.from(m.entries()).sort((a, b) => b[1] - a[1]);
+  }, [warnings]);
+
+  const problemCount = warnings.filter((w) => w.level !== "info").length;
+  const visible = showInfo ? warnings : warnings.filter((w) => w.level !== "info");
+
+  if (warnings.length === 0) return null;
+
+  return (
+    <div className={`shadow-sm border rounded-lg transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`w-full px-4 py-3 flex items-center justify-between ${darkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'}`}
+      >
+        <div className="flex items-center gap-3">
+          <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Parse diagnostics</h2>
+          <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${problemCount > 0
+            ? (darkMode ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-800')
+            : (darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-700')}`}>
+            {problemCount} warnings · {warnings.length - problemCount} info
+          </span>
+        </div>
+        <svg
+          className={`w-5 h-5 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className={`p-4 space-y-3 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap gap-2">
+              {counts.map(([type, n]) => (
+                <span key={type} className={`rounded-md border px-2 py-1 text-xs ${darkMode ? 'border-gray-600 text-gray-300' : 'border-gray-300 text-gray-700'}`}>
+                  {WARNING_LABELS[type] || type}: <strong>{n}</strong>
+                </span>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <label className={`flex items-center gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <input type="checkbox" className="rounded" checked={showInfo} onChange={(e) => setShowInfo(e.target.checked)} />
+                Show info
+              </label>
+              <button
+                onClick={() => onExport(warnings)}
+                className="text-sm text-blue-600 hover:text-blue-700 underline"
+              >
+                Export diagnostics
+              </button>
+            </div>
+          </div>
+
+          <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>File</th>
+                  <th className={`text-right p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Line</th>
+                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Type</th>
+                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Payment ID</th>
+                  <th className={`text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((w, i) => (
+                  <tr key={`${w.fileName}-${w.line}-${w.type}-${i}`} className={`${darkMode ? 'border-gray-700' : 'border-gray-200'} border-t`}>
+                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{w.fileName}</td>
+                    <td className={`p-2 text-right ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{w.line ?? ""}</td>
+                    <td className={`p-2 ${w.level === "info" ? (darkMode ? 'text-gray-400' : 'text-gray-500') : (darkMode ? 'text-amber-400' : 'text-amber-700')}`}>
+                      {WARNING_LABELS[w.type] || w.type}
+                    </td>
+                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{w.paymentId || ""}</td>
+                    <td className={`p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{w.message}</td>
+                  </tr>
+                ))}
+                {visible.length === 0 && (
+                  <tr>
+                    <td colSpan="5" className={`p-4 text-center ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>No warnings. Tick "Show info" to see informational notes.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { DUPLICATE_REASONS } from "../lib/duplicates";
+import { formatDay } from "../lib/dates";
+
+const fmtMoney = (n) => `${n < 0 ? "-" : ""}$${Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const MAX_WINDOW_DAYS = 60;
+
+// Possible double postings across all loaded payments (see lib/duplicates). Dismissed groups are hidden
+// unless "Show dismissed" is on; dismissed holds their signatures.
+export default function DuplicatesPanel({ groups, dismissed, onDismiss, onRestore, windowDays, onWindowChange, darkMode = false }) {
+  const [showDismissed, setShowDismissed] = useState(false);
+  const dismissedSet = new Set(dismissed);
+  const open = groups.filter((g) => !dismissedSet.has(g.signature));
+  const visible = showDismissed ? groups : open;
+  const openExposure = open.reduce((sum, g) => sum + g.exposure, 0);
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const head = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const badge = darkMode ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-800';
+
+  return (
+    <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div>
+          <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Possible duplicates</h2>
+          <div className={`text-sm ${muted}`}>
+            {open.length.toLocaleString()} to review · {fmtMoney(openExposure)} at risk
+            {groups.length > open.length && ` · ${(groups.length - open.length).toLocaleString()} dismissed`}
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className={`flex items-center gap-2 text-sm ${muted}`}>
+            Same amount within
+            <input
+              type="number"
+              min="0"
+              max={MAX_WINDOW_DAYS}
+              value={windowDays}
+              onChange={(e) => {
+                const n = Math.round(Number(e.target.value));
+                if (Number.isFinite(n)) onWindowChange(Math.min(MAX_WINDOW_DAYS, Math.max(0, n)));
+              }}
+              className={`w-16 border rounded-md px-2 py-1 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`}
+            />
+            days
+          </label>
+          <label className={`flex items-center gap-2 text-sm ${muted}`}>
+            <input type="checkbox" checked={showDismissed} onChange={(e) => setShowDismissed(e.target.checked)} />
+            Show dismissed
+          </label>
+        </div>
+      </div>
+
+      <div className="space-y-3 max-h-[32rem] overflow-auto">
+        {visible.map((g) => {
+          const isDismissed = dismissedSet.has(g.signature);
+          return (
+            <div
+              key={g.signature}
+              className={`border rounded-md ${darkMode ? 'border-gray-700' : 'border-gray-300'} ${isDismissed ? 'opacity-60' : ''}`}
+            >
+              <div className={`flex flex-wrap items-center justify-between gap-2 px-3 py-2 ${darkMode ? 'bg-gray-700/40' : 'bg-gray-50'}`}>
+                <div className="flex flex-wrap items-center gap-2">
+                  {g.reasons.map((r) => (
+                    <span key={r} className={`rounded-full px-2 py-0.5 text-xs font-medium ${badge}`}>{DUPLICATE_REASONS[r]}</span>
+                  ))}
+                  <span className={`text-sm ${muted}`}>
+                    {g.payments.length} payments · {fmtMoney(g.exposure)} at risk
+                  </span>
+                </div>
+                {isDismissed ? (
+                  <button onClick={() => onRestore(g.signature)} className="text-sm text-blue-600 hover:text-blue-700 underline">
+                    Restore
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => onDismiss(g.signature)}
+                    className={`rounded-md border px-3 py-1 text-sm ${darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                  >
+                    Not a duplicate
+                  </button>
+                )}
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr>
+                    <th className={`${head} text-left`}>Payment ID</th>
+                    <th className={`${head} text-left`}>Payer</th>
+                    <th className={`${head} text-left`}>Type</th>
+                    <th className={`${head} text-left`}>Check #</th>
+                    <th className={`${head} text-left`}>Payment Date</th>
+                    <th className={`${head} text-left`}>Facilities</th>
+                    <th className={`${head} text-right`}>Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {g.payments.map((p) => (
+                    <tr key={p.paymentId} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                      <td className={cell}>{p.paymentId}</td>
+                      <td className={cell}>{p.payer}</td>
+                      <td className={cell}>{p.paymentType}</td>
+                      <td className={cell}>{p.checkNumber}</td>
+                      <td className={cell}>{formatDay(p.date)}</td>
+                      <td className={`${cell} max-w-xs truncate`} title={p.facilities.join(", ")}>{p.facilities.join(", ")}</td>
+                      <td className={`${cell} text-right tabular-nums`}>{fmtMoney(p.paymentAmount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+        {visible.length === 0 && (
+          <div className={`p-4 text-center text-sm ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+            {groups.length === 0 ? "No possible duplicates found." : "All possible duplicates have been dismissed."}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { useMemo, useState } from "react";
+import { EXCEPTION_TYPES, exceptionCounts } from "../lib/exceptions";
+import { formatDay } from "../lib/dates";
+
+const fmtMoney = (n) => `${n < 0 ? "-" : ""}$${Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Overapplied, refund / reversal and zero-amount payments in the current filters (see lib/exceptions).
+// Chips filter the list by type; exceptions is the aggregate worker's series.
+export default function ExceptionsPanel({ exceptions, onExport, darkMode = false }) {
+  const [type, setType] = useState("");
+  const counts = useMemo(() => exceptionCounts(exceptions), [exceptions]);
+  const visible = type ? exceptions.filter((e) => e.types.includes(type)) : exceptions;
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const head = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const badge = {
+    overapplied: darkMode ? 'bg-purple-900/40 text-purple-300' : 'bg-purple-100 text-purple-800',
+    negative: darkMode ? 'bg-red-900/40 text-red-300' : 'bg-red-100 text-red-800',
+    zero: darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-700',
+  };
+
+  return (
+    <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Exceptions</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => setType("")}
+            className={`rounded-full px-3 py-1 text-xs font-semibold border ${!type ? 'border-blue-500' : (darkMode ? 'border-gray-600' : 'border-gray-300')} ${muted}`}
+          >
+            All {exceptions.length.toLocaleString()}
+          </button>
+          {Object.entries(EXCEPTION_TYPES).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setType(type === key ? "" : key)}
+              className={`rounded-full px-3 py-1 text-xs font-semibold border ${type === key ? 'border-blue-500' : 'border-transparent'} ${badge[key]}`}
+            >
+              {label} {counts[key].toLocaleString()}
+            </button>
+          ))}
+          <button
+            onClick={() => onExport(visible)}
+            disabled={visible.length === 0}
+            className="rounded-md bg-blue-600 px-3 py-1 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+      <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+              <th className={`${head} text-left`}>Payment ID</th>
+              <th className={`${head} text-left`}>Payer</th>
+              <th className={`${head} text-left`}>Type</th>
+              <th className={`${head} text-left`}>Payment Date</th>
+              <th className={`${head} text-right`}>Collected</th>
+              <th className={`${head} text-right`}>Applied</th>
+              <th className={`${head} text-right`}>Unapplied</th>
+              <th className={`${head} text-left`}>Flags</th>
+              <th className={`${head} text-left`}>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((e) => (
+              <tr key={e.paymentId} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <td className={cell}>{e.paymentId}</td>
+                <td className={cell}>{e.payer}</td>
+                <td className={cell}>{e.paymentType}</td>
+                <td className={cell}>{formatDay(e.paymentDate || e.dateEntered)}</td>
+                <td className={`${cell} text-right tabular-nums`}>{fmtMoney(e.collected)}</td>
+                <td className={`${cell} text-right tabular-nums`}>{fmtMoney(e.applied)}</td>
+                <td className={`${cell} text-right tabular-nums font-semibold ${e.unapplied < 0 ? (darkMode ? 'text-purple-300' : 'text-purple-700') : ''}`}>
+                  {fmtMoney(e.unapplied)}
+                </td>
+                <td className={cell}>
+                  <div className="flex flex-wrap gap-1">
+                    {e.types.map((t) => (
+                      <span key={t} className={`rounded-full px-2 py-0.5 text-xs font-medium ${badge[t]}`}>{EXCEPTION_TYPES[t]}</span>
+                    ))}
+                  </div>
+                </td>
+                <td className={`${cell} max-w-xs truncate`} title={e.notes}>{e.notes}</td>
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan="9" className={`p-4 text-center ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>No exceptions in the current filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useMemo, useState } from "react";
+import { normalizeFacility } from "../lib/parsePaymentsReport";
+import { canonicalFacility, regionOf, setAlias, setRegion } from "../lib/facilityAliases";
+
+const fmtMoney = (n) => `$${n.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+// Edits apply on blur / Enter: every change re-merges the loaded files
+const blurOnEnter = (e) => e.key === "Enter" && e.target.blur();
+
+// Collapsible editor for lib/facilityAliases: every facility name as parsed (before aliasing), the clinic
+// it counts as, and each clinic's region. sources are the loaded files with their raw parsed rows.
+export default function FacilityAliasEditor({ sources, aliasMap, onChange, darkMode = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Raw names seen in the loaded files, one per normalized form, with row counts and applied totals
+  const rawFacilities = useMemo(() => {
+    const m = new Map();
+    for (const s of sources) {
+      for (const r of s.rows) {
+        if (!r.facility) continue;
+        const norm = normalizeFacility(r.facility);
+        const entry = m.get(norm) || { name: r.facility.trim(), count: 0, applied: 0 };
+        entry.count++;
+        entry.applied += Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+        m.set(norm, entry);
+      }
+    }
+    return Array.from(m.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }, [sources]);
+
+  const clinics = useMemo(() => {
+    const m = new Map();
+    for (const f of rawFacilities) {
+      const name = canonicalFacility(aliasMap, f.name);
+      const entry = m.get(normalizeFacility(name)) || { name, variants: 0 };
+      entry.variants++;
+      m.set(normalizeFacility(name), entry);
+    }
+    return Array.from(m.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }, [rawFacilities, aliasMap]);
+
+  const aliasCount = Object.keys(aliasMap.aliases).length;
+  const regions = Array.from(new Set(Object.values(aliasMap.regions))).sort();
+
+  if (rawFacilities.length === 0) return null;
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const head = `text-left p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const input = `border rounded-md px-2 py-1 text-sm w-full ${darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500' : 'bg-white border-gray-300 text-gray-700'}`;
+
+  return (
+    <div className={`shadow-sm border rounded-lg transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`w-full px-4 py-3 flex items-center justify-between ${darkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'}`}
+      >
+        <div className="flex items-center gap-3">
+          <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Facility aliases</h2>
+          <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-700'}`}>
+            {rawFacilities.length} names · {clinics.length} clinics · {aliasCount} aliases
+          </span>
+        </div>
+        <svg
+          className={`w-5 h-5 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className={`p-4 grid grid-cols-1 lg:grid-cols-3 gap-6 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <div className="lg:col-span-2 space-y-2">
+            <p className={`text-sm ${muted}`}>
+              Type the clinic a name should count as; leave it blank to keep the name. Applies to every loaded file, the
+              filters, charts and exports, and is kept in this browser.
+            </p>
+            <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                    <th className={head}>Name in report</th>
+                    <th className={`${head} text-right`}>Rows</th>
+                    <th className={`${head} text-right`}>Applied</th>
+                    <th className={head}>Counts as clinic</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rawFacilities.map((f) => {
+                    const alias = aliasMap.aliases[normalizeFacility(f.name)] || "";
+                    return (
+                      <tr key={f.name} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <td className={cell}>{f.name}</td>
+                        <td className={`${cell} text-right tabular-nums`}>{f.count.toLocaleString()}</td>
+                        <td className={`${cell} text-right tabular-nums`}>{fmtMoney(f.applied)}</td>
+                        <td className={cell}>
+                          <input
+                            key={alias}
+                            list="facility-alias-clinics"
+                            defaultValue={alias}
+                            onBlur={(e) => e.target.value !== alias && onChange(setAlias(aliasMap, f.name, e.target.value))}
+                            onKeyDown={blurOnEnter}
+                            placeholder={f.name}
+                            className={input}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <datalist id="facility-alias-clinics">
+              {clinics.map((c) => <option key={c.name} value={c.name} />)}
+            </datalist>
+          </div>
+
+          <div className="space-y-2">
+            <p className={`text-sm ${muted}`}>Optional region or group per clinic, for the region totals.</p>
+            <div className={`overflow-auto border rounded-md max-h-96 ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+                    <th className={head}>Clinic</th>
+                    <th className={head}>Region</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {clinics.map((c) => (
+                    <tr key={c.name} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                      <td className={cell}>
+                        {c.name}
+                        {c.variants > 1 && <span className={`ml-1 text-xs ${muted}`}>({c.variants} names)</span>}
+                      </td>
+                      <td className={cell}>
+                        <input
+                          key={regionOf(aliasMap, c.name)}
+                          list="facility-alias-regions"
+                          defaultValue={regionOf(aliasMap, c.name)}
+                          onBlur={(e) => e.target.value !== regionOf(aliasMap, c.name) && onChange(setRegion(aliasMap, c.name, e.target.value))}
+                          onKeyDown={blurOnEnter}
+                          placeholder="None"
+                          className={input}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <datalist id="facility-alias-regions">
+              {regions.map((r) => <option key={r} value={r} />)}
+            </datalist>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
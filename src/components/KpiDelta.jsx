@@ -0,0 +1,23 @@
+import { delta } from "../lib/comparison";
+
+const fmtMoney = (n) => `$${Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// "▲ $1,204.50 (+8.3%) vs comparison" under a KPI value. lowerIsBetter flips the colours (unapplied).
+export default function KpiDelta({ current, previous, isMoney = true, lowerIsBetter = false, darkMode = false }) {
+  const d = delta(current, previous);
+  if (!d) return null;
+
+  const amount = isMoney ? fmtMoney(d.diff) : Math.abs(d.diff).toLocaleString();
+  const pct = d.pct === null ? "" : ` (${d.pct >= 0 ? "+" : ""}${d.pct.toFixed(1)}%)`;
+  const isFlat = Math.abs(d.diff) < 0.005;
+  const isGood = lowerIsBetter ? d.diff < 0 : d.diff > 0;
+  const color = isFlat
+    ? (darkMode ? 'text-gray-400' : 'text-gray-500')
+    : isGood ? (darkMode ? 'text-green-400' : 'text-green-700') : (darkMode ? 'text-red-400' : 'text-red-600');
+
+  return (
+    <p className={`text-xs font-medium ${color}`} title={`Comparison: ${isMoney ? fmtMoney(previous) : previous.toLocaleString()}`}>
+      {isFlat ? "No change" : `${d.diff > 0 ? "▲" : "▼"} ${amount}${pct}`} vs comparison
+    </p>
+  );
+}
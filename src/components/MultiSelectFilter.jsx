@@ -0,0 +1,99 @@
+import { useMemo, useState } from "react";
+import { LIST_MODES } from "../lib/filterState";
+
+const MAX_VISIBLE = 300; // long payer lists: type to narrow instead of rendering thousands of rows
+const fmtMoney = (n) => `$${n.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+/**
+ * Picker for one list filter (payers, payment types, facilities). options = [{ value, label }];
+ * counts = { [value]: { count, amount } } under the other filters (see facetCounts), or null while
+ * they are computed. Select all / Clear / Invert act on the options matching the search.
+ */
+export default function MultiSelectFilter({
+  label, options, selected, onChange, mode, onModeChange, counts, emptyText, darkMode = false,
+}) {
+  const [query, setQuery] = useState("");
+
+  const matching = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return q ? options.filter((o) => o.label.toLowerCase().includes(q)) : options;
+  }, [options, query]);
+
+  const selectedSet = new Set(selected);
+  const matchingValues = matching.map((o) => o.value);
+  const selectAll = () => onChange([...new Set([...selected, ...matchingValues])]);
+  const clear = () => {
+    const drop = new Set(matchingValues);
+    onChange(selected.filter((v) => !drop.has(v)));
+  };
+  const invert = () => {
+    const flip = new Set(matchingValues);
+    onChange([...selected.filter((v) => !flip.has(v)), ...matchingValues.filter((v) => !selectedSet.has(v))]);
+  };
+  const toggle = (value, checked) => onChange(checked ? [...selected, value] : selected.filter((v) => v !== value));
+
+  const isExclude = mode === "exclude";
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const action = `text-xs font-medium ${darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`;
+  const modeBtn = (active) => `px-2 py-0.5 text-xs font-medium ${active
+    ? (isExclude ? 'bg-red-600 text-white' : 'bg-blue-600 text-white')
+    : (darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-white text-gray-600 hover:bg-gray-50')}`;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <label className={`block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+          {label}
+          {selected.length > 0 && <span className={`ml-1 font-normal ${muted}`}>({selected.length} {isExclude ? "excluded" : "selected"})</span>}
+        </label>
+        <div className={`inline-flex overflow-hidden rounded-md border ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+          {Object.entries(LIST_MODES).map(([value, text]) => (
+            <button key={value} type="button" onClick={() => onModeChange(value)} className={modeBtn(mode === value)}>{text}</button>
+          ))}
+        </div>
+      </div>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={`Search ${options.length.toLocaleString()}…`}
+        className={`border rounded-lg px-2 py-1.5 w-full text-sm ${darkMode ? 'bg-gray-700/50 border-gray-600 text-white placeholder-gray-500' : 'bg-white border-gray-300 text-gray-700'}`}
+      />
+      <div className="flex items-center gap-3">
+        <button type="button" onClick={selectAll} className={action}>Select all</button>
+        <button type="button" onClick={clear} className={action}>Clear</button>
+        <button type="button" onClick={invert} className={action}>Invert</button>
+        {query && <span className={`ml-auto text-xs ${muted}`}>{matching.length.toLocaleString()} match</span>}
+      </div>
+      <div className={`max-h-56 overflow-auto rounded-xl border p-3 transition-all ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-white border-gray-300'}`}>
+        {matching.slice(0, MAX_VISIBLE).map((o) => {
+          const c = counts && counts[o.value];
+          return (
+            <label
+              key={o.value}
+              className={`flex items-center gap-2 py-1 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'} ${counts && !c ? 'opacity-50' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={selectedSet.has(o.value)}
+                onChange={(e) => toggle(o.value, e.target.checked)}
+                className="rounded"
+              />
+              <span className={`flex-1 truncate ${isExclude && selectedSet.has(o.value) ? 'line-through' : ''}`} title={o.label}>{o.label}</span>
+              {counts && (
+                <span className={`shrink-0 text-xs tabular-nums ${muted}`}>
+                  {c ? `${c.count.toLocaleString()} · ${fmtMoney(c.amount)}` : "0"}
+                </span>
+              )}
+            </label>
+          );
+        })}
+        {matching.length > MAX_VISIBLE && (
+          <div className={`pt-1 text-xs ${muted}`}>Showing {MAX_VISIBLE} of {matching.length.toLocaleString()}; type to narrow</div>
+        )}
+        {options.length === 0 && <div className={`text-sm ${muted}`}>{emptyText}</div>}
+        {options.length > 0 && matching.length === 0 && <div className={`text-sm ${muted}`}>No matches</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+const PAGE_SIZES = [50, 100, 250, 500];
+
+// "Showing X–Y of N" + page size + first/prev/next/last. page is 0-based.
+export default function Pagination({ total, page, pageSize, onPageChange, onPageSizeChange, darkMode = false }) {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const start = total === 0 ? 0 : page * pageSize + 1;
+  const end = Math.min(total, (page + 1) * pageSize);
+
+  const btn = `rounded-md border px-2 py-1 text-sm disabled:opacity-40 disabled:cursor-not-allowed ${darkMode
+    ? 'bg-gray-700 border-gray-600 text-gray-200 hover:bg-gray-600'
+    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`;
+
+  return (
+    <div className={`flex flex-wrap items-center justify-between gap-3 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+      <div>
+        Showing <strong>{start.toLocaleString()}–{end.toLocaleString()}</strong> of <strong>{total.toLocaleString()}</strong>
+      </div>
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-1">
+          Rows per page
+          <select
+            value={pageSize}
+            onChange={(e) => onPageSizeChange(Number(e.target.value))}
+            className={`rounded-md border px-1 py-1 ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+          >
+            {PAGE_SIZES.map((n) => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <button className={btn} onClick={() => onPageChange(0)} disabled={page === 0}>«</button>
+        <button className={btn} onClick={() => onPageChange(page - 1)} disabled={page === 0}>‹</button>
+        <span>Page {page + 1} of {pageCount}</span>
+        <button className={btn} onClick={() => onPageChange(page + 1)} disabled={page >= pageCount - 1}>›</button>
+        <button className={btn} onClick={() => onPageChange(pageCount - 1)} disabled={page >= pageCount - 1}>»</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { useMemo, useState } from "react";
+import { approveGroup, approvedMerges, clusterPayers, rejectGroup, removeCanonical, suggestPayerGroups } from "../lib/payerAliases";
+
+// One proposed group: untick names that don't belong, pick or type the name to keep, then approve or reject
+function SuggestionCard({ group, onApprove, onReject, darkMode }) {
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [canonical, setCanonical] = useState(group.suggested);
+  const members = group.names.filter((n) => !excluded.has(n.name));
+
+  return (
+    <div className={`rounded-lg border p-3 space-y-2 ${darkMode ? 'border-gray-600 bg-gray-700/30' : 'border-gray-200 bg-gray-50'}`}>
+      {group.names.map((n) => (
+        <label key={n.name} className={`flex items-center gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          <input
+            type="checkbox"
+            className="rounded"
+            checked={!excluded.has(n.name)}
+            onChange={(e) => {
+              const next = new Set(excluded);
+              if (e.target.checked) next.delete(n.name);
+              else next.add(n.name);
+              setExcluded(next);
+            }}
+          />
+          <span className="flex-1 truncate" title={n.name}>{n.name}</span>
+          <span className={`text-xs tabular-nums ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>{n.count.toLocaleString()} payments</span>
+          <button type="button" onClick={() => setCanonical(n.name)} className="text-xs text-blue-600 hover:text-blue-700">Use name</button>
+        </label>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={canonical}
+          onChange={(e) => setCanonical(e.target.value)}
+          className={`border rounded-md px-2 py-1 text-sm flex-1 min-w-40 ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`}
+          title="Name to show for the merged payer"
+        />
+        <button
+          type="button"
+          disabled={members.length < 2 || !canonical.trim()}
+          onClick={() => onApprove(members.map((n) => n.name), canonical.trim())}
+          className="rounded-md bg-blue-600 px-3 py-1 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Merge {members.length}
+        </button>
+        <button
+          type="button"
+          onClick={onReject}
+          className={`rounded-md border px-3 py-1 text-sm ${darkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-600' : 'border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+        >
+          Not the same
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Collapsible list of proposed payer merges (see lib/payerAliases) and the merges already approved.
+// payerCounts: Map(payer as parsed -> payments), so suggestions are made over the raw names.
+export default function PayerMergePanel({ payerCounts, aliasMap, onChange, darkMode = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Matching only runs while the panel is open, and only when the payers change: approving or
+  // rejecting a group just re-filters the clusters
+  const clusters = useMemo(() => (isOpen ? clusterPayers(payerCounts) : null), [isOpen, payerCounts]);
+  const groups = useMemo(() => (clusters ? suggestPayerGroups(payerCounts, aliasMap, clusters) : null), [clusters, payerCounts, aliasMap]);
+  const merges = useMemo(() => approvedMerges(aliasMap).filter((m) => m.keys.length > 1), [aliasMap]);
+
+  if (payerCounts.size === 0) return null;
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <div className={`shadow-sm border rounded-lg transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`w-full px-4 py-3 flex items-center justify-between ${darkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'}`}
+      >
+        <div className="flex items-center gap-3">
+          <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Payer merges</h2>
+          <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-700'}`}>
+            {groups ? `${groups.length} suggested · ` : ""}{merges.length} merged
+          </span>
+        </div>
+        <svg
+          className={`w-5 h-5 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className={`p-4 grid grid-cols-1 lg:grid-cols-2 gap-6 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <div className="space-y-3">
+            <p className={`text-sm ${muted}`}>
+              Payer names that look like the same payer (spelling, case, word order, abbreviations). Merged names apply to
+              every upload and are kept in this browser.
+            </p>
+            {groups.length === 0 && <p className={`text-sm ${muted}`}>No suggestions.</p>}
+            {groups.map((g) => (
+              <SuggestionCard
+                key={g.signature}
+                group={g}
+                onApprove={(names, canonical) => onChange(approveGroup(aliasMap, names, canonical))}
+                onReject={() => onChange(rejectGroup(aliasMap, g.signature))}
+                darkMode={darkMode}
+              />
+            ))}
+          </div>
+          <div className="space-y-2">
+            <h3 className={`text-sm font-semibold ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Merged payers</h3>
+            {merges.length === 0 && <p className={`text-sm ${muted}`}>None yet.</p>}
+            {merges.map((m) => (
+              <div key={m.canonical} className={`flex items-start justify-between gap-3 border-b pb-2 text-sm ${darkMode ? 'border-gray-700 text-gray-300' : 'border-gray-200 text-gray-700'}`}>
+                <div>
+                  <div className="font-medium">{m.canonical}</div>
+                  <div className={`text-xs ${muted}`}>{m.keys.length} name variants</div>
+                </div>
+                <button type="button" onClick={() => onChange(removeCanonical(aliasMap, m.canonical))} className="text-xs text-red-600 hover:text-red-700">
+                  Undo
+                </button>
+              </div>
+            ))}
+            {aliasMap.rejected.length > 0 && (
+              <button type="button" onClick={() => onChange({ ...aliasMap, rejected: [] })} className="text-xs text-blue-600 hover:text-blue-700 underline">
+                Show {aliasMap.rejected.length} rejected suggestion{aliasMap.rejected.length === 1 ? "" : "s"} again
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
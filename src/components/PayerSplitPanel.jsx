@@ -0,0 +1,93 @@
+import { ResponsiveContainer, BarChart, Bar, CartesianGrid, XAxis, YAxis, Tooltip, Legend } from "recharts";
+import KpiDelta from "./KpiDelta";
+import { PAYER_GROUPS } from "../lib/payerCategory";
+
+const fmtMoney = (n) => `$${n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const PATIENT_COLOR = "#f59e0b";
+const INSURANCE_COLOR = "#3b82f6";
+
+// Patient responsibility vs insurance collections: KPI split, stacked over time and by facility (applied).
+// `aggregates` is the dashboard's computeAggregates result; `comparison` drives the KPI deltas.
+export default function PayerSplitPanel({ aggregates, comparison, darkMode = false }) {
+  const { patientCollected, insuranceCollected, patientCount, insuranceCount, trend, byFacilityApplied } = aggregates;
+  const total = patientCollected + insuranceCollected;
+  const share = (n) => (total ? `${((n / total) * 100).toFixed(1)}%` : "–");
+
+  const card = `rounded-lg border p-3 ${darkMode ? 'bg-gray-700/40 border-gray-600' : 'bg-gray-50 border-gray-200'}`;
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const axis = darkMode ? '#9ca3af' : '#6b7280';
+  const tooltip = {
+    contentStyle: {
+      backgroundColor: darkMode ? '#1f2937' : '#ffffff',
+      border: darkMode ? '1px solid #4b5563' : '1px solid #e5e7eb',
+      borderRadius: '8px',
+    },
+    labelStyle: { color: darkMode ? '#d1d5db' : '#111827', fontWeight: 600 },
+    formatter: (value, name) => [fmtMoney(Number(value)), name],
+  };
+
+  const splits = [
+    { key: "patient", amount: patientCollected, count: patientCount, color: PATIENT_COLOR },
+    { key: "insurance", amount: insuranceCollected, count: insuranceCount, color: INSURANCE_COLOR },
+  ];
+
+  return (
+    <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Patient responsibility vs insurance</h2>
+        <div className={`text-sm ${muted}`}>Split by payer category; no category counts as insurance</div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+        {splits.map((s) => (
+          <div key={s.key} className={card}>
+            <div className="flex items-center gap-2">
+              <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: s.color }} />
+              <span className={`text-sm font-medium ${muted}`}>{PAYER_GROUPS[s.key]}</span>
+            </div>
+            <p className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>{fmtMoney(s.amount)}</p>
+            <p className={`text-xs ${muted}`}>{share(s.amount)} of collected · {s.count.toLocaleString()} payments</p>
+            {comparison && (
+              <KpiDelta
+                current={s.amount}
+                previous={s.key === "patient" ? comparison.patientCollected : comparison.insuranceCollected}
+                darkMode={darkMode}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="h-72">
+          <div className={`text-sm mb-1 ${muted}`}>Collected over time</div>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={trend} margin={{ top: 10, right: 20, bottom: 40, left: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#374151' : '#e5e7eb'} strokeOpacity={0.5} />
+              <XAxis dataKey="label" stroke={axis} tick={{ fontSize: 11 }} angle={-30} textAnchor="end" height={50} />
+              <YAxis stroke={axis} tick={{ fontSize: 12 }} tickFormatter={(v) => `$${v.toLocaleString()}`} />
+              <Tooltip {...tooltip} />
+              <Legend wrapperStyle={{ color: darkMode ? '#d1d5db' : '#111827' }} />
+              <Bar dataKey="patientTotal" name={PAYER_GROUPS.patient} stackId="split" fill={PATIENT_COLOR} />
+              <Bar dataKey="insuranceTotal" name={PAYER_GROUPS.insurance} stackId="split" fill={INSURANCE_COLOR} radius={[6, 6, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="h-72">
+          <div className={`text-sm mb-1 ${muted}`}>Applied by facility</div>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={byFacilityApplied} margin={{ top: 10, right: 20, bottom: 40, left: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#374151' : '#e5e7eb'} strokeOpacity={0.5} />
+              <XAxis dataKey="facility" interval={0} stroke={axis} tick={{ fontSize: 11 }} angle={-30} textAnchor="end" height={70} />
+              <YAxis stroke={axis} tick={{ fontSize: 12 }} tickFormatter={(v) => `$${v.toLocaleString()}`} />
+              <Tooltip {...tooltip} />
+              <Legend wrapperStyle={{ color: darkMode ? '#d1d5db' : '#111827' }} />
+              <Bar dataKey="patientApplied" name={PAYER_GROUPS.patient} stackId="split" fill={PATIENT_COLOR} />
+              <Bar dataKey="insuranceApplied" name={PAYER_GROUPS.insurance} stackId="split" fill={INSURANCE_COLOR} radius={[6, 6, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { Fragment } from "react";
+import { formatDay } from "../lib/dates";
+
+const money = (n) => (Number.isFinite(n) ? n.toFixed(2) : "");
+
+// One payment in the grouped Filtered rows table: a summary row (collected once, applied summed),
+// plus its per-facility applied amounts underneath when expanded. Columns match TABLE_COLUMNS.
+export default function PaymentGroupRows({ group, facilityRows, isExpanded, onToggle, darkMode = false }) {
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const subCell = `px-2 py-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const canExpand = group.rowIndexes.length > 1 || group.facilities.length > 0;
+
+  return (
+    <Fragment>
+      <tr className={`${darkMode ? 'border-gray-700 hover:bg-gray-700' : 'border-gray-200 hover:bg-gray-50'} border-t`}>
+        <td className={cell}>
+          {canExpand ? (
+            <button onClick={onToggle} className="inline-flex items-center gap-1" aria-expanded={isExpanded}>
+              <span className="w-3 text-xs">{isExpanded ? '▾' : '▸'}</span>
+              {group.paymentId}
+            </button>
+          ) : (
+            <span className="pl-4">{group.paymentId}</span>
+          )}
+        </td>
+        <td className={cell}>
+          {group.facilities.length > 1 ? `${group.facilities.length} facilities` : group.facilities[0] || ""}
+        </td>
+        <td className={cell}>{group.payerCategory}</td>
+        <td className={cell}>{group.payer}</td>
+        <td className={cell}>{group.paymentType}</td>
+        <td className={cell}>{group.checkNumber}</td>
+        <td className={cell}>{formatDay(group.dateEntered)}</td>
+        <td className={cell}>{formatDay(group.paymentDate)}</td>
+        <td className={`${cell} text-right`}>{money(group.paymentAmount)}</td>
+        <td className={`${cell} text-right`}>{money(group.appliedAmount)}</td>
+        <td className={`${cell} text-right ${Math.abs(group.unappliedAmount) > 0.005 ? 'font-medium text-orange-600' : ''}`}>
+          {money(group.unappliedAmount)}
+        </td>
+        <td className={cell}>{group.notes}</td>
+      </tr>
+      {isExpanded && facilityRows.map((r, idx) => (
+        <tr key={`${r.facilityNorm}-${idx}`} className={darkMode ? 'bg-gray-900/40' : 'bg-gray-50'}>
+          <td className={subCell} />
+          <td className={`${subCell} pl-6`} colSpan={8}>↳ {r.facility || "Unspecified"}</td>
+          <td className={`${subCell} text-right`}>{money(Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0)}</td>
+          <td className={subCell} colSpan={2} />
+        </tr>
+      ))}
+    </Fragment>
+  );
+}
@@ -0,0 +1,96 @@
+import { useRef, useState } from "react";
+
+// "Views" dropdown next to the Filters & Upload header: apply a saved preset, or manage the list.
+export default function PresetsMenu({ presets, defaultId, onApply, onSave, onRename, onDelete, onSetDefault, onExport, onImport, darkMode = false }) {
+  const [isManaging, setIsManaging] = useState(false);
+  const importInputRef = useRef(null);
+
+  const linkClass = "text-xs text-blue-600 hover:text-blue-700 underline";
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <select
+        value=""
+        onChange={(e) => {
+          const preset = presets.find((p) => p.id === e.target.value);
+          if (preset) onApply(preset);
+        }}
+        className={`rounded-lg border px-2 py-1.5 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`}
+        title="Apply a saved view"
+      >
+        <option value="">{presets.length ? "Apply view…" : "No saved views"}</option>
+        {presets.map((p) => (
+          <option key={p.id} value={p.id}>{p.id === defaultId ? `★ ${p.name}` : p.name}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => setIsManaging(!isManaging)}
+        className={`rounded-lg border px-2 py-1.5 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-gray-200 hover:bg-gray-600' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+      >
+        Views
+      </button>
+
+      {isManaging && (
+        <div className={`absolute right-0 top-full z-20 mt-2 w-80 rounded-lg border p-3 shadow-lg ${darkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-200 text-gray-800'}`}>
+          <button
+            onClick={() => {
+              const name = prompt("Name for this view:");
+              if (name) onSave(name);
+            }}
+            className="w-full rounded-md bg-blue-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-700"
+          >
+            Save current filters as view…
+          </button>
+
+          <ul className={`mt-3 max-h-64 overflow-auto divide-y text-sm ${darkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+            {presets.map((p) => (
+              <li key={p.id} className="py-2">
+                <div className="font-medium truncate">{p.id === defaultId ? "★ " : ""}{p.name}</div>
+                <div className="flex gap-3 mt-1">
+                  <button className={linkClass} onClick={() => onApply(p)}>Apply</button>
+                  <button
+                    className={linkClass}
+                    onClick={() => {
+                      const name = prompt("Rename view:", p.name);
+                      if (name) onRename(p.id, name);
+                    }}
+                  >
+                    Rename
+                  </button>
+                  <button className={linkClass} onClick={() => onSetDefault(p.id)}>
+                    {p.id === defaultId ? "Unset default" : "Set default"}
+                  </button>
+                  <button
+                    className="text-xs text-red-600 hover:text-red-700 underline"
+                    onClick={() => {
+                      if (confirm(`Delete view "${p.name}"?`)) onDelete(p.id);
+                    }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+            {presets.length === 0 && <li className={`py-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>No saved views yet.</li>}
+          </ul>
+
+          <div className={`mt-3 pt-3 border-t flex justify-between ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <button className={linkClass} onClick={onExport} disabled={presets.length === 0}>Export JSON</button>
+            <button className={linkClass} onClick={() => importInputRef.current?.click()}>Import JSON</button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) onImport(file);
+                e.target.value = "";
+              }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { QUERY_FIELDS, QUERY_OPERATORS, countRules, isGroup, newRule, ruleError } from "../lib/queryBuilder";
+
+const COMBINATOR_TEXT = { and: "all (AND)", or: "any (OR)" };
+const MAX_NESTING = 2; // groups inside groups; lib/queryBuilder accepts one more level from hand-edited links
+
+function styles(darkMode) {
+  return {
+    select: `border rounded-md px-2 py-1 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`,
+    input: `border rounded-md px-2 py-1 text-sm w-36 ${darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500' : 'bg-white border-gray-300 text-gray-700'}`,
+    link: `text-xs font-medium ${darkMode ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`,
+    remove: `text-sm px-1 ${darkMode ? 'text-gray-500 hover:text-red-400' : 'text-gray-400 hover:text-red-600'}`,
+  };
+}
+
+function RuleRow({ rule, onChange, onRemove, darkMode }) {
+  const s = styles(darkMode);
+  const { type } = QUERY_FIELDS[rule.field];
+  const ops = QUERY_OPERATORS[type];
+  const arity = ops[rule.op].values;
+  const error = ruleError(rule);
+  const inputType = type === "date" ? "date" : "text";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={rule.field}
+        onChange={(e) => {
+          // keep the operator and values when the new field has the same kind of values
+          const next = QUERY_FIELDS[e.target.value].type === type ? { ...rule, field: e.target.value } : newRule(e.target.value);
+          onChange(next);
+        }}
+        className={s.select}
+      >
+        {Object.entries(QUERY_FIELDS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+      </select>
+      <select value={rule.op} onChange={(e) => onChange({ ...rule, op: e.target.value })} className={s.select}>
+        {Object.entries(ops).map(([key, op]) => <option key={key} value={key}>{op.label}</option>)}
+      </select>
+      {arity >= 1 && (
+        <input
+          type={inputType}
+          value={rule.value}
+          onChange={(e) => onChange({ ...rule, value: e.target.value })}
+          placeholder={rule.op === "regex" ? "e.g. ^refund" : "value"}
+          inputMode={type === "number" ? "decimal" : undefined}
+          className={s.input}
+        />
+      )}
+      {arity === 2 && (
+        <>
+          <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>and</span>
+          <input
+            type={inputType}
+            value={rule.value2}
+            onChange={(e) => onChange({ ...rule, value2: e.target.value })}
+            placeholder="value"
+            inputMode={type === "number" ? "decimal" : undefined}
+            className={s.input}
+          />
+        </>
+      )}
+      {error && arity > 0 && <span className={`text-xs ${darkMode ? 'text-amber-400' : 'text-amber-700'}`}>{error} – skipped</span>}
+      <button type="button" onClick={onRemove} className={s.remove} title="Remove condition">✕</button>
+    </div>
+  );
+}
+
+function Group({ group, onChange, onRemove, depth, darkMode }) {
+  const s = styles(darkMode);
+  const update = (i, node) => onChange({ ...group, rules: group.rules.map((n, j) => (j === i ? node : n)) });
+  const remove = (i) => onChange({ ...group, rules: group.rules.filter((_, j) => j !== i) });
+  const add = (node) => onChange({ ...group, rules: [...group.rules, node] });
+
+  return (
+    <div className={depth > 0 ? `rounded-lg border-l-4 pl-3 py-2 space-y-2 ${darkMode ? 'border-blue-700 bg-gray-700/30' : 'border-blue-200 bg-blue-50/40'}` : 'space-y-2'}>
+      <div className="flex items-center gap-2">
+        <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Match</span>
+        <select value={group.combinator} onChange={(e) => onChange({ ...group, combinator: e.target.value })} className={s.select}>
+          {Object.entries(COMBINATOR_TEXT).map(([key, text]) => <option key={key} value={key}>{text}</option>)}
+        </select>
+        <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>of:</span>
+        {onRemove && <button type="button" onClick={onRemove} className={`${s.remove} ml-auto`} title="Remove group">✕</button>}
+      </div>
+      {group.rules.map((node, i) =>
+        isGroup(node) ? (
+          <Group key={i} group={node} onChange={(n) => update(i, n)} onRemove={() => remove(i)} depth={depth + 1} darkMode={darkMode} />
+        ) : (
+          <RuleRow key={i} rule={node} onChange={(n) => update(i, n)} onRemove={() => remove(i)} darkMode={darkMode} />
+        )
+      )}
+      <div className="flex items-center gap-3">
+        <button type="button" onClick={() => add(newRule())} className={s.link}>+ Condition</button>
+        {depth < MAX_NESTING && (
+          <button type="button" onClick={() => add({ combinator: depth % 2 ? "and" : "or", rules: [newRule()] })} className={s.link}>+ Group</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Advanced filter: AND / OR conditions on any row field, applied on top of the quick filters (see lib/queryBuilder)
+export default function QueryBuilder({ query, onChange, darkMode = false }) {
+  const count = countRules(query);
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className={`block text-sm font-semibold tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+          Advanced filter
+          {count > 0 && <span className={`ml-1 font-normal ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>({count} condition{count === 1 ? "" : "s"})</span>}
+        </label>
+        {count > 0 && (
+          <button type="button" onClick={() => onChange({ combinator: "and", rules: [] })} className="text-sm text-blue-600 hover:text-blue-700 underline">
+            Clear
+          </button>
+        )}
+      </div>
+      <Group group={query} onChange={onChange} depth={0} darkMode={darkMode} />
+    </div>
+  );
+}
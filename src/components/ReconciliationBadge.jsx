@@ -0,0 +1,67 @@
+import { useState } from "react";
+
+const fmt = (n) => `$${n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Pass/fail card for the report's printed totals vs what we parsed.
+// results: [{ fileName, hasTotals, ok, checks }] - one entry per loaded source file
+export default function ReconciliationBadge({ results, darkMode = false }) {
+  const [showDetails, setShowDetails] = useState(false);
+  const checked = results.filter((r) => r.hasTotals);
+  const ok = checked.every((r) => r.ok);
+  const failedCount = checked.reduce((n, r) => n + r.checks.filter((c) => !c.ok).length, 0);
+
+  let tone, title, subtitle;
+  if (checked.length === 0) {
+    tone = darkMode ? 'bg-gray-700/50 border-gray-600 text-gray-300' : 'bg-gray-50 border-gray-200 text-gray-700';
+    title = "Not reconciled";
+    subtitle = "No printed report totals in the loaded files";
+  } else if (ok) {
+    tone = darkMode ? 'bg-emerald-900/30 border-emerald-700 text-emerald-300' : 'bg-emerald-50 border-emerald-200 text-emerald-800';
+    title = "✓ Matches report";
+    subtitle = `${checked.reduce((n, r) => n + r.checks.length, 0)} printed totals verified`;
+  } else {
+    tone = darkMode ? 'bg-red-900/30 border-red-700 text-red-300' : 'bg-red-50 border-red-200 text-red-800';
+    title = "✗ Totals differ";
+    subtitle = `${failedCount} printed total${failedCount === 1 ? "" : "s"} don't match`;
+  }
+
+  return (
+    <div className={`relative rounded-lg p-4 border transition-colors ${tone}`}>
+      <button onClick={() => setShowDetails(!showDetails)} className="w-full text-left" disabled={checked.length === 0}>
+        <p className="text-sm font-medium">Report reconciliation</p>
+        <p className="text-xl font-semibold">{title}</p>
+        <p className="text-xs mt-1 opacity-80">{subtitle}</p>
+        {checked.length > 0 && <p className="text-xs mt-1 underline opacity-80">{showDetails ? "Hide details" : "Show details"}</p>}
+      </button>
+
+      {showDetails && checked.length > 0 && (
+        <div className={`absolute right-0 z-20 mt-2 w-[32rem] max-w-[90vw] max-h-96 overflow-auto rounded-lg border p-3 shadow-lg text-xs ${darkMode ? 'bg-gray-800 border-gray-600 text-gray-300' : 'bg-white border-gray-200 text-gray-700'}`}>
+          <p className="mb-2 opacity-80">Checked against each file's unfiltered rows; filters don't affect this badge.</p>
+          {checked.map((r) => (
+            <div key={r.sourceId} className="mb-3">
+              <p className="font-semibold mb-1">{r.ok ? "✓" : "✗"} {r.fileName}</p>
+              <table className="w-full">
+                <thead>
+                  <tr className="opacity-70">
+                    <th className="text-left font-medium">Check</th>
+                    <th className="text-right font-medium">Report</th>
+                    <th className="text-right font-medium">Dashboard</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {r.checks.map((c) => (
+                    <tr key={c.key} className={c.ok ? "" : (darkMode ? 'text-red-400' : 'text-red-700')}>
+                      <td className="pr-2">{c.ok ? "✓" : "✗"} {c.label}{c.line ? ` (line ${c.line})` : ""}</td>
+                      <td className="text-right">{fmt(c.printed)}</td>
+                      <td className="text-right">{fmt(c.computed)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+const fmtSavedAt = (ms) => new Date(ms).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+
+// Datasets persisted in IndexedDB; the open one is highlighted
+export default function SavedDatasetsList({ datasets, activeId, onOpen, onDelete, darkMode = false }) {
+  if (datasets.length === 0) return null;
+
+  return (
+    <div className="mt-4">
+      <label className={`block text-sm font-semibold mb-2 tracking-wide ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>Saved datasets</label>
+      <ul className={`max-h-56 overflow-auto divide-y rounded-xl border text-xs ${darkMode ? 'divide-gray-600 border-gray-600 bg-gray-700/50' : 'divide-gray-200 border-gray-300 bg-white'}`}>
+        {datasets.map((d) => {
+          const isActive = d.id === activeId;
+          return (
+            <li key={d.id} className={`flex items-center justify-between gap-2 p-2 ${isActive ? (darkMode ? 'bg-blue-900/30' : 'bg-blue-50') : ''}`}>
+              <button
+                onClick={() => onOpen(d.id)}
+                disabled={isActive}
+                className="min-w-0 flex-1 text-left disabled:cursor-default"
+                title={d.fileNames.join("\n")}
+              >
+                <div className={`truncate font-medium ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>{d.name}</div>
+                <div className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                  {d.rowCount} rows · saved {fmtSavedAt(d.savedAt)}{isActive ? " · open" : ""}
+                </div>
+              </button>
+              <button
+                onClick={() => {
+                  if (confirm(`Delete saved dataset "${d.name}"?`)) onDelete(d.id);
+                }}
+                className={`shrink-0 rounded px-1.5 font-bold ${darkMode ? 'text-gray-400 hover:text-red-400' : 'text-gray-400 hover:text-red-600'}`}
+                title="Delete saved dataset"
+              >
+                ×
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+// Table header cell that sorts on click and adds a secondary sort on shift-click.
+// With more than one sort active, each arrow carries its priority number.
+export default function SortableHeader({ label, column, sorts, onSort, align = "left", darkMode = false }) {
+  const index = sorts.findIndex((s) => s.key === column);
+  const sort = index >= 0 ? sorts[index] : null;
+
+  return (
+    <th
+      className={`${align === 'right' ? 'text-right' : 'text-left'} p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'} cursor-pointer hover:bg-opacity-80 select-none whitespace-nowrap`}
+      onClick={(e) => onSort(column, e.shiftKey)}
+      title="Click to sort, shift-click to add as a secondary sort"
+      aria-sort={sort ? (sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+    >
+      <div className={`flex items-center gap-1 ${align === 'right' ? 'justify-end' : ''}`}>
+        {label}
+        {sort && (
+          <span className="text-xs">
+            {sort.direction === 'asc' ? '↑' : '↓'}
+            {sorts.length > 1 && <sup>{index + 1}</sup>}
+          </span>
+        )}
+      </div>
+    </th>
+  );
+}
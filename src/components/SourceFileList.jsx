@@ -0,0 +1,34 @@
+const fmtDate = (d) => d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+export default function SourceFileList({ sources, stats, onRemove, darkMode = false }) {
+  if (sources.length === 0) return null;
+
+  return (
+    <ul className={`divide-y rounded-lg border text-left text-xs ${darkMode ? 'divide-gray-600 border-gray-600' : 'divide-gray-200 border-gray-200 bg-white'}`}>
+      {sources.map((s) => {
+        const st = stats.get(s.id);
+        return (
+          <li key={s.id} className="flex items-start justify-between gap-2 p-2">
+            <div className="min-w-0">
+              <div className={`truncate font-medium ${darkMode ? 'text-gray-200' : 'text-gray-800'}`} title={s.fileName}>
+                <span className="text-green-600">✓</span> {s.fileName}
+              </div>
+              <div className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                {st ? `${st.rowCount} rows` : ""}
+                {st && st.duplicateCount > 0 ? ` · ${st.duplicateCount} duplicates skipped` : ""}
+                {st && st.coverage ? ` · ${fmtDate(st.coverage.first)} – ${fmtDate(st.coverage.last)}` : ""}
+              </div>
+            </div>
+            <button
+              onClick={() => onRemove(s.id)}
+              className={`shrink-0 rounded px-1.5 font-bold ${darkMode ? 'text-gray-400 hover:text-red-400' : 'text-gray-400 hover:text-red-600'}`}
+              title="Remove this file"
+            >
+              ×
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
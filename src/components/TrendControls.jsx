@@ -0,0 +1,28 @@
+import { GRANULARITIES, MOVING_AVERAGE_WINDOWS } from "../lib/trend";
+import { DATE_FIELDS } from "../lib/filterState";
+
+// Bucket size, date field and moving-average window for the trend chart (see lib/trend).
+// The date field is the filters' one, so the chart and the From / To range always agree.
+export default function TrendControls({ options, onChange, dateField, onDateFieldChange, darkMode = false }) {
+  const select = `rounded-md border px-2 py-1 text-xs ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+      <select value={options.granularity} onChange={(e) => onChange({ ...options, granularity: e.target.value })} className={select} title="Bucket size">
+        {Object.entries(GRANULARITIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <select value={dateField} onChange={(e) => onDateFieldChange(e.target.value)} className={select} title="Date to bucket and filter by">
+        {Object.entries(DATE_FIELDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <select
+        value={options.movingAverage}
+        onChange={(e) => onChange({ ...options, movingAverage: Number(e.target.value) })}
+        className={select}
+        disabled={options.granularity === "dow"}
+        title="Moving average over the last N buckets"
+      >
+        {MOVING_AVERAGE_WINDOWS.map((n) => <option key={n} value={n}>{n ? `${n}-point avg` : "No moving avg"}</option>)}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import { useMemo, useState } from "react";
+import Pagination from "./Pagination";
+import { AGING_BUCKETS, WORK_STATUSES, agingSummary, buildWorkQueue } from "../lib/workQueue";
+import { formatDay } from "../lib/dates";
+
+const fmtMoney = (n) => `$${n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const AGING_LABELS = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, b.label]));
+// Free-text edits save on blur / Enter rather than per keystroke
+const blurOnEnter = (e) => e.key === "Enter" && e.target.blur();
+
+const STATUS_FILTERS = { active: "Open + researching", all: "All statuses", ...WORK_STATUSES };
+const SORTS = { amount: "Largest first", age: "Oldest first" };
+
+// Every filtered payment with money left to apply, with aging and the team's follow-up (see lib/workQueue).
+// unapplied: unappliedByPayment series; items: stored follow-ups by paymentId.
+export default function UnappliedWorkQueue({ unapplied, items, onUpdate, onExport, darkMode = false }) {
+  const [statusFilter, setStatusFilter] = useState("active");
+  const [agingFilter, setAgingFilter] = useState("");
+  const [assigneeFilter, setAssigneeFilter] = useState("");
+  const [sortBy, setSortBy] = useState("amount");
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(50);
+
+  const queue = useMemo(() => buildWorkQueue(unapplied, items), [unapplied, items]);
+  const summary = useMemo(() => agingSummary(queue), [queue]);
+  const assignees = useMemo(() => Array.from(new Set(queue.map((q) => q.assignee).filter(Boolean))).sort(), [queue]);
+
+  const visible = useMemo(() => {
+    const out = queue.filter((q) =>
+      (statusFilter === "all" || (statusFilter === "active" ? q.status !== "resolved" : q.status === statusFilter))
+      && (!agingFilter || q.aging === agingFilter)
+      && (!assigneeFilter || (assigneeFilter === "-" ? !q.assignee : q.assignee === assigneeFilter))
+    );
+    if (sortBy === "age") out.sort((a, b) => (b.ageDays ?? -1) - (a.ageDays ?? -1) || b.unapplied - a.unapplied);
+    return out;
+  }, [queue, statusFilter, agingFilter, assigneeFilter, sortBy]);
+
+  const pageCount = Math.max(1, Math.ceil(visible.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageItems = visible.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+  const visibleTotal = visible.reduce((sum, q) => sum + q.unapplied, 0);
+
+  const muted = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const select = `border rounded-md px-2 py-1 text-sm ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-700'}`;
+  const input = `border rounded-md px-2 py-1 text-sm w-full ${darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500' : 'bg-white border-gray-300 text-gray-700'}`;
+  const head = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cell = `p-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const agingColor = {
+    "0-7": darkMode ? 'text-gray-300' : 'text-gray-700',
+    "8-30": darkMode ? 'text-yellow-400' : 'text-yellow-700',
+    "31-60": darkMode ? 'text-orange-400' : 'text-orange-600',
+    "61+": darkMode ? 'text-red-400' : 'text-red-600',
+  };
+
+  return (
+    <div className={`shadow-sm border rounded-lg p-4 transition-colors ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className={`font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Unapplied work queue</h2>
+        <div className="flex items-center gap-3">
+          <div className={`text-sm ${muted}`}>
+            {visible.length.toLocaleString()} of {queue.length.toLocaleString()} payments · {fmtMoney(visibleTotal)} unapplied
+          </div>
+          <button
+            onClick={() => onExport(visible)}
+            disabled={visible.length === 0}
+            className="rounded-md bg-blue-600 px-3 py-1 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Export queue
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+        {AGING_BUCKETS.map((b) => (
+          <button
+            key={b.key}
+            onClick={() => setAgingFilter(agingFilter === b.key ? "" : b.key)}
+            className={`rounded-lg border p-2 text-left transition-colors ${agingFilter === b.key
+              ? (darkMode ? 'border-blue-500 bg-blue-900/30' : 'border-blue-500 bg-blue-50')
+              : (darkMode ? 'border-gray-600 bg-gray-700/40 hover:bg-gray-700' : 'border-gray-200 bg-gray-50 hover:bg-gray-100')}`}
+          >
+            <div className={`text-xs font-medium ${agingColor[b.key]}`}>{b.label}</div>
+            <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>{fmtMoney(summary[b.key].amount)}</div>
+            <div className={`text-xs ${muted}`}>{summary[b.key].count.toLocaleString()} payments</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={select}>
+          {Object.entries(STATUS_FILTERS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+        </select>
+        <select value={assigneeFilter} onChange={(e) => setAssigneeFilter(e.target.value)} className={select}>
+          <option value="">Anyone</option>
+          <option value="-">Unassigned</option>
+          {assignees.map((a) => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={select}>
+          {Object.entries(SORTS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+        </select>
+        {agingFilter && (
+          <button onClick={() => setAgingFilter("")} className="text-sm text-blue-600 hover:text-blue-700 underline">
+            All ages
+          </button>
+        )}
+      </div>
+
+      <div className={`overflow-auto border rounded-md max-h-[32rem] ${darkMode ? 'border-gray-700' : 'border-gray-300'}`}>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-100'}>
+              <th className={`${head} text-left`}>Payment ID</th>
+              <th className={`${head} text-left`}>Payer</th>
+              <th className={`${head} text-left`}>Payment Date</th>
+              <th className={`${head} text-left`}>Age</th>
+              <th className={`${head} text-right`}>Unapplied</th>
+              <th className={`${head} text-left`}>Assignee</th>
+              <th className={`${head} text-left`}>Status</th>
+              <th className={`${head} text-left w-1/4`}>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageItems.map((q) => (
+              <tr key={q.paymentId} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'} ${q.status === 'resolved' ? 'opacity-60' : ''}`}>
+                <td className={cell}>{q.paymentId}</td>
+                <td className={cell}>{q.payer}</td>
+                <td className={cell}>{formatDay(q.paymentDate || q.dateEntered)}</td>
+                <td className={`${cell} whitespace-nowrap ${q.aging ? agingColor[q.aging] : ''}`}>
+                  {q.aging ? `${q.ageDays}d · ${AGING_LABELS[q.aging]}` : "–"}
+                </td>
+                <td className={`p-2 text-right font-semibold ${darkMode ? 'text-orange-400' : 'text-orange-600'}`}>{fmtMoney(q.unapplied)}</td>
+                <td className={cell}>
+                  <input
+                    key={q.assignee}
+                    list="work-queue-assignees"
+                    defaultValue={q.assignee}
+                    onBlur={(e) => e.target.value.trim() !== q.assignee && onUpdate(q.paymentId, { assignee: e.target.value.trim() })}
+                    onKeyDown={blurOnEnter}
+                    placeholder="Unassigned"
+                    className={input}
+                  />
+                </td>
+                <td className={cell}>
+                  <select value={q.status} onChange={(e) => onUpdate(q.paymentId, { status: e.target.value })} className={select}>
+                    {Object.entries(WORK_STATUSES).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+                  </select>
+                </td>
+                <td className={cell}>
+                  <input
+                    key={q.notes}
+                    defaultValue={q.notes}
+                    onBlur={(e) => e.target.value !== q.notes && onUpdate(q.paymentId, { notes: e.target.value })}
+                    onKeyDown={blurOnEnter}
+                    placeholder="Add a note"
+                    className={input}
+                  />
+                </td>
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan="8" className={`p-4 text-center ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  {queue.length === 0 ? "No unapplied payments found." : "Nothing matches these queue filters."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <datalist id="work-queue-assignees">
+        {assignees.map((a) => <option key={a} value={a} />)}
+      </datalist>
+      {visible.length > pageSize && (
+        <div className="mt-3">
+          <Pagination
+            total={visible.length}
+            page={currentPage}
+            pageSize={pageSize}
+            onPageChange={setPage}
+            onPageSizeChange={(n) => {
+              setPageSize(n);
+              setPage(0);
+            }}
+            darkMode={darkMode}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+// Files still being read/parsed in a worker, with a progress bar and Cancel per file.
+export default function UploadProgressList({ uploads, onCancel, darkMode = false }) {
+  if (uploads.length === 0) return null;
+
+  return (
+    <ul className={`divide-y rounded-lg border text-left text-xs ${darkMode ? 'divide-gray-600 border-gray-600' : 'divide-gray-200 border-gray-200 bg-white'}`}>
+      {uploads.map((u) => (
+        <li key={u.id} className="p-2">
+          <div className="flex items-center justify-between gap-2">
+            <div className={`truncate font-medium ${darkMode ? 'text-gray-200' : 'text-gray-800'}`} title={u.fileName}>
+              {u.fileName}
+            </div>
+            <button
+              onClick={() => onCancel(u.id)}
+              className={`shrink-0 underline ${darkMode ? 'text-gray-400 hover:text-red-400' : 'text-gray-500 hover:text-red-600'}`}
+            >
+              Cancel
+            </button>
+          </div>
+          <div className="mt-1 flex items-center gap-2">
+            <div className={`h-1.5 flex-1 overflow-hidden rounded-full ${darkMode ? 'bg-gray-600' : 'bg-gray-200'}`}>
+              <div className="h-full bg-blue-600 transition-all" style={{ width: `${Math.round(u.progress * 100)}%` }} />
+            </div>
+            <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>{Math.round(u.progress * 100)}%</span>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
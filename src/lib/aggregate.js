@@ -0,0 +1,456 @@
+// Filtering, sorting and every chart/KPI series of the dashboard, as pure functions over the merged rows.
+// Runs inside workers/aggregate.worker.js so filter keystrokes never block the main thread.
+import { normalizeFilterState, LIST_MODE_FIELDS } from "./filterState";
+import { resolveCompareRange } from "./comparison";
+import { formatDay } from "./dates";
+import { trendSeries } from "./trend";
+import { payerCategoryOf, payerGroupOf } from "./payerCategory";
+import { compileQuery } from "./queryBuilder";
+import { findExceptions, overappliedBy } from "./exceptions";
+import { paymentUnapplied } from "./parsePaymentsReport";
+import { groupPayments } from "./payments";
+
+// --- Filter + sort ---------------------------------------------------------
+// An empty pick list matches everything in either mode. f is a normalized filter state.
+export function matchesList(f, key, value) {
+  const list = f[key];
+  if (!list.length) return true;
+  return list.includes(value) !== (f[LIST_MODE_FIELDS[key]] === "exclude");
+}
+
+export function filterRows(rows, filters) {
+  const f = normalizeFilterState(filters);
+  const min = f.minAmt ? parseFloat(f.minAmt) : -Infinity;
+  const max = f.maxAmt ? parseFloat(f.maxAmt) : Infinity;
+  const q = f.search.trim().toLowerCase();
+  const from = f.fromDate ? new Date(f.fromDate + "T00:00:00") : null;
+  const to = f.toDate ? new Date(f.toDate + "T23:59:59") : null;
+  const hasRange = Boolean(from || to);
+  const matchesQuery = compileQuery(f.query);
+
+  const out = [];
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (!matchesList(f, "payerFilter", r.payer)) continue;
+    if (f.payerCategories.length && !f.payerCategories.includes(payerCategoryOf(r))) continue;
+    if (!matchesList(f, "paymentTypes", r.paymentType)) continue;
+
+    // ✅ robust facility filter using normalized key
+    if (!matchesList(f, "facilityFilter", r.facilityNorm)) continue;
+
+    if (r.paymentAmount < min || r.paymentAmount > max) continue;
+    if (q && !(String(r.payer || "").toLowerCase().includes(q) || String(r.notes || "").toLowerCase().includes(q))) continue;
+    const d = r[f.dateField];
+    if (!d) {
+      if (hasRange && f.missingDates === "exclude") continue;
+    } else {
+      if (f.missingDates === "only") continue;
+      if (from && d < from) continue;
+      if (to && d > to) continue;
+    }
+    if (matchesQuery && !matchesQuery(r)) continue;
+    out.push(i);
+  }
+  return out;
+}
+
+// How each Filtered rows column compares. Unknown keys are ignored.
+const SORT_TYPES = {
+  paymentId: "number",
+  facility: "string",
+  payerCategory: "string",
+  payer: "string",
+  paymentType: "string",
+  checkNumber: "string",
+  dateEntered: "date",
+  paymentDate: "date",
+  paymentAmount: "number",
+  appliedAmount: "number",
+  unappliedAmount: "number",
+  notes: "string",
+};
+
+// numeric: true so "Check 9" < "Check 10" and check numbers sort naturally
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+// null = missing; missing values sort last in either direction
+function sortValue(r, key, type) {
+  const v = r[key];
+  if (type === "date") return v instanceof Date && !isNaN(v) ? v.getTime() : null;
+  if (type === "number") {
+    const n = key === "paymentId" ? parseInt(v) : v;
+    return Number.isFinite(n) ? n : null;
+  }
+  const str = v == null ? "" : String(v).trim();
+  return str === "" ? null : str;
+}
+
+// Sorts row indexes in place by sorts = [{ key, direction }], primary key first. Ties keep file order.
+export function sortIndexes(indexes, rows, sorts) {
+  const keys = (sorts || []).filter((s) => SORT_TYPES[s.key]);
+  if (keys.length === 0) return indexes;
+
+  const columns = keys.map(({ key, direction }) => {
+    const type = SORT_TYPES[key];
+    return {
+      type,
+      sign: direction === "desc" ? -1 : 1,
+      values: new Map(indexes.map((i) => [i, sortValue(rows[i], key, type)])),
+    };
+  });
+
+  return indexes.sort((ia, ib) => {
+    for (const { type, sign, values } of columns) {
+      const a = values.get(ia);
+      const b = values.get(ib);
+      if (a === b) continue;
+      if (a === null) return 1;
+      if (b === null) return -1;
+      const cmp = type === "string" ? collator.compare(a, b) : a - b;
+      if (cmp !== 0) return cmp * sign;
+    }
+    return 0;
+  });
+}
+
+// --- Grouped view --------------------------------------------------------
+// One row per paymentId for the grouped table. A Format 1 payment split across clinics has one
+// row per facility, each repeating the full paymentAmount, so collected is taken once. Applied and
+// unapplied are the whole payment's, even when the filters hide some of its facility rows.
+// rowIndexes are the facility rows, in table order.
+export function groupByPayment(order, rows, sorts = []) {
+  const byId = new Map();
+  const groups = [];
+  for (const i of order) {
+    const r = rows[i];
+    let g = byId.get(r.paymentId);
+    if (!g) {
+      g = {
+        paymentId: r.paymentId,
+        payerCategory: r.payerCategory,
+        payer: r.payer,
+        paymentType: r.paymentType,
+        checkNumber: r.checkNumber,
+        dateEntered: r.dateEntered,
+        paymentDate: r.paymentDate,
+        paymentAmount: r.paymentAmount,
+        appliedAmount: 0,
+        unappliedAmount: 0,
+        facilities: [],
+        notes: r.notes,
+        rowIndexes: [],
+      };
+      byId.set(r.paymentId, g);
+      groups.push(g);
+    }
+    g.appliedAmount += Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    if (r.facility && !g.facilities.includes(r.facility)) g.facilities.push(r.facility);
+    g.rowIndexes.push(i);
+  }
+  for (const g of groups) {
+    g.unappliedAmount = paymentUnapplied(rows[g.rowIndexes[0]], g.appliedAmount);
+    g.appliedAmount = g.paymentAmount - g.unappliedAmount;
+    g.facility = g.facilities.join(", "); // sort key for the Facility column
+  }
+  return sortIndexes(groups.map((_, i) => i), groups, sorts).map((i) => groups[i]);
+}
+
+// --- Series ----------------------------------------------------------------
+export function totalsByType(filtered) {
+  const map = new Map();
+  const countMap = new Map();
+  const seenPayments = new Set(); // Track which payment IDs we've already counted per type
+
+  for (const r of filtered) {
+    const paymentKey = `${r.paymentType}-${r.paymentId}`;
+
+    // Only count each payment ID once per type
+    if (!seenPayments.has(paymentKey)) {
+      seenPayments.add(paymentKey);
+      map.set(r.paymentType, (map.get(r.paymentType) || 0) + r.paymentAmount);
+      countMap.set(r.paymentType, (countMap.get(r.paymentType) || 0) + 1);
+    }
+  }
+  return Array.from(map.entries()).sort((a, b) => b[1] - a[1]).map(([type, total]) => ({
+    type,
+    total,
+    count: countMap.get(type) || 0
+  }));
+}
+
+export function topPayerTotals(filtered, limit = 15) {
+  const map = new Map();
+  const countMap = new Map();
+  const seenPayments = new Set(); // Track which payment IDs we've already counted per payer
+
+  for (const r of filtered) {
+    const paymentKey = `${r.payer}-${r.paymentId}`;
+
+    // Only count each payment ID once per payer
+    if (!seenPayments.has(paymentKey)) {
+      seenPayments.add(paymentKey);
+      map.set(r.payer, (map.get(r.payer) || 0) + r.paymentAmount);
+      countMap.set(r.payer, (countMap.get(r.payer) || 0) + 1);
+    }
+  }
+  return Array.from(map.entries()).sort((a, b) => b[1] - a[1]).slice(0, limit).map(([payer, total]) => ({
+    payer,
+    total,
+    count: countMap.get(payer) || 0
+  }));
+}
+
+// Applied totals by facility (this is the key facility view), split into patient vs insurance applied
+export function appliedByFacility(filtered) {
+  const map = new Map();
+  const countMap = new Map();
+  const splitMap = new Map();
+  for (const r of filtered) {
+    const key = r.facility || "Unspecified";
+    const applied = Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    map.set(key, (map.get(key) || 0) + applied);
+    countMap.set(key, (countMap.get(key) || 0) + 1);
+    const split = splitMap.get(key) || { patientApplied: 0, insuranceApplied: 0 };
+    split[payerGroupOf(r) === "patient" ? "patientApplied" : "insuranceApplied"] += applied;
+    splitMap.set(key, split);
+  }
+  return Array.from(map.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([facility, totalApplied]) => ({
+      facility,
+      totalApplied,
+      count: countMap.get(facility) || 0,
+      ...splitMap.get(facility),
+    }));
+}
+
+// Applied totals by region (see lib/facilityAliases); facilities without one are "Unassigned"
+export function appliedByRegion(filtered) {
+  const map = new Map();
+  for (const r of filtered) {
+    if (!r.facility) continue;
+    const key = r.region || "Unassigned";
+    const entry = map.get(key) || { region: key, totalApplied: 0, count: 0 };
+    entry.totalApplied += Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    entry.count++;
+    map.set(key, entry);
+  }
+  return Array.from(map.values()).sort((a, b) => b.totalApplied - a.totalApplied);
+}
+
+// Unapplied by payment id: collected minus sum(applied) across all of the payment's facilities, even
+// ones the filters hide; the filters only pick which payments are listed. Every payment with something
+// left, largest first (the unapplied work queue, see lib/workQueue).
+export function unappliedByPayment(filtered, limit = Infinity) {
+  const payments = groupPayments(
+    filtered,
+    (r) => ({
+      paymentId: r.paymentId,
+      payer: r.payer || "",
+      paymentType: r.paymentType,
+      paymentDate: r.paymentDate,
+      dateEntered: r.dateEntered,
+      collected: r.paymentAmount,
+      appliedSeen: 0,
+      row: r,
+    }),
+    (p, r) => {
+      p.appliedSeen += Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    }
+  );
+  const out = [];
+  for (const { appliedSeen, row, ...p } of payments) {
+    const unapplied = paymentUnapplied(row, appliedSeen);
+    if (unapplied > 0.0001) out.push({ ...p, applied: p.collected - unapplied, unapplied });
+  }
+  return out.sort((a, b) => b.unapplied - a.unapplied).slice(0, limit);
+}
+
+// KPI cards: amounts and counts are per payment (a split payment counts once), applied is per facility row.
+// grossCollected + refundsTotal (negative payments, so <= 0) = totalPaymentsEntered; overappliedTotal is
+// what applied exceeds collected by, already netted into totalUnappliedPayments.
+// dateRange spans dateField, the date the filters are set to.
+export function summaryMetrics(filtered, dateField = "dateEntered") {
+  const seenPayments = new Set();
+  const payers = new Set();
+  let totalPaymentsEntered = 0;
+  let totalPaymentsApplied = 0;
+  let totalUnappliedPayments = 0;
+  let patientCollected = 0;
+  let insuranceCollected = 0;
+  let patientCount = 0;
+  let grossCollected = 0;
+  let refundsTotal = 0;
+  let refundCount = 0;
+  let overappliedTotal = 0;
+  let maxPayment = null;
+  let minPayment = null;
+  let first = null;
+  let last = null;
+  let datedRows = 0;
+
+  for (const r of filtered) {
+    totalPaymentsApplied += Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    if (r.payer) payers.add(r.payer);
+    maxPayment = maxPayment === null ? r.paymentAmount : Math.max(maxPayment, r.paymentAmount);
+    minPayment = minPayment === null ? r.paymentAmount : Math.min(minPayment, r.paymentAmount);
+    const d = r[dateField];
+    if (d) {
+      datedRows++;
+      if (!first || d < first) first = d;
+      if (!last || d > last) last = d;
+    }
+    if (!seenPayments.has(r.paymentId)) {
+      seenPayments.add(r.paymentId);
+      totalPaymentsEntered += r.paymentAmount;
+      totalUnappliedPayments += Number.isFinite(r.unappliedAmount) ? r.unappliedAmount : 0;
+      if (r.paymentAmount < 0) {
+        refundsTotal += r.paymentAmount;
+        refundCount++;
+      } else {
+        grossCollected += r.paymentAmount;
+      }
+      overappliedTotal += overappliedBy(r.paymentAmount, paymentUnapplied(r, 0));
+      if (payerGroupOf(r) === "patient") {
+        patientCollected += r.paymentAmount;
+        patientCount++;
+      } else {
+        insuranceCollected += r.paymentAmount;
+      }
+    }
+  }
+
+  return {
+    totalPaymentsEntered,
+    totalPaymentsApplied,
+    totalUnappliedPayments,
+    totalCount: seenPayments.size,
+    grossCollected,
+    refundsTotal,
+    refundCount,
+    overappliedTotal,
+    patientCollected,
+    insuranceCollected,
+    patientCount,
+    insuranceCount: seenPayments.size - patientCount,
+    uniquePayersCount: payers.size,
+    dateRange: first ? { first, last, count: datedRows } : null,
+    maxPayment,
+    minPayment,
+  };
+}
+
+// --- Picker counts ---------------------------------------------------------
+// Per-option { count, amount } for the payer / type / facility pickers, each under every filter
+// except its own, so the numbers show what picking that option would give. Payers and types count
+// payments once with the collected amount; facilities count rows with the applied amount, like the facility chart.
+const FACETS = {
+  payerFilter: { field: "payer", perPayment: true },
+  paymentTypes: { field: "paymentType", perPayment: true },
+  facilityFilter: { field: "facilityNorm", perPayment: false },
+};
+
+export function facetCounts(rows, filters) {
+  const f = normalizeFilterState(filters);
+  const out = {};
+  for (const [key, { field, perPayment }] of Object.entries(FACETS)) {
+    const counts = {};
+    const seen = new Set();
+    for (const i of filterRows(rows, { ...f, [key]: [] })) {
+      const r = rows[i];
+      const value = r[field];
+      if (!value) continue;
+      if (perPayment) {
+        const paymentKey = `${value}-${r.paymentId}`;
+        if (seen.has(paymentKey)) continue;
+        seen.add(paymentKey);
+      }
+      const c = counts[value] || (counts[value] = { count: 0, amount: 0 });
+      c.count++;
+      const amount = perPayment ? r.paymentAmount : r.appliedAmount;
+      c.amount += Number.isFinite(amount) ? amount : 0;
+    }
+    out[key] = counts;
+  }
+  return out;
+}
+
+export const EMPTY_AGGREGATES = {
+  order: [],
+  trend: [],
+  byType: [],
+  topPayers: [],
+  byFacilityApplied: [],
+  byRegionApplied: [],
+  unappliedByPayment: [],
+  exceptions: [],
+  groups: null,
+  facets: null,
+  comparison: null,
+  ...summaryMetrics([]),
+};
+
+/**
+ * Everything the dashboard renders for one filter state.
+ * `order` is the filtered rows' indexes into `rows`, in table sort order.
+ * `groups` (see groupByPayment) is only built when `options.grouped` is set, `facets`
+ * (see facetCounts) when `options.facets` is;
+ * `options.granularity` picks the trend chart's buckets (see lib/trend).
+ */
+export function computeAggregates(rows, filters, options = {}) {
+  const f = normalizeFilterState(filters);
+  const order = sortIndexes(filterRows(rows, f), rows, f.sorts);
+  const filtered = order.map((i) => rows[i]);
+  return {
+    order,
+    trend: trendSeries(filtered, options.granularity, f.dateField),
+    byType: totalsByType(filtered),
+    topPayers: topPayerTotals(filtered),
+    byFacilityApplied: appliedByFacility(filtered),
+    byRegionApplied: appliedByRegion(filtered),
+    unappliedByPayment: unappliedByPayment(filtered),
+    exceptions: findExceptions(filtered),
+    groups: options.grouped ? groupByPayment(order, rows, f.sorts) : null,
+    facets: options.facets ? facetCounts(rows, f) : null,
+    ...summaryMetrics(filtered, f.dateField),
+  };
+}
+
+/**
+ * The comparison period's series for KPI deltas and chart overlays, or null when comparison is off.
+ * compare = { mode, fromDate, toDate } (see lib/comparison). "dataset" runs the same filters over
+ * another dataset's rows, ignoring the date range; the other modes re-run them over the same rows
+ * with the date range swapped. An empty primary date filter means the data's own first/last day.
+ * Adds the resolved fromDate / toDate of both periods so the charts can line buckets up.
+ */
+export function computeComparison(rows, compareRows, filters, compare, primary, options = {}) {
+  if (!compare || compare.mode === "off") return null;
+  const f = normalizeFilterState(filters);
+  const primaryFromDate = f.fromDate || formatDay(primary.dateRange && primary.dateRange.first);
+  const primaryToDate = f.toDate || formatDay(primary.dateRange && primary.dateRange.last);
+
+  let range;
+  let source = rows;
+  if (compare.mode === "dataset") {
+    if (!compareRows) return null;
+    range = { fromDate: "", toDate: "" };
+    source = compareRows;
+  } else {
+    range = resolveCompareRange(compare.mode, primaryFromDate, primaryToDate, compare);
+    if (!range) return null;
+  }
+
+  const series = computeAggregates(source, { ...f, ...range, sorts: [] }, { granularity: options.granularity });
+  delete series.order;
+  delete series.groups;
+  delete series.facets;
+  delete series.comparison;
+  return {
+    ...series,
+    mode: compare.mode,
+    fromDate: range.fromDate || formatDay(series.dateRange && series.dateRange.first),
+    toDate: range.toDate || formatDay(series.dateRange && series.dateRange.last),
+    primaryFromDate,
+    primaryToDate,
+  };
+}
@@ -0,0 +1,214 @@
+import { readFileSync } from "node:fs";
+import { describe, it, expect } from "vitest";
+import Papa from "papaparse";
+import { parsePaymentsReport } from "./parsePaymentsReport";
+import { computeAggregates, computeComparison, facetCounts, filterRows, groupByPayment } from "./aggregate";
+import { DEFAULT_FILTERS } from "./filterState";
+import { applyFacilityAliases, setRegion, EMPTY_ALIASES } from "./facilityAliases";
+
+const COLLECTED_CSV = new URL("../../public/Collected Payments By Payment Date - Detail 8-10-25 to 8-16-25.csv", import.meta.url);
+const { payments } = parsePaymentsReport(Papa.parse(readFileSync(COLLECTED_CSV, "utf8")).data);
+
+describe("computeAggregates", () => {
+  it("matches the report totals with no filters", () => {
+    const agg = computeAggregates(payments, DEFAULT_FILTERS);
+    expect(agg.order).toHaveLength(payments.length);
+    expect(agg.totalCount).toBe(346);
+    expect(agg.totalPaymentsEntered).toBeCloseTo(45866.49, 2);
+    expect(agg.totalPaymentsApplied).toBeCloseTo(45423.8, 2);
+    expect(agg.byType.reduce((sum, t) => sum + t.count, 0)).toBe(346);
+    expect(agg.topPayers.length).toBeLessThanOrEqual(15);
+  });
+
+  it("splits collections into patient responsibility and insurance", () => {
+    const agg = computeAggregates(payments, DEFAULT_FILTERS);
+    expect(agg.patientCollected + agg.insuranceCollected).toBeCloseTo(agg.totalPaymentsEntered, 2);
+    expect(agg.patientCount).toBeGreaterThan(0);
+    expect(agg.insuranceCount).toBeGreaterThan(0);
+    const insuranceOnly = computeAggregates(payments, { ...DEFAULT_FILTERS, payerCategories: [""] });
+    expect(insuranceOnly.totalPaymentsEntered).toBeCloseTo(agg.insuranceCollected, 2);
+    const trendTotal = agg.trend.reduce((sum, b) => sum + b.patientTotal + b.insuranceTotal, 0);
+    expect(trendTotal).toBeCloseTo(agg.trend.reduce((sum, b) => sum + b.total, 0), 2);
+  });
+
+  it("returns the filtered rows as indexes in sort order", () => {
+    const type = payments[0].paymentType;
+    const filters = { ...DEFAULT_FILTERS, paymentTypes: [type], sorts: [{ key: "paymentId", direction: "desc" }] };
+    const agg = computeAggregates(payments, filters);
+    const ids = agg.order.map((i) => parseInt(payments[i].paymentId));
+    expect(ids.length).toBeGreaterThan(0);
+    expect(ids).toEqual([...ids].sort((a, b) => b - a));
+    expect(agg.order.every((i) => payments[i].paymentType === type)).toBe(true);
+    expect([...agg.order].sort((a, b) => a - b)).toEqual(filterRows(payments, filters));
+  });
+
+  it("sorts by several columns with the right comparator for each", () => {
+    const sorts = [{ key: "facility", direction: "asc" }, { key: "paymentAmount", direction: "desc" }];
+    const sorted = computeAggregates(payments, { ...DEFAULT_FILTERS, sorts }).order.map((i) => payments[i]);
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+    for (let i = 1; i < sorted.length; i++) {
+      const [a, b] = [sorted[i - 1], sorted[i]];
+      if (!b.facility) continue; // rows without a facility go last
+      expect(a.facility).toBeTruthy();
+      const byFacility = collator.compare(a.facility, b.facility);
+      expect(byFacility).toBeLessThanOrEqual(0);
+      if (byFacility === 0) expect(a.paymentAmount).toBeGreaterThanOrEqual(b.paymentAmount);
+    }
+  });
+
+  it("excludes the picked values in exclude mode", () => {
+    const type = payments[0].paymentType;
+    const included = filterRows(payments, { ...DEFAULT_FILTERS, paymentTypes: [type] });
+    const excluded = filterRows(payments, { ...DEFAULT_FILTERS, paymentTypes: [type], typeMode: "exclude" });
+    expect(included.length + excluded.length).toBe(payments.length);
+    expect(excluded.every((i) => payments[i].paymentType !== type)).toBe(true);
+    expect(filterRows(payments, { ...DEFAULT_FILTERS, typeMode: "exclude" })).toHaveLength(payments.length);
+  });
+
+  it("applies the advanced query alongside the quick filters", () => {
+    const type = payments[0].paymentType;
+    const query = { combinator: "and", rules: [{ field: "paymentAmount", op: "gte", value: "100", value2: "" }] };
+    const indexes = filterRows(payments, { ...DEFAULT_FILTERS, paymentTypes: [type], query });
+    expect(indexes.length).toBeGreaterThan(0);
+    expect(indexes.every((i) => payments[i].paymentType === type && payments[i].paymentAmount >= 100)).toBe(true);
+  });
+
+  it("totals applied by region once facilities are given one", () => {
+    const facility = payments.find((r) => r.facility).facility;
+    const rows = applyFacilityAliases(payments, setRegion(EMPTY_ALIASES, facility, "North"));
+    const agg = computeAggregates(rows, DEFAULT_FILTERS);
+    const north = agg.byRegionApplied.find((r) => r.region === "North");
+    expect(north.totalApplied).toBeCloseTo(agg.byFacilityApplied.find((f) => f.facility === facility).totalApplied, 2);
+    expect(agg.byRegionApplied.reduce((sum, r) => sum + r.totalApplied, 0)).toBeCloseTo(45423.8, 2);
+  });
+
+  it("keeps refunds out of gross collections and nets them after", () => {
+    const refund = { ...payments[0], paymentId: "refund-1", paymentAmount: -50, appliedAmount: 0, unappliedAmount: -50 };
+    const agg = computeAggregates([...payments, refund], DEFAULT_FILTERS);
+    expect(agg.grossCollected).toBeCloseTo(45866.49, 2);
+    expect(agg.refundsTotal).toBe(-50);
+    expect(agg.refundCount).toBe(1);
+    expect(agg.totalPaymentsEntered).toBeCloseTo(agg.grossCollected + agg.refundsTotal, 2);
+    expect(agg.exceptions.find((e) => e.paymentId === "refund-1").types).toEqual(["negative"]);
+  });
+
+  it("handles an empty selection", () => {
+    const agg = computeAggregates(payments, { ...DEFAULT_FILTERS, minAmt: "99999999" });
+    expect(agg).toMatchObject({ order: [], trend: [], totalCount: 0, maxPayment: null, dateRange: null });
+  });
+});
+
+describe("facility filter on split payments", () => {
+  const arlington = payments.find((r) => r.facilityNorm.includes("arlington")).facilityNorm;
+  const agg = computeAggregates(payments, { ...DEFAULT_FILTERS, facilityFilter: [arlington] }, { grouped: true });
+
+  it("lists the whole payment's unapplied amount in the work queue", () => {
+    const queued = agg.unappliedByPayment.reduce((sum, p) => sum + p.unapplied, 0);
+    expect(queued).toBeCloseTo(agg.totalUnappliedPayments + agg.overappliedTotal, 2);
+    expect(queued).toBeLessThan(100);
+    for (const p of agg.unappliedByPayment) expect(p.applied + p.unapplied).toBeCloseTo(p.collected, 2);
+  });
+
+  it("counts overapplied payments the same way in the exceptions list and the KPI", () => {
+    const listed = agg.exceptions.filter((e) => e.types.includes("overapplied")).reduce((sum, e) => sum - e.unapplied, 0);
+    expect(listed).toBeCloseTo(agg.overappliedTotal, 2);
+  });
+});
+
+describe("groupByPayment", () => {
+  const split = [
+    { paymentId: "7", payer: "BCBS", paymentAmount: 100, facility: "Arlington", appliedAmount: 60 },
+    { paymentId: "8", payer: "Aetna", paymentAmount: 20, facility: "Frisco", appliedAmount: 20 },
+    { paymentId: "7", payer: "BCBS", paymentAmount: 100, facility: "Frisco", appliedAmount: 30 },
+  ];
+
+  it("collects once, sums applied and keeps the facility rows", () => {
+    const [first, second] = groupByPayment([0, 1, 2], split);
+    expect(first).toMatchObject({
+      paymentId: "7",
+      paymentAmount: 100,
+      appliedAmount: 90,
+      unappliedAmount: 10,
+      facilities: ["Arlington", "Frisco"],
+      rowIndexes: [0, 2],
+    });
+    expect(second.rowIndexes).toEqual([1]);
+  });
+
+  it("takes applied and unapplied from the whole payment when rows are filtered out", () => {
+    const parsed = split.map((r) => ({ ...r, unappliedAmount: r.paymentId === "7" ? 10 : 0 }));
+    const [group] = groupByPayment([2], parsed);
+    expect(group).toMatchObject({ paymentId: "7", appliedAmount: 90, unappliedAmount: 10, facilities: ["Frisco"] });
+  });
+
+  it("sorts groups by their totals", () => {
+    const groups = groupByPayment([0, 1, 2], split, [{ key: "unappliedAmount", direction: "desc" }]);
+    expect(groups.map((g) => g.paymentId)).toEqual(["7", "8"]);
+    expect(groupByPayment([0, 1, 2], split, [{ key: "appliedAmount", direction: "asc" }])[0].paymentId).toBe("8");
+  });
+
+  it("has one group per payment in the sample report", () => {
+    const agg = computeAggregates(payments, DEFAULT_FILTERS, { grouped: true });
+    expect(agg.groups).toHaveLength(agg.totalCount);
+    expect(agg.groups.reduce((sum, g) => sum + g.paymentAmount, 0)).toBeCloseTo(45866.49, 2);
+  });
+});
+
+describe("computeComparison", () => {
+  it("re-runs the filters over the comparison range", () => {
+    const primary = computeAggregates(payments, DEFAULT_FILTERS);
+    const firstDay = primary.trend[0].key;
+    const comparison = computeComparison(payments, null, DEFAULT_FILTERS, { mode: "range", fromDate: firstDay, toDate: firstDay }, primary);
+    expect(comparison.totalCount).toBe(primary.trend[0].count);
+    expect(comparison).toMatchObject({ fromDate: firstDay, toDate: firstDay });
+    expect(comparison.primaryFromDate).toBeTruthy();
+    expect(comparison.order).toBeUndefined();
+  });
+
+  it("uses another dataset's rows as they are for dataset mode", () => {
+    const primary = computeAggregates([], DEFAULT_FILTERS);
+    const comparison = computeComparison([], payments, { ...DEFAULT_FILTERS, fromDate: "2030-01-01" }, { mode: "dataset" }, primary);
+    expect(comparison.totalPaymentsEntered).toBeCloseTo(45866.49, 2);
+  });
+
+  it("is off without a mode, or with nothing to anchor a relative range on", () => {
+    const empty = computeAggregates([], DEFAULT_FILTERS);
+    expect(computeComparison(payments, null, DEFAULT_FILTERS, { mode: "off" }, empty)).toBeNull();
+    expect(computeComparison([], null, DEFAULT_FILTERS, { mode: "previous" }, empty)).toBeNull();
+  });
+});
+
+describe("date range filter", () => {
+  const rows = [
+    { paymentId: "1", paymentAmount: 10, dateEntered: new Date(2025, 7, 11), paymentDate: new Date(2025, 7, 1) },
+    { paymentId: "2", paymentAmount: 20, dateEntered: null, paymentDate: new Date(2025, 7, 12) },
+    { paymentId: "3", paymentAmount: 30, dateEntered: new Date(2025, 7, 20), paymentDate: null },
+  ];
+  const august11to15 = { ...DEFAULT_FILTERS, fromDate: "2025-08-11", toDate: "2025-08-15" };
+
+  it("drops rows without the date once a range is set, unless told to keep them", () => {
+    expect(filterRows(rows, august11to15)).toEqual([0]);
+    expect(filterRows(rows, { ...august11to15, missingDates: "include" })).toEqual([0, 1]);
+    expect(filterRows(rows, { ...DEFAULT_FILTERS, missingDates: "only" })).toEqual([1]);
+  });
+
+  it("filters on Payment Date when chosen", () => {
+    expect(filterRows(rows, { ...august11to15, dateField: "paymentDate" })).toEqual([1]);
+  });
+});
+
+
+describe("facetCounts", () => {
+  it("counts each picker's options under the other filters only", () => {
+    const type = payments[0].paymentType;
+    const facets = facetCounts(payments, { ...DEFAULT_FILTERS, paymentTypes: [type] });
+    const typeCount = Object.values(facets.paymentTypes).reduce((sum, c) => sum + c.count, 0);
+    expect(typeCount).toBe(346); // its own selection is ignored
+    const typeTotal = computeAggregates(payments, { ...DEFAULT_FILTERS, paymentTypes: [type] }).totalPaymentsEntered;
+    expect(facets.paymentTypes[type].amount).toBeCloseTo(typeTotal, 2);
+    const payerTotal = Object.values(facets.payerFilter).reduce((sum, c) => sum + c.amount, 0);
+    expect(payerTotal).toBeCloseTo(typeTotal, 2);
+    const applied = Object.values(facets.facilityFilter).reduce((sum, c) => sum + c.amount, 0);
+    expect(applied).toBeLessThanOrEqual(typeTotal + 0.005);
+  });
+});
@@ -0,0 +1,114 @@
+// Anomaly alerts on daily collections per facility and payment type. Each day is compared with the
+// average of the same weekday across the rest of the loaded history, so a quiet Saturday is normal but
+// a silent Tuesday is not. Alerts are computed over every loaded row, not just the filtered ones.
+import { addDays, daysBetween, formatDay } from "./dates";
+import { normalizeFilterState } from "./filterState";
+import { matchesList } from "./aggregate";
+import { normalizeFacility } from "./parsePaymentsReport";
+
+export const ANOMALY_TYPES = {
+  zero: "No collections",
+  low: "Unusually low",
+  spike: "Spike",
+};
+
+export const DEFAULT_ANOMALY_SETTINGS = {
+  spikeFactor: 3, // flag days at or above this multiple of the baseline
+  lowRatio: 0.25, // flag days at or below this fraction of the baseline (0 = only days with nothing)
+  minBaseline: 100, // ignore weekdays that normally collect less than this, e.g. closed days
+  minHistory: 3, // same-weekday days needed before a baseline is trusted
+};
+
+const LIMITS = {
+  spikeFactor: [1.5, 20],
+  lowRatio: [0, 0.9],
+  minBaseline: [0, 1000000],
+  minHistory: [1, 52],
+};
+
+export function normalizeAnomalySettings(input) {
+  const s = input && typeof input === "object" ? input : {};
+  const out = {};
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const n = Number(s[key]);
+    out[key] = Number.isFinite(n) && n >= min && n <= max ? n : DEFAULT_ANOMALY_SETTINGS[key];
+  }
+  out.minHistory = Math.round(out.minHistory);
+  return out;
+}
+
+// A facility row's collections are what was applied to that facility; a row with no facility split
+// (flat exports) counts its whole payment
+function amountOf(r) {
+  if (r.facility && Number.isFinite(r.appliedAmount)) return r.appliedAmount;
+  return r.facility ? 0 : r.paymentAmount;
+}
+
+/**
+ * [{ day, facility, facilityNorm, paymentType, type, amount, baseline, history }] newest first. Each facility +
+ * payment type series runs from its first day with collections to the last day in the loaded data;
+ * missing days count as zero. baseline is the mean of the same weekday's other days in the series.
+ */
+export function findAnomalies(rows, dateField = "dateEntered", settings = DEFAULT_ANOMALY_SETTINGS) {
+  // Keyed by the normalized facility, so NBSP / case variants of one clinic share a baseline; the
+  // first spelling seen is the one shown
+  const series = new Map(); // facilityNorm|type -> { facility, facilityNorm, paymentType, days: Map(day -> amount), first }
+  let last = null;
+  for (const r of rows) {
+    const d = r[dateField];
+    if (!d) continue;
+    const facilityNorm = normalizeFacility(r.facility);
+    const key = `${facilityNorm}|${r.paymentType}`;
+    let s = series.get(key);
+    if (!s) {
+      s = { facility: r.facility || "Unspecified", facilityNorm, paymentType: r.paymentType, days: new Map(), first: d };
+      series.set(key, s);
+    }
+    const day = formatDay(d);
+    s.days.set(day, (s.days.get(day) || 0) + amountOf(r));
+    if (d < s.first) s.first = d;
+    if (!last || d > last) last = d;
+  }
+
+  const alerts = [];
+  for (const s of series.values()) {
+    const span = daysBetween(s.first, last) + 1;
+    const values = [];
+    const sums = new Array(7).fill(0);
+    const counts = new Array(7).fill(0);
+    for (let i = 0; i < span; i++) {
+      const date = addDays(s.first, i);
+      const day = formatDay(date);
+      const amount = s.days.get(day) || 0;
+      values.push({ day, weekday: date.getDay(), amount });
+      sums[date.getDay()] += amount;
+      counts[date.getDay()]++;
+    }
+    for (const v of values) {
+      const history = counts[v.weekday] - 1;
+      if (history < settings.minHistory) continue;
+      const baseline = (sums[v.weekday] - v.amount) / history;
+      if (baseline < settings.minBaseline) continue;
+      let type = null;
+      if (Math.abs(v.amount) < 0.005) type = "zero";
+      else if (v.amount <= baseline * settings.lowRatio) type = "low";
+      else if (v.amount >= baseline * settings.spikeFactor) type = "spike";
+      if (type) alerts.push({ day: v.day, facility: s.facility, facilityNorm: s.facilityNorm, paymentType: s.paymentType, type, amount: v.amount, baseline, history });
+    }
+  }
+  return alerts.sort((a, b) => b.day.localeCompare(a.day) || b.baseline - a.baseline);
+}
+
+// Alerts whose facility and payment type pass the facility and payment type filters, so a chart of
+// filtered totals is not marked for a clinic it does not show. The other filters do not split a series.
+export function alertsInFilters(alerts, filters) {
+  const f = normalizeFilterState(filters);
+  return alerts.filter((a) => matchesList(f, "facilityFilter", a.facilityNorm) && matchesList(f, "paymentTypes", a.paymentType));
+}
+
+// Alert count per type, for the filter chips
+export function anomalyCounts(alerts) {
+  const out = Object.fromEntries(Object.keys(ANOMALY_TYPES).map((t) => [t, 0]));
+  for (const a of alerts) out[a.type]++;
+  return out;
+}
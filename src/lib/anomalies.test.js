@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { alertsInFilters, findAnomalies, normalizeAnomalySettings, DEFAULT_ANOMALY_SETTINGS } from "./anomalies";
+
+// Four weeks of Keller credit card payments, Monday to Friday, $200 a day (Aug 4 2025 is a Monday)
+function history(overrides = {}) {
+  const rows = [];
+  for (let i = 0; i < 28; i++) {
+    const d = new Date(2025, 7, 4 + i);
+    if (d.getDay() === 0 || d.getDay() === 6) continue;
+    const amount = overrides[i] ?? 200;
+    if (amount === 0) continue;
+    rows.push({ paymentId: String(i), facility: "Keller", paymentType: "Credit Card", appliedAmount: amount, paymentAmount: amount, dateEntered: d });
+  }
+  return rows;
+}
+
+describe("findAnomalies", () => {
+  it("finds nothing in a steady history, including quiet weekends", () => {
+    expect(findAnomalies(history())).toEqual([]);
+  });
+
+  it("flags a silent business day and a spike against the same weekday", () => {
+    const alerts = findAnomalies(history({ 8: 0, 15: 900 }));
+    expect(alerts.map((a) => [a.day, a.type])).toEqual([["2025-08-19", "spike"], ["2025-08-12", "zero"]]);
+    expect(alerts[1]).toMatchObject({ facility: "Keller", paymentType: "Credit Card", amount: 0, history: 3 });
+    expect(alerts[1].baseline).toBeCloseTo((200 + 900 + 200) / 3);
+  });
+
+  it("keeps one baseline for spelling variants of a facility", () => {
+    const rows = history().map((r, i) => ({ ...r, facility: ["Keller", "KELLER ", "Keller\u00A0"][i % 3] }));
+    expect(findAnomalies(rows)).toEqual([]);
+    const alerts = findAnomalies(history({ 8: 0 }).map((r, i) => (i % 2 ? { ...r, facility: "keller" } : r)));
+    expect(alerts.map((a) => [a.day, a.facility, a.type])).toEqual([["2025-08-12", "Keller", "zero"]]);
+  });
+
+  it("honours the thresholds", () => {
+    const rows = history({ 15: 500 });
+    expect(findAnomalies(rows)).toEqual([]);
+    expect(findAnomalies(rows, "dateEntered", { ...DEFAULT_ANOMALY_SETTINGS, spikeFactor: 2 })).toHaveLength(1);
+    expect(findAnomalies(history({ 8: 0 }), "dateEntered", { ...DEFAULT_ANOMALY_SETTINGS, minHistory: 4 })).toEqual([]);
+  });
+});
+
+describe("alertsInFilters", () => {
+  it("keeps only alerts for the filtered facilities and payment types", () => {
+    const alerts = findAnomalies(history({ 8: 0 }));
+    expect(alertsInFilters(alerts, {})).toHaveLength(1);
+    expect(alertsInFilters(alerts, { facilityFilter: ["keller"] })).toHaveLength(1);
+    expect(alertsInFilters(alerts, { facilityFilter: ["arlington"] })).toEqual([]);
+    expect(alertsInFilters(alerts, { facilityFilter: ["keller"], facilityMode: "exclude" })).toEqual([]);
+    expect(alertsInFilters(alerts, { paymentTypes: ["Check"] })).toEqual([]);
+  });
+});
+
+describe("normalizeAnomalySettings", () => {
+  it("falls back to the defaults for missing or out-of-range values", () => {
+    expect(normalizeAnomalySettings(null)).toEqual(DEFAULT_ANOMALY_SETTINGS);
+    expect(normalizeAnomalySettings({ spikeFactor: 5, lowRatio: 2, minHistory: "4" })).toEqual({
+      ...DEFAULT_ANOMALY_SETTINGS, spikeFactor: 5, minHistory: 4,
+    });
+  });
+});
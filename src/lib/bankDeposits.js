@@ -0,0 +1,260 @@
+// Bank deposit reconciliation: read a bank statement export (date, amount, description), then match each
+// deposit to the payments it is made of. Checks and insurance remittances land one by one (by trace /
+// check number, or by amount); card and cash payments land as one batch per payment date and type.
+// Manual matches and "unmatch" decisions are stored by deposit id, so they survive re-importing the
+// same statement.
+import { parseMoney, toDate } from "./parsePaymentsReport";
+import { addDays, daysBetween, formatDay, parseDay } from "./dates";
+import { checkKey, groupPayments } from "./payments";
+
+export const BANK_FIELDS = {
+  date: "Date",
+  amount: "Amount",
+  description: "Description",
+  reference: "Check / reference #",
+};
+
+export const MATCH_KINDS = {
+  manual: "Manual",
+  check: "Check #",
+  amount: "Check amount",
+  batch: "Daily batch",
+};
+
+// Deposits usually post a few days after the payment date (weekends, card settlement)
+export const DEPOSIT_LAG_DAYS = 5;
+
+const CENT = 0.005;
+const cents = (n) => Math.round(n * 100);
+
+// Header keywords per field, most specific first. A separate "Credit" column beats a signed "Amount".
+const FIELD_HINTS = {
+  date: ["posting date", "posted", "date"],
+  amount: ["credit", "deposit", "amount"],
+  description: ["description", "memo", "details", "payee", "name"],
+  reference: ["check", "reference", "ref", "serial"],
+};
+
+const cellText = (v) => String(v ?? "").trim();
+
+// Index of the first row (within the first 20) that names both a date and an amount column, else 0
+export function findBankHeaderRow(rows) {
+  for (let i = 0; i < Math.min(20, rows.length); i++) {
+    const m = guessBankMapping(rows[i] || []);
+    if (m.date >= 0 && m.amount >= 0) return i;
+  }
+  return 0;
+}
+
+// { date, amount, description, reference } -> column index, -1 when no header looks right
+export function guessBankMapping(header) {
+  const lower = header.map((h) => cellText(h).toLowerCase());
+  const used = new Set();
+  const out = {};
+  for (const [field, hints] of Object.entries(FIELD_HINTS)) {
+    out[field] = -1;
+    for (const hint of hints) {
+      const i = lower.findIndex((h, idx) => h && !used.has(idx) && h.includes(hint));
+      if (i >= 0) {
+        out[field] = i;
+        used.add(i);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * { deposits, skipped } from the rows under headerRow. deposits: [{ id, date ("yyyy-mm-dd"), amount,
+ * description, reference }]. Withdrawals, zero amounts and rows without a readable date are skipped.
+ * ids are day|cents|n (n counts repeats of the same day and amount), stable across re-imports.
+ */
+export function parseBankStatement(rows, mapping, headerRow = 0) {
+  const deposits = [];
+  const seen = new Map();
+  let skipped = 0;
+  for (const row of rows.slice(headerRow + 1)) {
+    if (!row || row.every((c) => cellText(c) === "")) continue;
+    const rawAmount = cellText(row[mapping.amount]);
+    const date = toDate(cellText(row[mapping.date]));
+    // Accounting exports write debits as (123.45)
+    const amount = rawAmount.startsWith("(") ? -parseMoney(rawAmount) : parseMoney(rawAmount);
+    if (!date || amount < CENT) {
+      skipped++;
+      continue;
+    }
+    const day = formatDay(date);
+    const key = `${day}|${cents(amount)}`;
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    deposits.push({
+      id: `${key}|${n}`,
+      date: day,
+      amount,
+      description: mapping.description >= 0 ? cellText(row[mapping.description]) : "",
+      reference: mapping.reference >= 0 ? cellText(row[mapping.reference]) : "",
+    });
+  }
+  return { deposits, skipped };
+}
+
+// Stored statement read back; null when missing or of the wrong shape
+export function normalizeBankStatement(input) {
+  if (!input || typeof input !== "object" || !Array.isArray(input.deposits)) return null;
+  const deposits = input.deposits.filter(
+    (d) => d && typeof d.id === "string" && typeof d.date === "string" && Number.isFinite(d.amount)
+  ).map((d) => ({
+    id: d.id,
+    date: d.date,
+    amount: d.amount,
+    description: typeof d.description === "string" ? d.description : "",
+    reference: typeof d.reference === "string" ? d.reference : "",
+  }));
+  return { fileName: typeof input.fileName === "string" ? input.fileName : "", deposits };
+}
+
+export const EMPTY_BANK_MATCHES = { manual: {}, unmatched: [] };
+
+// { manual: { depositId: [paymentId] }, unmatched: [depositId] } with anything malformed dropped
+export function normalizeBankMatches(input) {
+  if (!input || typeof input !== "object") return EMPTY_BANK_MATCHES;
+  const manual = {};
+  if (input.manual && typeof input.manual === "object") {
+    for (const [id, pids] of Object.entries(input.manual)) {
+      if (Array.isArray(pids) && pids.length) manual[id] = pids.map(String);
+    }
+  }
+  const unmatched = Array.isArray(input.unmatched) ? input.unmatched.filter((id) => typeof id === "string") : [];
+  return { manual, unmatched };
+}
+
+export function matchManually(matches, depositId, paymentIds) {
+  return {
+    manual: { ...matches.manual, [depositId]: [...paymentIds] },
+    unmatched: matches.unmatched.filter((id) => id !== depositId),
+  };
+}
+
+// Undo a match: a manual one is forgotten, an automatic one is kept from matching again
+export function unmatch(matches, depositId) {
+  if (matches.manual[depositId]) {
+    const manual = { ...matches.manual };
+    delete manual[depositId];
+    return { ...matches, manual };
+  }
+  return { ...matches, unmatched: [...matches.unmatched, depositId] };
+}
+
+// One entry per positive payment: { paymentId, payer, paymentType, checkNumber, date, amount }
+export function depositPayments(rows) {
+  return groupPayments(rows, (r) => ({
+    paymentId: r.paymentId,
+    payer: r.payer || "",
+    paymentType: r.paymentType,
+    checkNumber: String(r.checkNumber || "").trim(),
+    date: r.paymentDate || r.dateEntered || null,
+    amount: r.paymentAmount,
+  })).filter((p) => p.date && Number.isFinite(p.amount) && p.amount >= CENT);
+}
+
+// Everything in the reference and description that could be a check or trace number
+function depositTokens(deposit) {
+  const tokens = `${deposit.reference} ${deposit.description}`.split(/[^0-9a-z]+/i).filter((t) => t.length >= 3);
+  return new Set(tokens.map(checkKey));
+}
+
+// A deposit can post the day before (card processors) up to DEPOSIT_LAG_DAYS after the payment date
+const lagOf = (paymentDate, depositDate) => daysBetween(paymentDate, depositDate);
+const inWindow = (lag) => lag >= -1 && lag <= DEPOSIT_LAG_DAYS;
+
+/**
+ * Match deposits to payments. Manual matches are applied first, then automatic passes in order:
+ * check # (a payment's check number appears in the deposit's reference or description, same amount),
+ * check amount (one checked payment with the same amount, closest date) and daily batch (all remaining
+ * payments of one payment date and type, summing to the deposit). Returns { matches: [{ deposit,
+ * payments, kind, difference }], unmatchedDeposits, unmatchedPayments }; unmatched payments are
+ * limited to the statement's dates so older and newer payments are not reported as missing.
+ */
+export function reconcileDeposits(payments, deposits, matches = EMPTY_BANK_MATCHES) {
+  const byPid = new Map(payments.map((p) => [p.paymentId, p]));
+  const claimed = new Set();
+  const out = [];
+  const matchedDeposits = new Set();
+  const skip = new Set(matches.unmatched);
+
+  const record = (deposit, members, kind) => {
+    for (const p of members) claimed.add(p.paymentId);
+    matchedDeposits.add(deposit.id);
+    const total = members.reduce((sum, p) => sum + p.amount, 0);
+    out.push({ deposit, payments: members, kind, difference: deposit.amount - total });
+  };
+
+  const dated = deposits.map((d) => ({ ...d, day: parseDay(d.date) })).sort((a, b) => a.day - b.day);
+
+  for (const d of dated) {
+    const pids = matches.manual[d.id];
+    if (!pids) continue;
+    const members = pids.map((pid) => byPid.get(pid)).filter((p) => p && !claimed.has(p.paymentId));
+    if (members.length) record(d, members, "manual");
+  }
+
+  const open = () => dated.filter((d) => !matchedDeposits.has(d.id) && !skip.has(d.id));
+  const checked = payments.filter((p) => p.checkNumber);
+
+  for (const d of open()) {
+    const tokens = depositTokens(d);
+    const hit = checked.find((p) => !claimed.has(p.paymentId) && tokens.has(checkKey(p.checkNumber)) && Math.abs(p.amount - d.amount) < CENT);
+    if (hit) record(d, [hit], "check");
+  }
+
+  for (const d of open()) {
+    let best = null;
+    for (const p of checked) {
+      if (claimed.has(p.paymentId) || cents(p.amount) !== cents(d.amount)) continue;
+      const lag = lagOf(p.date, d.day);
+      if (inWindow(lag) && (!best || Math.abs(lag) < Math.abs(best.lag))) best = { p, lag };
+    }
+    if (best) record(d, [best.p], "amount");
+  }
+
+  const remaining = open();
+  if (remaining.length) {
+    const batches = new Map();
+    for (const p of payments) {
+      if (claimed.has(p.paymentId)) continue;
+      const key = `${formatDay(p.date)}|${p.paymentType}`;
+      if (!batches.has(key)) batches.set(key, { date: p.date, payments: [], total: 0 });
+      const b = batches.get(key);
+      b.payments.push(p);
+      b.total += p.amount;
+    }
+    for (const d of remaining) {
+      let best = null;
+      for (const [key, b] of batches) {
+        if (cents(b.total) !== cents(d.amount)) continue;
+        const lag = lagOf(b.date, d.day);
+        if (inWindow(lag) && (!best || Math.abs(lag) < Math.abs(best.lag))) best = { key, b, lag };
+      }
+      if (best) {
+        batches.delete(best.key);
+        record(d, best.b.payments, "batch");
+      }
+    }
+  }
+
+  let unmatchedPayments = [];
+  if (dated.length) {
+    const from = addDays(dated[0].day, -DEPOSIT_LAG_DAYS);
+    const to = dated[dated.length - 1].day;
+    unmatchedPayments = payments
+      .filter((p) => !claimed.has(p.paymentId) && p.date >= from && p.date <= to)
+      .sort((a, b) => a.date - b.date || b.amount - a.amount);
+  }
+
+  return {
+    matches: out.sort((a, b) => a.deposit.day - b.deposit.day),
+    unmatchedDeposits: dated.filter((d) => !matchedDeposits.has(d.id)),
+    unmatchedPayments,
+  };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import {
+  guessBankMapping, findBankHeaderRow, parseBankStatement, depositPayments, reconcileDeposits,
+  matchManually, unmatch, EMPTY_BANK_MATCHES,
+} from "./bankDeposits";
+
+const row = (paymentId, paymentType, paymentAmount, day, checkNumber = "") => ({
+  paymentId, payer: "P", paymentType, paymentAmount, checkNumber, paymentDate: new Date(2025, 7, day), facility: "Keller",
+});
+const deposit = (id, date, amount, description = "", reference = "") => ({ id, date, amount, description, reference });
+
+describe("parseBankStatement", () => {
+  const rows = [
+    ["Account 1234"],
+    ["Posting Date", "Description", "Debit", "Credit", "Check or Slip #"],
+    ["08/12/2025", "MERCHANT DEPOSIT", "", "42.75", ""],
+    ["2025-08-13", "SERVICE FEE", "(15.00)", "", ""],
+    ["2025-08-13", "REMOTE DEPOSIT", "", "$1,200.00", "0451"],
+    ["2025-08-13", "REMOTE DEPOSIT", "", "1200", ""],
+    ["", "", "", "", ""],
+  ];
+
+  it("finds the header and guesses the columns", () => {
+    expect(findBankHeaderRow(rows)).toBe(1);
+    expect(guessBankMapping(rows[1])).toEqual({ date: 0, amount: 3, description: 1, reference: 4 });
+  });
+
+  it("keeps deposits with stable ids and skips the rest", () => {
+    const { deposits, skipped } = parseBankStatement(rows, guessBankMapping(rows[1]), 1);
+    expect(skipped).toBe(1);
+    expect(deposits.map((d) => d.id)).toEqual(["2025-08-12|4275|0", "2025-08-13|120000|0", "2025-08-13|120000|1"]);
+    expect(deposits[1]).toMatchObject({ date: "2025-08-13", amount: 1200, reference: "0451" });
+  });
+});
+
+describe("reconcileDeposits", () => {
+  const payments = depositPayments([
+    row("1", "Credit Card", 20, 11),
+    row("1", "Credit Card", 20, 11),
+    row("2", "Credit Card", 22.75, 11),
+    row("3", "Insurance Remitence", 300, 11, "EFT9001"),
+    row("4", "Insurance Remitence", 150, 12, "C777"),
+    row("5", "Credit Card", 10, 13),
+  ]);
+  const deposits = [
+    deposit("a", "2025-08-12", 42.75, "MERCHANT BANKCARD"),
+    deposit("b", "2025-08-14", 300, "HCCLAIMPMT TRN*1*EFT9001"),
+    deposit("c", "2025-08-14", 150, "REMOTE DEPOSIT"),
+    deposit("d", "2025-08-14", 99, "TRANSFER"),
+  ];
+
+  it("matches checks by number, then by amount, and card payments as a daily batch", () => {
+    const r = reconcileDeposits(payments, deposits);
+    expect(r.matches.map((m) => [m.deposit.id, m.kind, m.payments.map((p) => p.paymentId)])).toEqual([
+      ["a", "batch", ["1", "2"]],
+      ["b", "check", ["3"]],
+      ["c", "amount", ["4"]],
+    ]);
+    expect(r.unmatchedDeposits.map((d) => d.id)).toEqual(["d"]);
+    expect(r.unmatchedPayments.map((p) => p.paymentId)).toEqual(["5"]);
+  });
+
+  it("applies manual matches first and keeps unmatched deposits out of auto matching", () => {
+    let matches = matchManually(EMPTY_BANK_MATCHES, "d", ["5", "missing"]);
+    matches = unmatch(matches, "a");
+    const r = reconcileDeposits(payments, deposits, matches);
+    expect(r.matches.find((m) => m.deposit.id === "d")).toMatchObject({ kind: "manual", difference: 89 });
+    expect(r.unmatchedDeposits.map((d) => d.id)).toEqual(["a"]);
+    expect(r.unmatchedPayments.map((p) => p.paymentId)).toEqual(["2", "1"]);
+    expect(unmatch(matches, "d").manual).toEqual({});
+  });
+});
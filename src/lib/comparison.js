@@ -0,0 +1,80 @@
+// Period-over-period comparison: which range to compare against, and lining the comparison
+// series up with the primary ones for the KPI deltas and chart overlays.
+import { parseDay, formatDay, addDays, daysBetween } from "./dates";
+import { bucketOffset, bucketAtOffset } from "./trend";
+
+export const COMPARE_MODES = {
+  off: "No comparison",
+  previous: "Previous period",
+  lastYear: "Same period last year",
+  range: "Custom range",
+  dataset: "Saved dataset",
+};
+
+/**
+ * The { fromDate, toDate } (yyyy-mm-dd) to compare against, given the primary range.
+ * "previous" is the same number of days immediately before; "lastYear" shifts both ends back a year.
+ * "range" uses the custom dates as given. Returns null when there is no primary range to anchor on.
+ */
+export function resolveCompareRange(mode, primaryFrom, primaryTo, custom = {}) {
+  if (mode === "range") return { fromDate: custom.fromDate || "", toDate: custom.toDate || "" };
+  const from = parseDay(primaryFrom);
+  const to = parseDay(primaryTo);
+  if (!from || !to) return null;
+  if (mode === "previous") {
+    const length = daysBetween(from, to) + 1;
+    return { fromDate: formatDay(addDays(from, -length)), toDate: formatDay(addDays(from, -1)) };
+  }
+  if (mode === "lastYear") {
+    const back = (d) => {
+      const out = new Date(d);
+      out.setFullYear(out.getFullYear() - 1);
+      return out;
+    };
+    return { fromDate: formatDay(back(from)), toDate: formatDay(back(to)) };
+  }
+  return null;
+}
+
+// Change from the comparison value; pct is null when there is nothing to divide by
+export function delta(current, previous) {
+  if (!Number.isFinite(current) || !Number.isFinite(previous)) return null;
+  const diff = current - previous;
+  return { diff, pct: previous !== 0 ? (diff / Math.abs(previous)) * 100 : null };
+}
+
+/**
+ * Trend series lined up by bucket offset from each period's start (see lib/trend), so day 1 of this
+ * week sits on day 1 of last week, or this August on last August. Rows keep the primary bucket;
+ * compareTotal / compareLabel come from the other period. Starts default to each series' first bucket.
+ */
+export function alignTrend(primary, compare, granularity, primaryStart, compareStart) {
+  const start = primaryStart || (primary[0] && primary[0].start);
+  const cStart = compareStart || (compare[0] && compare[0].start);
+  if (granularity !== "dow" && (!start || !cStart)) return primary;
+
+  const byOffset = new Map();
+  for (const p of primary) {
+    byOffset.set(bucketOffset(granularity, start, p), { ...p, compareTotal: null, compareLabel: null });
+  }
+  for (const c of compare) {
+    const offset = bucketOffset(granularity, cStart, c);
+    const row = byOffset.get(offset) || { ...bucketAtOffset(granularity, start, offset), total: null, count: 0 };
+    byOffset.set(offset, { ...row, compareTotal: c.total, compareLabel: c.label });
+  }
+  return Array.from(byOffset.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([, row]) => row);
+}
+
+// Bar chart overlay: add compareField to each primary entry by key; keys only in the comparison
+// are appended with a zero primary value so they still show up.
+export function mergeByKey(primary, compare, key, field, compareField) {
+  const compareByKey = new Map(compare.map((c) => [c[key], c[field]]));
+  const out = primary.map((p) => ({ ...p, [compareField]: compareByKey.get(p[key]) ?? 0 }));
+  const seen = new Set(primary.map((p) => p[key]));
+  for (const c of compare) {
+    if (!seen.has(c[key])) out.push({ [key]: c[key], [field]: 0, count: 0, [compareField]: c[field] });
+  }
+  return out;
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { resolveCompareRange, delta, alignTrend, mergeByKey } from "./comparison";
+import { bucketFor } from "./trend";
+import { parseDay } from "./dates";
+
+describe("resolveCompareRange", () => {
+  it("takes the same number of days immediately before", () => {
+    expect(resolveCompareRange("previous", "2025-08-10", "2025-08-16")).toEqual({ fromDate: "2025-08-03", toDate: "2025-08-09" });
+    expect(resolveCompareRange("previous", "2025-03-01", "2025-03-31")).toEqual({ fromDate: "2025-01-29", toDate: "2025-02-28" });
+  });
+
+  it("shifts both ends back a year", () => {
+    expect(resolveCompareRange("lastYear", "2025-08-01", "2025-08-31")).toEqual({ fromDate: "2024-08-01", toDate: "2024-08-31" });
+  });
+
+  it("uses a custom range as given and needs a primary range otherwise", () => {
+    expect(resolveCompareRange("range", "", "", { fromDate: "2025-07-01", toDate: "" })).toEqual({ fromDate: "2025-07-01", toDate: "" });
+    expect(resolveCompareRange("previous", "", "2025-08-16")).toBeNull();
+  });
+});
+
+describe("delta", () => {
+  it("gives the difference and % change", () => {
+    expect(delta(150, 100)).toEqual({ diff: 50, pct: 50 });
+    expect(delta(50, 0)).toEqual({ diff: 50, pct: null });
+    expect(delta(50, undefined)).toBeNull();
+  });
+});
+
+describe("chart overlays", () => {
+  const day = (start, total, count = 1) => ({ ...bucketFor(parseDay(start), "day"), total, count });
+
+  it("lines days up by offset from each period's start", () => {
+    const thisWeek = [day("2025-08-11", 10), day("2025-08-13", 30, 2)];
+    const lastWeek = [day("2025-08-04", 5), day("2025-08-05", 7)];
+    const aligned = alignTrend(thisWeek, lastWeek, "day", "2025-08-11", "2025-08-04");
+    expect(aligned.map((r) => [r.start, r.total, r.compareTotal, r.compareLabel])).toEqual([
+      ["2025-08-11", 10, 5, "Aug 4"],
+      ["2025-08-12", null, 7, "Aug 5"],
+      ["2025-08-13", 30, null, null],
+    ]);
+  });
+
+  it("lines months up with the same month a year earlier", () => {
+    const month = (start, total) => ({ ...bucketFor(parseDay(start), "month"), total, count: 1 });
+    const aligned = alignTrend([month("2025-08-01", 100)], [month("2024-08-01", 80)], "month", "2025-08-01", "2024-08-01");
+    expect(aligned).toHaveLength(1);
+    expect(aligned[0]).toMatchObject({ key: "2025-08", total: 100, compareTotal: 80 });
+  });
+
+  it("merges bar series by key and keeps keys only in the comparison", () => {
+    const merged = mergeByKey(
+      [{ type: "Check", total: 100, count: 2 }],
+      [{ type: "Check", total: 80, count: 1 }, { type: "Cash", total: 20, count: 1 }],
+      "type", "total", "compareTotal"
+    );
+    expect(merged).toEqual([
+      { type: "Check", total: 100, count: 2, compareTotal: 80 },
+      { type: "Cash", total: 0, count: 0, compareTotal: 20 },
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+// IndexedDB persistence for loaded datasets and the last session.
+//
+// Stores:
+//   datasets  - { id, name, savedAt, fileNames, rowCount }     (small, used for the "Saved datasets" list)
+//   sources   - { id, sources: [{ id, fileName, rows, warnings, totals }] }  (parsed rows; Dates survive structured clone)
+//   meta      - { key: "session", datasetId, filters }
+// Every function rejects if IndexedDB is unavailable; callers treat persistence as best effort.
+
+const DB_NAME = "spt-payments-dashboard";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("datasets")) db.createObjectStore("datasets", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("sources")) db.createObjectStore("sources", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta", { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Run fn(stores) inside one transaction and resolve with its result once the transaction commits
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, tx.objectStore(n)]));
+    let result;
+    Promise.resolve(fn(stores)).then((r) => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+export function datasetName(sources) {
+  if (sources.length === 0) return "Empty dataset";
+  const first = sources[0].fileName;
+  return sources.length === 1 ? first : `${first} + ${sources.length - 1} more`;
+}
+
+export async function listDatasets() {
+  const all = await withStores(["datasets"], "readonly", ({ datasets }) => request(datasets.getAll()));
+  return (all || []).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function saveDataset(id, sources) {
+  const meta = {
+    id,
+    name: datasetName(sources),
+    savedAt: Date.now(),
+    fileNames: sources.map((s) => s.fileName),
+    rowCount: sources.reduce((n, s) => n + s.rows.length, 0),
+  };
+  return withStores(["datasets", "sources"], "readwrite", (stores) => {
+    stores.datasets.put(meta);
+    stores.sources.put({ id, sources });
+    return meta;
+  });
+}
+
+export async function loadDataset(id) {
+  const record = await withStores(["sources"], "readonly", ({ sources }) => request(sources.get(id)));
+  return record ? record.sources : null;
+}
+
+export function deleteDataset(id) {
+  return withStores(["datasets", "sources"], "readwrite", (stores) => {
+    stores.datasets.delete(id);
+    stores.sources.delete(id);
+  });
+}
+
+export async function loadSession() {
+  const record = await withStores(["meta"], "readonly", ({ meta }) => request(meta.get("session")));
+  return record || null;
+}
+
+export function saveSession(session) {
+  return withStores(["meta"], "readwrite", ({ meta }) => {
+    meta.put({ key: "session", ...session });
+  });
+}
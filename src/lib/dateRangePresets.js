@@ -0,0 +1,45 @@
+// Quick ranges for the From / To filter, relative to today (local time).
+import { formatDay, addDays, startOfIsoWeek } from "./dates";
+
+export const DATE_RANGE_PRESETS = {
+  thisWeek: "This week",
+  lastWeek: "Last week",
+  last30: "Last 30 days",
+  monthToDate: "Month to date",
+  lastMonth: "Last month",
+  quarterToDate: "Quarter to date",
+  lastQuarter: "Last quarter",
+  yearToDate: "Year to date",
+};
+
+// { fromDate, toDate } as yyyy-mm-dd; weeks are ISO (Monday to Sunday), quarters are calendar quarters
+export function datePresetRange(preset, today = new Date()) {
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const range = (from, to) => ({ fromDate: formatDay(from), toDate: formatDay(to) });
+  const y = day.getFullYear();
+  const m = day.getMonth();
+  const quarterStart = m - (m % 3);
+
+  switch (preset) {
+    case "thisWeek":
+      return range(startOfIsoWeek(day), day);
+    case "lastWeek": {
+      const monday = addDays(startOfIsoWeek(day), -7);
+      return range(monday, addDays(monday, 6));
+    }
+    case "last30":
+      return range(addDays(day, -29), day);
+    case "monthToDate":
+      return range(new Date(y, m, 1), day);
+    case "lastMonth":
+      return range(new Date(y, m - 1, 1), new Date(y, m, 0));
+    case "quarterToDate":
+      return range(new Date(y, quarterStart, 1), day);
+    case "lastQuarter":
+      return range(new Date(y, quarterStart - 3, 1), new Date(y, quarterStart, 0));
+    case "yearToDate":
+      return range(new Date(y, 0, 1), day);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from "vitest";
+import { datePresetRange } from "./dateRangePresets";
+
+const wednesday = new Date(2025, 7, 13, 15, 30); // Wed Aug 13 2025, afternoon
+
+describe("datePresetRange", () => {
+  it("uses Monday-to-Sunday weeks", () => {
+    expect(datePresetRange("thisWeek", wednesday)).toEqual({ fromDate: "2025-08-11", toDate: "2025-08-13" });
+    expect(datePresetRange("lastWeek", wednesday)).toEqual({ fromDate: "2025-08-04", toDate: "2025-08-10" });
+  });
+
+  it("handles month and quarter boundaries", () => {
+    expect(datePresetRange("monthToDate", wednesday)).toEqual({ fromDate: "2025-08-01", toDate: "2025-08-13" });
+    expect(datePresetRange("lastMonth", wednesday)).toEqual({ fromDate: "2025-07-01", toDate: "2025-07-31" });
+    expect(datePresetRange("lastQuarter", wednesday)).toEqual({ fromDate: "2025-04-01", toDate: "2025-06-30" });
+    expect(datePresetRange("lastQuarter", new Date(2025, 1, 3))).toEqual({ fromDate: "2024-10-01", toDate: "2024-12-31" });
+  });
+
+  it("returns null for an unknown preset", () => {
+    expect(datePresetRange("someday", wednesday)).toBeNull();
+  });
+});
@@ -0,0 +1,41 @@
+// Calendar-day helpers. Days are always read in the browser's (the clinic's) timezone, never via
+// toISOString / UTC. toDate in parsePaymentsReport reads report dates as local times, and bare
+// yyyy-mm-dd strings (which Date would take as UTC) through parseDay.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// yyyy-mm-dd <-> local-midnight Date, matching how the date filters are applied
+export function parseDay(s) {
+  return s ? new Date(s + "T00:00:00") : null;
+}
+
+export function formatDay(d) {
+  if (!d) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function addDays(d, n) {
+  const out = new Date(d);
+  out.setDate(out.getDate() + n);
+  return out;
+}
+
+// Whole calendar days from a to b, unaffected by DST changes in between
+export function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / DAY_MS);
+}
+
+// Monday of the ISO week containing d
+export function startOfIsoWeek(d) {
+  const day = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return addDays(day, -((day.getDay() + 6) % 7));
+}
+
+// ISO 8601 week-numbering year and week (weeks start Monday; week 1 holds the first Thursday)
+export function isoWeek(d) {
+  const thursday = addDays(startOfIsoWeek(d), 3);
+  const year = thursday.getFullYear();
+  const week = Math.floor(daysBetween(new Date(year, 0, 1), thursday) / 7) + 1;
+  return { year, week };
+}
@@ -0,0 +1,99 @@
+// Possible double postings: different payment IDs with the same check number and payer, or the same
+// payer and amount paid within a few days of each other. Groups the user marks "not a duplicate"
+// are remembered by their payment IDs, so a group comes back only if another payment joins it.
+import { payerKey } from "./payerAliases";
+import { daysBetween } from "./dates";
+import { checkKey, groupPayments } from "./payments";
+
+export const DUPLICATE_REASONS = {
+  check: "Same check # and payer",
+  amount: "Same payer and amount",
+};
+
+export const DEFAULT_WINDOW_DAYS = 3;
+
+// One entry per payment ID (a Format 1 payment has a row per facility)
+function paymentsOf(rows) {
+  return groupPayments(
+    rows,
+    (r) => ({
+      paymentId: r.paymentId,
+      payer: r.payer || "",
+      paymentType: r.paymentType,
+      checkNumber: r.checkNumber || "",
+      paymentAmount: r.paymentAmount,
+      date: r.paymentDate || r.dateEntered || null,
+      facilities: [],
+    }),
+    (p, r) => {
+      if (r.facility && !p.facilities.includes(r.facility)) p.facilities.push(r.facility);
+    }
+  );
+}
+
+export const groupSignature = (paymentIds) => [...paymentIds].sort().join("|");
+
+/**
+ * [{ signature, reasons, payments, exposure }]: payments share a check # + payer, or a payer + amount
+ * with dates no more than windowDays apart (chained, so 1st/3rd/5th with a 2-day window is one group).
+ * exposure is what the group would overstate collections by if all but one payment were duplicates.
+ */
+export function findDuplicateGroups(rows, windowDays = DEFAULT_WINDOW_DAYS) {
+  const payments = paymentsOf(rows);
+  const groups = new Map(); // signature -> group
+
+  const add = (members, reason) => {
+    if (members.length < 2) return;
+    const signature = groupSignature(members.map((p) => p.paymentId));
+    const existing = groups.get(signature);
+    if (existing) {
+      if (!existing.reasons.includes(reason)) existing.reasons.push(reason);
+      return;
+    }
+    groups.set(signature, { signature, reasons: [reason], payments: members });
+  };
+
+  const byCheck = new Map();
+  for (const p of payments) {
+    const check = checkKey(p.checkNumber);
+    if (!check) continue;
+    const key = `${check}|${payerKey(p.payer)}`;
+    if (!byCheck.has(key)) byCheck.set(key, []);
+    byCheck.get(key).push(p);
+  }
+  for (const members of byCheck.values()) add(members, "check");
+
+  const byAmount = new Map();
+  for (const p of payments) {
+    if (!p.date || !Number.isFinite(p.paymentAmount) || Math.abs(p.paymentAmount) < 0.005) continue;
+    const key = `${payerKey(p.payer)}|${Math.round(p.paymentAmount * 100)}`;
+    if (!byAmount.has(key)) byAmount.set(key, []);
+    byAmount.get(key).push(p);
+  }
+  for (const list of byAmount.values()) {
+    if (list.length < 2) continue;
+    list.sort((a, b) => a.date - b.date);
+    let run = [list[0]];
+    for (let i = 1; i < list.length; i++) {
+      if (daysBetween(list[i - 1].date, list[i].date) <= windowDays) {
+        run.push(list[i]);
+      } else {
+        add(run, "amount");
+        run = [list[i]];
+      }
+    }
+    add(run, "amount");
+  }
+
+  return Array.from(groups.values())
+    .map((g) => {
+      const sorted = [...g.payments].sort((a, b) => (a.date || 0) - (b.date || 0));
+      const total = sorted.reduce((sum, p) => sum + p.paymentAmount, 0);
+      return { ...g, payments: sorted, exposure: total - sorted[0].paymentAmount };
+    })
+    .sort((a, b) => b.exposure - a.exposure);
+}
+
+export function normalizeDismissals(input) {
+  return Array.isArray(input) ? input.filter((s) => typeof s === "string") : [];
+}
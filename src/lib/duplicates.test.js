@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { findDuplicateGroups } from "./duplicates";
+
+const row = (paymentId, payer, checkNumber, paymentAmount, day, facility = "Keller") => ({
+  paymentId, payer, checkNumber, paymentAmount, paymentDate: new Date(2025, 7, day), dateEntered: null, facility,
+});
+
+describe("findDuplicateGroups", () => {
+  it("groups the same check number and payer across payment IDs", () => {
+    const groups = findDuplicateGroups([
+      row("1", "BCBS TX", "00451", 300, 10),
+      row("1", "BCBS TX", "00451", 300, 10, "Arlington"),
+      row("2", "bcbs tx", "451", 300, 20),
+      row("3", "AETNA", "451", 300, 10),
+    ]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ signature: "1|2", reasons: ["check"], exposure: 300 });
+    expect(groups[0].payments[0].facilities).toEqual(["Keller", "Arlington"]);
+  });
+
+  it("groups the same payer and amount within the date window", () => {
+    const rows = [
+      row("1", "SMITH, THOMAS", "", 40, 10),
+      row("2", "Smith, Thomas", "", 40, 12),
+      row("3", "SMITH, THOMAS", "", 40, 20),
+      row("4", "SMITH, THOMAS", "", 45, 11),
+    ];
+    expect(findDuplicateGroups(rows, 3).map((g) => g.signature)).toEqual(["1|2"]);
+    expect(findDuplicateGroups(rows, 0)).toEqual([]);
+    expect(findDuplicateGroups(rows, 10).map((g) => g.signature)).toEqual(["1|2|3"]);
+  });
+
+  it("reports both reasons once when they find the same payments", () => {
+    const [group] = findDuplicateGroups([row("1", "AETNA", "77", 120, 5), row("2", "AETNA", "77", 120, 6)]);
+    expect(group.reasons).toEqual(["check", "amount"]);
+  });
+});
@@ -0,0 +1,63 @@
+// Payments that need a second look: applied more than was collected, negative amounts (refunds and
+// reversals) and zero-amount entries. One entry per payment; a payment can have more than one flag.
+import { paymentUnapplied } from "./parsePaymentsReport";
+import { groupPayments } from "./payments";
+
+export const EXCEPTION_TYPES = {
+  overapplied: "Overapplied",
+  negative: "Refund / reversal",
+  zero: "Zero amount",
+};
+
+const CENT = 0.005;
+
+// What was applied beyond a (non-negative) payment, from its payment-level unapplied amount; 0 when not
+// overapplied. summaryMetrics' overappliedTotal sums the same figure, so the KPI and this list agree.
+export function overappliedBy(collected, unapplied) {
+  return collected >= -CENT && unapplied < -CENT ? -unapplied : 0;
+}
+
+/**
+ * [{ paymentId, payer, paymentType, paymentDate, dateEntered, collected, applied, unapplied, notes, types }]
+ * for the filtered rows, with the largest amount at stake first. applied and unapplied are the whole
+ * payment's (see paymentUnapplied), so a payment overapplied across clinics is found under any filter.
+ */
+export function findExceptions(filtered) {
+  const payments = groupPayments(
+    filtered,
+    (r) => ({
+      paymentId: r.paymentId,
+      payer: r.payer || "",
+      paymentType: r.paymentType,
+      paymentDate: r.paymentDate,
+      dateEntered: r.dateEntered,
+      collected: r.paymentAmount,
+      notes: r.notes || "",
+      appliedSeen: 0,
+      row: r,
+    }),
+    (p, r) => {
+      p.appliedSeen += Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    }
+  );
+
+  const out = [];
+  for (const { appliedSeen, row, ...p } of payments) {
+    const unapplied = paymentUnapplied(row, appliedSeen);
+    const types = [];
+    if (p.collected < -CENT) types.push("negative");
+    else if (Math.abs(p.collected) <= CENT) types.push("zero");
+    if (overappliedBy(p.collected, unapplied) > 0) types.push("overapplied");
+    if (types.length) out.push({ ...p, applied: p.collected - unapplied, unapplied, types });
+  }
+  // amount at stake: the refund itself, or what was applied beyond the payment
+  const atStake = (e) => Math.abs(e.types.includes("negative") ? e.collected : e.unapplied);
+  return out.sort((a, b) => atStake(b) - atStake(a));
+}
+
+// Count per exception type, for the filter chips
+export function exceptionCounts(exceptions) {
+  const out = Object.fromEntries(Object.keys(EXCEPTION_TYPES).map((t) => [t, 0]));
+  for (const e of exceptions) for (const t of e.types) out[t]++;
+  return out;
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { findExceptions, exceptionCounts } from "./exceptions";
+
+const row = (paymentId, paymentAmount, appliedAmount, facility = "Keller") => ({ paymentId, paymentAmount, appliedAmount, facility });
+
+describe("findExceptions", () => {
+  it("flags overapplied, negative and zero-amount payments once each", () => {
+    const exceptions = findExceptions([
+      row("1", 100, 60), row("1", 100, 60, "Arlington"), // 120 applied of 100
+      row("2", -45, 0),
+      row("3", 0, 0),
+      row("4", 80, 80),
+      row("5", 0, 10),
+    ]);
+    expect(exceptions.map((e) => [e.paymentId, e.types])).toEqual([
+      ["2", ["negative"]],
+      ["1", ["overapplied"]],
+      ["5", ["zero", "overapplied"]],
+      ["3", ["zero"]],
+    ]);
+    expect(exceptions.find((e) => e.paymentId === "1").unapplied).toBeCloseTo(-20, 2);
+    expect(exceptionCounts(exceptions)).toEqual({ overapplied: 2, negative: 1, zero: 2 });
+  });
+
+  it("uses the whole payment when a facility filter hides some of its rows", () => {
+    // payment 1: 100 collected, 120 applied across Keller and Arlington; only Keller is filtered in
+    const [e] = findExceptions([{ ...row("1", 100, 60), unappliedAmount: -20 }]);
+    expect(e).toMatchObject({ paymentId: "1", applied: 120, unapplied: -20, types: ["overapplied"] });
+  });
+});
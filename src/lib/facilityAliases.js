@@ -0,0 +1,87 @@
+// Facility aliases: map raw clinic names from the reports ("SPT - Arlington", an old clinic name) to one
+// canonical clinic, and canonical clinics to an optional region. Applied to each file's parsed rows before
+// they are merged, so the facility filter, the charts and the exports all see the canonical name.
+// Keys are normalizeFacility() forms, so NBSP / spacing / case variants need no entry of their own.
+import { normalizeFacility } from "./parsePaymentsReport";
+
+export const EMPTY_ALIASES = { aliases: {}, regions: {} };
+
+const isStringMap = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// Stored alias map read back. Keys are normalized again, so a hand-edited "SPT - Arlington " still
+// matches; blank names and non-string values are dropped.
+export function normalizeAliasMap(input) {
+  const out = { aliases: {}, regions: {} };
+  if (!isStringMap(input)) return out;
+  for (const field of ["aliases", "regions"]) {
+    if (!isStringMap(input[field])) continue;
+    for (const [key, value] of Object.entries(input[field])) {
+      const norm = normalizeFacility(key);
+      if (norm && typeof value === "string" && value.trim()) out[field][norm] = value.trim();
+    }
+  }
+  return out;
+}
+
+// Canonical name for a raw facility (the raw name itself when it has no alias)
+export function canonicalFacility(map, facility) {
+  return map.aliases[normalizeFacility(facility)] || facility;
+}
+
+export function regionOf(map, facility) {
+  return facility ? map.regions[normalizeFacility(facility)] || "" : "";
+}
+
+// Map raw name -> canonical name; an empty or same-as-raw name removes the alias
+export function setAlias(map, rawFacility, canonical) {
+  const aliases = { ...map.aliases };
+  const norm = normalizeFacility(rawFacility);
+  const name = (canonical || "").trim();
+  if (!name || normalizeFacility(name) === norm) delete aliases[norm];
+  else aliases[norm] = name;
+  return { ...map, aliases };
+}
+
+export function setRegion(map, facility, region) {
+  const regions = { ...map.regions };
+  const norm = normalizeFacility(facility);
+  if ((region || "").trim()) regions[norm] = region.trim();
+  else delete regions[norm];
+  return { ...map, regions };
+}
+
+// The loaded files with aliases applied to each one's rows, ready for mergeSources
+export function aliasSources(sources, map) {
+  return sources.map((s) => ({ ...s, rows: applyFacilityAliases(s.rows, map) }));
+}
+
+/**
+ * Rows with facility / facilityNorm replaced by the canonical clinic, plus facilityRaw (as parsed) and
+ * region. Facility rows of one payment that land on the same clinic are combined, summing applied,
+ * so they are not dropped as duplicates when files are merged (see mergeSources).
+ */
+export function applyFacilityAliases(rows, map) {
+  const hasAliases = Object.keys(map.aliases).length > 0 || Object.keys(map.regions).length > 0;
+  if (!hasAliases) return rows;
+
+  const out = [];
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!row.facility) {
+      out.push({ ...row, facilityRaw: "", region: "" });
+      continue;
+    }
+    const facility = canonicalFacility(map, row.facility);
+    const facilityNorm = normalizeFacility(facility);
+    const key = `${row.paymentId}|${facilityNorm}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.appliedAmount += Number.isFinite(row.appliedAmount) ? row.appliedAmount : 0;
+      continue;
+    }
+    const aliased = { ...row, facility, facilityNorm, facilityRaw: row.facility, region: regionOf(map, facility) };
+    byKey.set(key, aliased);
+    out.push(aliased);
+  }
+  return out;
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { applyFacilityAliases, normalizeAliasMap, setAlias, setRegion, EMPTY_ALIASES } from "./facilityAliases";
+
+const row = (paymentId, facility, appliedAmount) => ({
+  paymentId, facility, facilityNorm: facility.toLowerCase(), appliedAmount, paymentAmount: 100,
+});
+
+describe("applyFacilityAliases", () => {
+  let map = setAlias(EMPTY_ALIASES, "SPT -  Arlington", "Synaptic Pediatric Therapies - Arlington");
+  map = setRegion(map, "Synaptic Pediatric Therapies - Arlington", "North");
+
+  it("renames variants to the canonical clinic and adds its region", () => {
+    const [r] = applyFacilityAliases([row("1", "spt - arlington", 40)], map);
+    expect(r).toMatchObject({
+      facility: "Synaptic Pediatric Therapies - Arlington",
+      facilityNorm: "synaptic pediatric therapies - arlington",
+      facilityRaw: "spt - arlington",
+      region: "North",
+    });
+  });
+
+  it("combines facility rows of one payment that map to the same clinic", () => {
+    const out = applyFacilityAliases(
+      [row("1", "SPT - Arlington", 40), row("1", "Synaptic Pediatric Therapies - Arlington", 25), row("1", "Keller", 35)],
+      map
+    );
+    expect(out.map((r) => [r.facility, r.appliedAmount])).toEqual([
+      ["Synaptic Pediatric Therapies - Arlington", 65],
+      ["Keller", 35],
+    ]);
+  });
+
+  it("leaves rows alone when there is no mapping", () => {
+    const rows = [row("1", "Keller", 35)];
+    expect(applyFacilityAliases(rows, EMPTY_ALIASES)).toBe(rows);
+  });
+});
+
+describe("alias map editing", () => {
+  it("drops an alias set back to the raw name and keys entries by normalized name", () => {
+    const map = setAlias(EMPTY_ALIASES, "Old Clinic", "New Clinic");
+    expect(map.aliases).toEqual({ "old clinic": "New Clinic" });
+    expect(setAlias(map, "OLD  clinic", "old clinic").aliases).toEqual({});
+    expect(normalizeAliasMap({ aliases: { " Old Clinic ": "New Clinic", bad: 3 }, regions: [] })).toEqual(map);
+  });
+});
@@ -0,0 +1,64 @@
+// Named filter presets ("views"). Pure helpers over { defaultId, presets: [{ id, name, filters }] };
+// the component persists the result with localStore.
+import { normalizeFilterState } from "./filterState";
+
+export const EMPTY_PRESETS = { defaultId: null, presets: [] };
+const EXPORT_VERSION = 1;
+
+const newId = () => `view-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function normalizePresets(input) {
+  const list = input && Array.isArray(input.presets) ? input.presets : [];
+  const presets = list
+    .filter((p) => p && typeof p.name === "string" && p.name.trim())
+    .map((p) => ({ id: typeof p.id === "string" && p.id ? p.id : newId(), name: p.name.trim(), filters: normalizeFilterState(p.filters) }));
+  const defaultId = presets.some((p) => p.id === input?.defaultId) ? input.defaultId : null;
+  return { defaultId, presets };
+}
+
+// Saving under an existing name overwrites that preset (keeps its id / default flag)
+export function savePreset(state, name, filters) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return state;
+  const existing = state.presets.find((p) => p.name.toLowerCase() === trimmed.toLowerCase());
+  const preset = { id: existing ? existing.id : newId(), name: trimmed, filters: normalizeFilterState(filters) };
+  const presets = existing
+    ? state.presets.map((p) => (p.id === existing.id ? preset : p))
+    : [...state.presets, preset];
+  return { ...state, presets };
+}
+
+export function renamePreset(state, id, name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return state;
+  return { ...state, presets: state.presets.map((p) => (p.id === id ? { ...p, name: trimmed } : p)) };
+}
+
+export function deletePreset(state, id) {
+  return {
+    defaultId: state.defaultId === id ? null : state.defaultId,
+    presets: state.presets.filter((p) => p.id !== id),
+  };
+}
+
+// Toggles: setting the current default again clears it
+export function setDefaultPreset(state, id) {
+  return { ...state, defaultId: state.defaultId === id ? null : id };
+}
+
+export function exportPresets(state) {
+  return JSON.stringify({ version: EXPORT_VERSION, presets: state.presets.map(({ name, filters }) => ({ name, filters })) }, null, 2);
+}
+
+// Merge a shared JSON file into the local set; presets with the same name are replaced
+export function importPresets(state, json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  const incoming = normalizePresets({ presets: parsed && parsed.presets }).presets;
+  if (incoming.length === 0) throw new Error("No presets found in file");
+  return incoming.reduce((acc, p) => savePreset(acc, p.name, p.filters), state);
+}
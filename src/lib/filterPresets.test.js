@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FILTERS } from "./filterState";
+import {
+  EMPTY_PRESETS,
+  normalizePresets,
+  savePreset,
+  renamePreset,
+  deletePreset,
+  setDefaultPreset,
+  exportPresets,
+  importPresets,
+} from "./filterPresets";
+
+const checksOnly = { ...DEFAULT_FILTERS, paymentTypes: ["Check"] };
+const arlington = { ...DEFAULT_FILTERS, facilityFilter: ["synaptic pediatric therapies - arlington"] };
+
+describe("filter presets", () => {
+  it("saves a preset and overwrites one with the same name", () => {
+    let state = savePreset(EMPTY_PRESETS, "Insurance checks only", checksOnly);
+    const id = state.presets[0].id;
+    state = savePreset(state, "insurance checks only ", arlington);
+    expect(state.presets).toHaveLength(1);
+    expect(state.presets[0]).toMatchObject({ id, filters: arlington });
+  });
+
+  it("ignores blank names", () => {
+    expect(savePreset(EMPTY_PRESETS, "  ", checksOnly)).toBe(EMPTY_PRESETS);
+  });
+
+  it("renames, sets default and deletes", () => {
+    let state = savePreset(EMPTY_PRESETS, "A", checksOnly);
+    const id = state.presets[0].id;
+    state = renamePreset(state, id, "Checks");
+    state = setDefaultPreset(state, id);
+    expect(state).toMatchObject({ defaultId: id, presets: [{ name: "Checks" }] });
+    expect(setDefaultPreset(state, id).defaultId).toBeNull();
+    expect(deletePreset(state, id)).toEqual(EMPTY_PRESETS);
+  });
+
+  it("round-trips through export / import and merges by name", () => {
+    const shared = savePreset(savePreset(EMPTY_PRESETS, "Checks", checksOnly), "Arlington", arlington);
+    const local = savePreset(EMPTY_PRESETS, "Checks", DEFAULT_FILTERS);
+    const merged = importPresets(local, exportPresets(shared));
+    expect(merged.presets.map((p) => [p.name, p.filters])).toEqual([
+      ["Checks", checksOnly],
+      ["Arlington", arlington],
+    ]);
+    expect(merged.presets[0].id).toBe(local.presets[0].id);
+  });
+
+  it("rejects files that aren't a preset export", () => {
+    expect(() => importPresets(EMPTY_PRESETS, "not json")).toThrow(/valid JSON/);
+    expect(() => importPresets(EMPTY_PRESETS, "{}")).toThrow(/No presets/);
+  });
+
+  it("drops a default that points at a missing preset when loading", () => {
+    expect(normalizePresets({ defaultId: "gone", presets: [{ id: "x", name: "X", filters: {} }] })).toEqual({
+      defaultId: null,
+      presets: [{ id: "x", name: "X", filters: DEFAULT_FILTERS }],
+    });
+  });
+});
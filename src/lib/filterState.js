@@ -0,0 +1,137 @@
+// The dashboard's filter + sort state as one plain object, so it can be saved, restored and shared.
+import { EMPTY_QUERY, normalizeQuery, countRules } from "./queryBuilder";
+
+export const DEFAULT_FILTERS = {
+  search: "",
+  payerFilter: [],
+  payerCategories: [], // see lib/payerCategory; "" = no category (insurance)
+  paymentTypes: [],
+  facilityFilter: [], // normalized facility keys
+  payerMode: "include", // include / exclude the picked payers, types and facilities: see LIST_MODES
+  typeMode: "include",
+  facilityMode: "include",
+  minAmt: "",
+  maxAmt: "",
+  query: EMPTY_QUERY, // advanced AND / OR conditions, see lib/queryBuilder
+  fromDate: "", // yyyy-mm-dd
+  toDate: "",
+  dateField: "dateEntered", // which date From / To filter on; the trend chart buckets by it too
+  missingDates: "exclude", // rows without that date: see MISSING_DATE_OPTIONS
+  sorts: [], // [{ key, direction: "asc" | "desc" }], primary sort first
+};
+
+export const DATE_FIELDS = { dateEntered: "Date Entered", paymentDate: "Payment Date" };
+
+// "exclude" drops rows without the date once a From / To is set; "only" is for chasing those rows down
+export const MISSING_DATE_OPTIONS = {
+  exclude: "Hide rows without a date",
+  include: "Keep rows without a date",
+  only: "Only rows without a date",
+};
+
+// Which picker list each mode applies to; "exclude" keeps everything except the picked values
+export const LIST_MODE_FIELDS = { payerFilter: "payerMode", paymentTypes: "typeMode", facilityFilter: "facilityMode" };
+export const LIST_MODES = { include: "Include", exclude: "Exclude" };
+
+const isStringArray = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+const isDirection = (v) => v === "asc" || v === "desc";
+
+function normalizeSorts(sorts) {
+  const out = [];
+  for (const s of Array.isArray(sorts) ? sorts : []) {
+    if (!s || typeof s.key !== "string" || !s.key || out.some((o) => o.key === s.key)) continue;
+    out.push({ key: s.key, direction: isDirection(s.direction) ? s.direction : "asc" });
+  }
+  return out;
+}
+
+// A complete filter state from a partial or stored one: missing or invalid fields take the default, so
+// callers can pass just the filters they set
+export function normalizeFilterState(input) {
+  const f = input && typeof input === "object" ? input : {};
+  const out = { ...DEFAULT_FILTERS };
+  for (const key of ["search", "minAmt", "maxAmt", "fromDate", "toDate"]) {
+    if (typeof f[key] === "string") out[key] = f[key];
+  }
+  for (const key of ["payerFilter", "payerCategories", "paymentTypes", "facilityFilter"]) {
+    if (isStringArray(f[key])) out[key] = [...f[key]];
+  }
+  for (const key of Object.values(LIST_MODE_FIELDS)) {
+    if (LIST_MODES[f[key]]) out[key] = f[key];
+  }
+  out.query = normalizeQuery(f.query);
+  if (DATE_FIELDS[f.dateField]) out.dateField = f.dateField;
+  if (MISSING_DATE_OPTIONS[f.missingDates]) out.missingDates = f.missingDates;
+  out.sorts = normalizeSorts(f.sorts);
+  return out;
+}
+
+// Header click: a plain click sorts by that column alone (clicking it again flips the direction);
+// shift-click adds it as the next sort key, flips it if already there, and drops it after desc.
+export function toggleSort(sorts, key, additive = false) {
+  const existing = sorts.find((s) => s.key === key);
+  if (!additive) {
+    if (sorts.length === 1 && existing) return [{ key, direction: existing.direction === "asc" ? "desc" : "asc" }];
+    return [{ key, direction: "asc" }];
+  }
+  if (!existing) return [...sorts, { key, direction: "asc" }];
+  if (existing.direction === "desc") return sorts.filter((s) => s !== existing);
+  return sorts.map((s) => (s === existing ? { key, direction: "desc" } : s));
+}
+
+// --- URL query encoding ----------------------------------------------------
+// Short, readable parameter names; list filters repeat the parameter (?type=Check&type=Cash).
+// Sort keys repeat too, in priority order, with a leading "-" for descending (?sort=facility&sort=-paymentAmount).
+// The advanced query has no flat form, so it goes in as JSON (?where={...}).
+const SCALAR_PARAMS = {
+  search: "q", minAmt: "min", maxAmt: "max", fromDate: "from", toDate: "to", dateField: "date", missingDates: "missing",
+  payerMode: "payer_mode", typeMode: "type_mode", facilityMode: "facility_mode",
+};
+const LIST_PARAMS = { payerFilter: "payer", payerCategories: "category", paymentTypes: "type", facilityFilter: "facility" };
+const SORT_PARAM = "sort";
+const QUERY_PARAM = "where";
+
+const OWNED_PARAMS = [...Object.values(SCALAR_PARAMS), ...Object.values(LIST_PARAMS), SORT_PARAM, QUERY_PARAM];
+
+// Only non-default values are written, so an unfiltered view has a clean URL. Parameters in `search`
+// that are not ours (utm tags, other apps' state) are kept as they are.
+export function filtersToQuery(input, search = "") {
+  const f = normalizeFilterState(input);
+  const params = new URLSearchParams(search);
+  for (const p of OWNED_PARAMS) params.delete(p);
+  for (const [key, param] of Object.entries(SCALAR_PARAMS)) {
+    if (f[key] != null && f[key] !== "" && f[key] !== DEFAULT_FILTERS[key]) params.set(param, f[key]);
+  }
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    for (const v of f[key]) params.append(param, v);
+  }
+  for (const s of f.sorts) params.append(SORT_PARAM, s.direction === "desc" ? `-${s.key}` : s.key);
+  if (countRules(f.query) > 0) params.set(QUERY_PARAM, JSON.stringify(f.query));
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+export function filtersFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const f = {};
+  for (const [key, param] of Object.entries(SCALAR_PARAMS)) {
+    if (params.has(param)) f[key] = params.get(param);
+  }
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    f[key] = params.getAll(param);
+  }
+  f.sorts = params.getAll(SORT_PARAM).map((v) => (v.startsWith("-") ? { key: v.slice(1), direction: "desc" } : { key: v, direction: "asc" }));
+  if (params.has(QUERY_PARAM)) {
+    try {
+      f.query = JSON.parse(params.get(QUERY_PARAM));
+    } catch {
+      // a truncated or hand-edited link: keep the other filters
+    }
+  }
+  return normalizeFilterState(f);
+}
+
+export function hasFilterQuery(search) {
+  const params = new URLSearchParams(search);
+  return OWNED_PARAMS.some((p) => params.has(p));
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FILTERS, normalizeFilterState, toggleSort, filtersToQuery, filtersFromQuery, hasFilterQuery } from "./filterState";
+
+describe("normalizeFilterState", () => {
+  it("fills in defaults and drops values of the wrong shape", () => {
+    expect(normalizeFilterState(null)).toEqual(DEFAULT_FILTERS);
+    expect(normalizeFilterState({ search: 5, payerFilter: "x", paymentTypes: ["Check"], sorts: [{ key: "" }] })).toEqual({
+      ...DEFAULT_FILTERS,
+      paymentTypes: ["Check"],
+    });
+  });
+});
+
+describe("toggleSort", () => {
+  it("sorts by one column on a plain click and flips it on the next", () => {
+    const sorts = toggleSort([{ key: "facility", direction: "asc" }, { key: "paymentAmount", direction: "desc" }], "payer");
+    expect(sorts).toEqual([{ key: "payer", direction: "asc" }]);
+    expect(toggleSort(sorts, "payer")).toEqual([{ key: "payer", direction: "desc" }]);
+  });
+
+  it("adds, flips and then removes a column on shift-click", () => {
+    let sorts = toggleSort([{ key: "facility", direction: "asc" }], "paymentAmount", true);
+    expect(sorts).toEqual([{ key: "facility", direction: "asc" }, { key: "paymentAmount", direction: "asc" }]);
+    sorts = toggleSort(sorts, "paymentAmount", true);
+    expect(sorts[1]).toEqual({ key: "paymentAmount", direction: "desc" });
+    expect(toggleSort(sorts, "paymentAmount", true)).toEqual([{ key: "facility", direction: "asc" }]);
+  });
+});
+
+describe("URL query encoding", () => {
+  const view = {
+    ...DEFAULT_FILTERS,
+    search: "refund",
+    payerFilter: ["SMITH, THOMAS", "BCBS TX"],
+    payerCategories: ["PATIENT", ""],
+    payerMode: "exclude",
+    query: {
+      combinator: "or",
+      rules: [
+        { field: "notes", op: "contains", value: "refund", value2: "" },
+        { combinator: "and", rules: [{ field: "checkNumber", op: "isEmpty", value: "", value2: "" }] },
+      ],
+    },
+    paymentTypes: ["Check"],
+    facilityFilter: ["synaptic pediatric therapies - arlington"],
+    minAmt: "500",
+    fromDate: "2025-08-10",
+    toDate: "2025-08-16",
+    dateField: "paymentDate",
+    missingDates: "include",
+    sorts: [{ key: "facility", direction: "asc" }, { key: "paymentAmount", direction: "desc" }],
+  };
+
+  it("round-trips the full filter and sort state", () => {
+    const query = filtersToQuery(view);
+    expect(query.startsWith("?")).toBe(true);
+    expect(filtersFromQuery(query)).toEqual(view);
+  });
+
+  it("writes nothing for the default view", () => {
+    expect(filtersToQuery(DEFAULT_FILTERS)).toBe("");
+    expect(filtersFromQuery("")).toEqual(DEFAULT_FILTERS);
+  });
+
+  it("keeps query parameters it does not own", () => {
+    const query = filtersToQuery(view, "?utm_source=mail&q=old");
+    const params = new URLSearchParams(query);
+    expect(params.get("utm_source")).toBe("mail");
+    expect(filtersFromQuery(query)).toEqual(view);
+    expect(filtersToQuery(DEFAULT_FILTERS, "?utm_source=mail&q=old")).toBe("?utm_source=mail");
+  });
+
+  it("repeats list parameters and uses short names", () => {
+    const params = new URLSearchParams(filtersToQuery(view));
+    expect(params.getAll("payer")).toEqual(["SMITH, THOMAS", "BCBS TX"]);
+    expect(params.get("min")).toBe("500");
+    expect(params.get("date")).toBe("paymentDate");
+    expect(params.has("max")).toBe(false);
+    expect(params.getAll("sort")).toEqual(["facility", "-paymentAmount"]);
+  });
+
+  it("detects whether a URL carries any filter parameters", () => {
+    expect(hasFilterQuery("?type=Check")).toBe(true);
+    expect(hasFilterQuery("?utm_source=mail")).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+// Small JSON settings kept in localStorage (presets, aliases, statuses...). Large datasets live in IndexedDB
+// (see datasetStore). Reads fall back to the default if storage is unavailable or the value is corrupt;
+// writes throw (quota exceeded, storage blocked) so the caller can tell the user. usePersistedState ties
+// one setting to React state.
+import { useCallback, useState } from "react";
+
+const PREFIX = "spt-payments:";
+
+export function readJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(key, value) {
+  window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+}
+
+// [value, update] for the setting under key: read once through normalize (which gets null when nothing
+// is stored), and written back on every update. A failed write calls onError(err); the value is still
+// kept for this session.
+export function usePersistedState(key, normalize, onError) {
+  const [value, setValue] = useState(() => normalize(readJson(key, null)));
+  const update = useCallback((next) => {
+    setValue(next);
+    try {
+      writeJson(key, next);
+    } catch (err) {
+      onError(err);
+    }
+  }, [key, onError]);
+  return [value, update];
+}
@@ -0,0 +1,52 @@
+// Merge several parsed report files (e.g. consecutive weekly "Collected Payments" exports) into one row set.
+// A payment/facility pair that already came from an earlier file is dropped, so overlapping uploads
+// don't double count. Rows within one file are never deduplicated against each other: a report can
+// legitimately list the same payment/facility pair twice.
+
+export function rowKey(row) {
+  return `${row.paymentId}|${row.facilityNorm || ""}`;
+}
+
+// Earliest / latest date covered by a file's rows (Date Entered, falling back to Payment Date)
+export function dateCoverage(rows) {
+  let first = null;
+  let last = null;
+  for (const r of rows) {
+    const d = r.dateEntered || r.paymentDate;
+    if (!d) continue;
+    if (!first || d < first) first = d;
+    if (!last || d > last) last = d;
+  }
+  return first ? { first, last } : null;
+}
+
+/**
+ * sources: [{ id, fileName, rows }] in upload order.
+ * Returns { rows, stats } where stats maps source id -> { rowCount, addedCount, duplicateCount, coverage }.
+ */
+export function mergeSources(sources) {
+  const seen = new Set();
+  const merged = [];
+  const stats = new Map();
+
+  for (const source of sources) {
+    let addedCount = 0;
+    const keys = new Set();
+    for (const row of source.rows) {
+      const key = rowKey(row);
+      keys.add(key);
+      if (seen.has(key)) continue;
+      merged.push({ ...row, sourceId: source.id });
+      addedCount++;
+    }
+    for (const key of keys) seen.add(key);
+    stats.set(source.id, {
+      rowCount: source.rows.length,
+      addedCount,
+      duplicateCount: source.rows.length - addedCount,
+      coverage: dateCoverage(source.rows),
+    });
+  }
+
+  return { rows: merged, stats };
+}
@@ -0,0 +1,84 @@
+import { readFileSync } from "node:fs";
+import Papa from "papaparse";
+import { describe, it, expect } from "vitest";
+import { mergeSources, rowKey, dateCoverage } from "./mergeSources";
+import { parsePaymentsReport } from "./parsePaymentsReport";
+
+const COLLECTED_CSV = new URL("../../public/Collected Payments By Payment Date - Detail 8-10-25 to 8-16-25.csv", import.meta.url);
+
+const row = (paymentId, facilityNorm, dateEntered, extra = {}) => ({
+  paymentId,
+  facilityNorm,
+  facility: facilityNorm,
+  dateEntered: dateEntered ? new Date(dateEntered) : null,
+  paymentDate: null,
+  paymentAmount: 10,
+  appliedAmount: 10,
+  ...extra,
+});
+
+describe("mergeSources", () => {
+  it("keys rows on payment id + normalized facility", () => {
+    expect(rowKey(row("1", "clinic a"))).toBe("1|clinic a");
+    expect(rowKey(row("1", ""))).toBe("1|");
+  });
+
+  it("concatenates files and tags rows with their source", () => {
+    const { rows, stats } = mergeSources([
+      { id: "a", fileName: "week1.csv", rows: [row("1", "clinic a", "2025-08-11")] },
+      { id: "b", fileName: "week2.csv", rows: [row("2", "clinic a", "2025-08-18")] },
+    ]);
+    expect(rows.map((r) => [r.paymentId, r.sourceId])).toEqual([["1", "a"], ["2", "b"]]);
+    expect(stats.get("b")).toMatchObject({ rowCount: 1, addedCount: 1, duplicateCount: 0 });
+  });
+
+  it("drops payment/facility pairs already loaded from an earlier file", () => {
+    const { rows, stats } = mergeSources([
+      { id: "a", rows: [row("1", "clinic a", "2025-08-11"), row("1", "clinic b", "2025-08-11")] },
+      { id: "b", rows: [row("1", "clinic a", "2025-08-11"), row("1", "clinic c", "2025-08-11")] },
+    ]);
+    expect(rows.map(rowKey)).toEqual(["1|clinic a", "1|clinic b", "1|clinic c"]);
+    expect(stats.get("b")).toMatchObject({ rowCount: 2, addedCount: 1, duplicateCount: 1 });
+  });
+
+  it("keeps repeated payment/facility pairs within one file", () => {
+    const { rows, stats } = mergeSources([
+      { id: "a", rows: [row("1", "clinic a"), row("1", "clinic a", null, { appliedAmount: 4 })] },
+      { id: "b", rows: [row("1", "clinic a")] },
+    ]);
+    expect(rows.map((r) => [r.sourceId, r.appliedAmount])).toEqual([["a", 10], ["a", 4]]);
+    expect(stats.get("a")).toMatchObject({ addedCount: 2, duplicateCount: 0 });
+    expect(stats.get("b")).toMatchObject({ addedCount: 0, duplicateCount: 1 });
+  });
+
+  it("keeps every row of the sample Collected Payments report", () => {
+    const { payments } = parsePaymentsReport(Papa.parse(readFileSync(COLLECTED_CSV, "utf8")).data);
+    const { rows, stats } = mergeSources([{ id: "a", rows: payments }]);
+    expect(payments).toHaveLength(394);
+    expect(rows).toHaveLength(394);
+    expect(stats.get("a").duplicateCount).toBe(0);
+  });
+
+  it("removing a source brings its rows back from the remaining files only", () => {
+    const a = { id: "a", rows: [row("1", "clinic a")] };
+    const b = { id: "b", rows: [row("1", "clinic a"), row("2", "clinic a")] };
+    expect(mergeSources([a, b]).rows).toHaveLength(2);
+    expect(mergeSources([b]).rows.map((r) => r.sourceId)).toEqual(["b", "b"]);
+  });
+});
+
+describe("dateCoverage", () => {
+  it("spans the earliest and latest date, falling back to payment date", () => {
+    const cov = dateCoverage([
+      row("1", "", "2025-08-12"),
+      row("2", "", null, { paymentDate: new Date("2025-08-10") }),
+      row("3", "", "2025-08-16"),
+    ]);
+    expect(cov.first.toISOString().slice(0, 10)).toBe("2025-08-10");
+    expect(cov.last.toISOString().slice(0, 10)).toBe("2025-08-16");
+  });
+
+  it("returns null when no row has a date", () => {
+    expect(dateCoverage([row("1", "", null)])).toBeNull();
+  });
+});
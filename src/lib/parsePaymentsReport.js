@@ -0,0 +1,370 @@
+// Pure parsing pipeline for the payment report exports. No React / DOM here so it can be unit tested
+// and reused anywhere we have an array-of-arrays (Papa.parse output or an XLSX sheet).
+//
+// Supported layouts:
+//   Format 1 - "Collected Payments By Payment Date - Detail": one "Payment ID" header per payment,
+//              followed by an inline "Facility / Applied" block and a "Facility Total:" line.
+//   Format 2 - "filtered_payments.csv": flat, one row per payment (or per facility when exported from here).
+
+import { parseDay } from "./dates";
+
+// --- Helpers ---------------------------------------------------------------
+export function parseMoney(v) {
+  if (v == null) return 0;
+  const n = String(v).replace(/[^0-9.-]/g, "");
+  const f = parseFloat(n);
+  return isNaN(f) ? 0 : f;
+}
+
+// A bare yyyy-mm-dd (our own CSV export) would parse as UTC midnight, the previous day west of
+// Greenwich, so it is read as a local day; other formats ("08/11/2025") already parse as local time
+export function toDate(s) {
+  if (!s) return null;
+  const text = String(s).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseDay(text) : new Date(text);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+export function splitPayer(payerName) {
+  if (!payerName) return { payerCategory: null, payer: null };
+  const s = String(payerName);
+  if (s.includes(" - ")) {
+    const parts = s.split(" - ");
+    const cat = parts.shift();
+    const rest = parts.join(" - ");
+    return { payerCategory: (cat || "").trim(), payer: (rest || "").trim() };
+  }
+  return { payerCategory: null, payer: s.trim() };
+}
+
+// TheraOffice normalization: kill NBSPs, collapse spaces, lowercase for matching
+export function normalizeFacility(s) {
+  return String(s ?? "")
+    .replace(/\u00A0/g, " ") // NBSP -> space
+    .replace(/\s+/g, " ")    // collapse spaces
+    .trim()
+    .toLowerCase();
+}
+
+// Returns the index of the first row that looks like a column header, or -1 if none was found
+export function detectHeaderRow(rows) {
+  for (let i = 0; i < Math.min(30, rows.length); i++) {
+    const row = rows[i] || [];
+    const rowLower = row.map((c) => String(c || "").toLowerCase());
+    // Check for both "payment id" (Format 1) and "paymentid" (Format 2)
+    if (rowLower.some((c) => c.includes("payment id") || c.includes("paymentid"))) return i;
+  }
+  return -1;
+}
+
+// Format 2 has "payercategory" field (distinguishing feature), Format 1 has "Payer Name" (combined)
+export function isFormat2Header(header) {
+  const headerLower = header.map((h) => String(h || "").toLowerCase());
+  const hasPayerCategory = headerLower.some((h) => h.includes("payercategory"));
+  const hasPayerName = headerLower.some((h) => h.includes("payer name"));
+  return hasPayerCategory || (!hasPayerName && headerLower.some((h) => h.replace(/\s+/g, "") === "paymentid"));
+}
+
+// Warning types collected while parsing; see DiagnosticsPanel for how they are shown
+export const WARNING_LABELS = {
+  "no-header": "No header row",
+  "skipped-row": "Skipped row",
+  "total-row": "Total row skipped",
+  "orphan-row": "Unattached row",
+  "no-facility": "No facility block",
+  "facility-total-mismatch": "Facility Total mismatch",
+  "bad-date": "Unparseable date",
+  "bad-amount": "Unparseable amount",
+};
+
+const isBlank = (v) => String(v ?? "").trim() === "";
+const isBlankRow = (row) => row.every(isBlank);
+
+// parseMoney() falls back to 0; this tells us whether a non-empty cell actually held a number
+function isMoney(v) {
+  return !isNaN(parseFloat(String(v).replace(/[^0-9.-]/g, "")));
+}
+
+// Check a payment's date / amount cells and warn about values we had to drop
+function checkFields(warn, i, pid, fields) {
+  for (const [label, value, kind] of fields) {
+    if (isBlank(value)) continue;
+    if (kind === "date" && !toDate(value)) {
+      warn("bad-date", i, `${label} "${value}" could not be parsed`, { paymentId: pid });
+    } else if (kind === "money" && !isMoney(value)) {
+      warn("bad-amount", i, `${label} "${value}" could not be parsed; counted as $0.00`, { paymentId: pid });
+    }
+  }
+}
+
+// --- Format 2 --------------------------------------------------------------
+// Simple format with already separated fields.
+// May include facility, appliedAmount, unappliedAmount if exported from this app.
+function parseFormat2(dataRows, idx, warn) {
+  const iPaymentId = idx("paymentId");
+  const iPayerCategory = idx("payerCategory");
+  const iPayer = idx("payer");
+  const iPaymentType = idx("paymentType");
+  const iCheck = idx("checkNumber");
+  const iDateEntered = idx("dateEntered");
+  const iPaymentDate = idx("paymentDate");
+  const iPaymentAmount = idx("paymentAmount");
+  const iNotes = idx("notes");
+  const iFacility = idx("facility");
+  const iAppliedAmount = idx("appliedAmount");
+
+  const out = [];
+  for (let i = 0; i < dataRows.length; i++) {
+    const r = dataRows[i] || [];
+    if (isBlankRow(r)) continue;
+    const pid = r[iPaymentId];
+    if (String(pid ?? "").toLowerCase() === "paymentid") continue;
+    if (!pid || !/^\d+$/.test(String(pid))) {
+      warn("skipped-row", i, pid ? `Payment ID "${pid}" is not numeric` : "Row has no Payment ID");
+      continue;
+    }
+
+    checkFields(warn, i, String(pid), [
+      ["dateEntered", r[iDateEntered], "date"],
+      ["paymentDate", r[iPaymentDate], "date"],
+      ["paymentAmount", r[iPaymentAmount], "money"],
+      ["appliedAmount", iAppliedAmount >= 0 ? r[iAppliedAmount] : "", "money"],
+    ]);
+
+    const facilityVal = iFacility >= 0 ? (r[iFacility] || "").toString().trim() : "";
+    const appliedVal = iAppliedAmount >= 0 ? parseMoney(r[iAppliedAmount]) : 0;
+
+    out.push({
+      paymentId: String(pid),
+      payerCategory: (r[iPayerCategory] || "").toString().trim(),
+      payer: (r[iPayer] || "").toString().trim(),
+      paymentType: (r[iPaymentType] || "Unknown").toString(),
+      checkNumber: (r[iCheck] || "").toString(),
+      dateEntered: toDate(r[iDateEntered]),
+      paymentDate: toDate(r[iPaymentDate]),
+      paymentAmount: parseMoney(r[iPaymentAmount]),
+      notes: (r[iNotes] || "").toString(),
+      facility: facilityVal,
+      facilityNorm: facilityVal ? normalizeFacility(facilityVal) : "",
+      appliedAmount: Number.isFinite(appliedVal) ? appliedVal : 0,
+    });
+  }
+  return { rows: out, totals: null };
+}
+
+// --- Format 1 --------------------------------------------------------------
+// The trailing "Collected Payment Totals" / "Applied Payment Totals" summary is not payment data
+function findSummaryStart(dataRows) {
+  const i = dataRows.findIndex((row) =>
+    (row || []).some((c) => /^(collected|applied) payment totals$/i.test(String(c || "").trim()))
+  );
+  return i === -1 ? dataRows.length : i;
+}
+
+// Printed totals from the summary section:
+//   Collected Payment Totals -> one row per payment type, then "Total:"
+//   Applied Payment Totals   -> "Facility: X" blocks of payment type rows ending in "X Total:", then "Grand Total:"
+function parseSummary(dataRows, start, lineOf) {
+  const summary = { collectedByType: [], collectedTotal: null, appliedByFacility: [], appliedGrandTotal: null };
+  let section = null;
+  let facility = null;
+  for (let i = start; i < dataRows.length; i++) {
+    const row = (dataRows[i] || []).map((c) => String(c ?? "").trim());
+    const label = row[0] || "";
+    const lower = label.toLowerCase();
+    const amountCell = row.slice(1).find((c) => c !== "" && isMoney(c));
+    const amount = amountCell != null ? parseMoney(amountCell) : null;
+
+    if (lower === "collected payment totals") { section = "collected"; continue; }
+    if (lower === "applied payment totals") { section = "applied"; continue; }
+    if (!label || lower === "payment type" || amount == null) {
+      if (lower.startsWith("facility:")) facility = label.slice("facility:".length).trim();
+      continue;
+    }
+
+    if (lower === "grand total:") {
+      summary.appliedGrandTotal = { amount, line: lineOf(i) };
+    } else if (section === "collected") {
+      if (lower === "total:") summary.collectedTotal = { amount, line: lineOf(i) };
+      else summary.collectedByType.push({ paymentType: label, amount, line: lineOf(i) });
+    } else if (section === "applied" && facility && /total:$/i.test(label)) {
+      summary.appliedByFacility.push({ facility, facilityNorm: normalizeFacility(facility), amount, line: lineOf(i) });
+    }
+  }
+  return summary;
+}
+
+// Collected Payments format - Has facility/applied blocks
+function parseFormat1(dataRows, idx, warn, lineOf) {
+  const iPaymentId = idx("Payment ID");
+  const iPayerName = idx("Payer Name");
+  const iPaymentType = idx("Payment Type");
+  const iCheck = idx("Check #");
+  const iDateEntered = idx("Date Entered");
+  const iPaymentDate = idx("Payment Date");
+  const iPayment = idx("Payment");
+  const iNotes = idx("Notes");
+
+  const end = findSummaryStart(dataRows);
+  const consumed = new Set(); // row indexes claimed by a payment's Facility/Applied block
+  const facilityTotals = []; // printed "Facility Total:" per payment
+  const out = [];
+  // Iterate through rows; for each payment, attach following Facility/Applied blocks
+  for (let i = 0; i < end; i++) {
+    const r = dataRows[i] || [];
+    if (consumed.has(i) || isBlankRow(r)) continue;
+    const pid = r[iPaymentId];
+    const paymentLabel = (r[iPayment] ?? "").toString();
+    if (!pid) { warn("orphan-row", i, "Row is not attached to any payment"); continue; }
+    if (String(pid).toLowerCase() === "payment id") continue;
+    if (paymentLabel && /total/i.test(paymentLabel)) { warn("total-row", i, `Skipped total row "${paymentLabel}"`); continue; }
+    if (!/^\d+$/.test(String(pid))) { warn("skipped-row", i, `Payment ID "${pid}" is not numeric`); continue; }
+
+    checkFields(warn, i, String(pid), [
+      ["Date Entered", r[iDateEntered], "date"],
+      ["Payment Date", r[iPaymentDate], "date"],
+      ["Payment", r[iPayment], "money"],
+    ]);
+
+    const { payerCategory: cat, payer } = splitPayer(r[iPayerName]);
+    const base = {
+      paymentId: String(pid),
+      payerCategory: cat || "",
+      payer: payer || "",
+      paymentType: (r[iPaymentType] || "Unknown").toString(),
+      checkNumber: r[iCheck] || "",
+      dateEntered: toDate(r[iDateEntered]),
+      paymentDate: toDate(r[iPaymentDate]),
+      paymentAmount: parseMoney(r[iPayment]),
+      notes: r[iNotes] || "",
+    };
+
+    // Look ahead for a "Facility / Applied" header row, then capture the next value rows
+    let j = i + 1;
+    let foundFacilityBlock = false;
+    while (j < end) {
+      const row = dataRows[j] || [];
+      const joinedLower = row.map((c) => String(c || "").trim().toLowerCase());
+      // Stop when we hit the next payment section header or a new payment row
+      if (joinedLower.includes("payment id") || (/^\d+$/.test(String(row[iPaymentId] || "")))) break;
+
+      // Detect the inline Facility/Applied header row
+      const facilityHeaderIdx = joinedLower.indexOf("facility");
+      const appliedHeaderIdx = joinedLower.indexOf("applied");
+      if (facilityHeaderIdx !== -1 && appliedHeaderIdx !== -1) {
+        consumed.add(j);
+        let blockApplied = 0;
+        // Following rows until a blank-seeming line or next section: capture facility/applied
+        let k = j + 1;
+        while (k < end) {
+          const valRow = dataRows[k] || [];
+          const valLower = valRow.map((c) => String(c || "").trim().toLowerCase());
+          if (valLower.includes("facility total:")) {
+            consumed.add(k);
+            const printed = parseMoney(valRow[appliedHeaderIdx]);
+            facilityTotals.push({ paymentId: String(pid), amount: printed, line: lineOf(k) });
+            if (Math.abs(printed - blockApplied) > 0.005) {
+              warn("facility-total-mismatch", k,
+                `Facility Total $${printed.toFixed(2)} but applied rows sum to $${blockApplied.toFixed(2)}`,
+                { paymentId: String(pid) });
+            }
+            k++;
+            continue;
+          }
+          // break when we reach an empty separator or next section
+          const isSeparator = valLower.every((c) => c === "");
+          if (isSeparator) { k++; continue; }
+          if (valLower.includes("payment id") || (/^\d+$/.test(String(valRow[iPaymentId] || "")))) break;
+
+          consumed.add(k);
+          const facilityVal = valRow[facilityHeaderIdx];
+          const appliedVal = valRow[appliedHeaderIdx];
+          if (facilityVal) {
+            foundFacilityBlock = true;
+            checkFields(warn, k, String(pid), [["Applied", appliedVal, "money"]]);
+            blockApplied += parseMoney(appliedVal);
+            out.push({
+              ...base,
+              facility: String(facilityVal),
+              facilityNorm: normalizeFacility(facilityVal),
+              appliedAmount: parseMoney(appliedVal),
+            });
+          } else {
+            warn("orphan-row", k, "Row in Facility/Applied block has no facility name", { paymentId: String(pid) });
+          }
+          k++;
+        }
+        j = k;
+        break;
+      }
+      j++;
+    }
+
+    // If no facility block found, still emit the base row without facility
+    if (!foundFacilityBlock) {
+      warn("no-facility", i, `Payment ${pid} has no Facility/Applied block; counted as fully unapplied`,
+        { paymentId: String(pid), level: "info" });
+      out.push({
+        ...base,
+        facility: "",
+        facilityNorm: "",
+        appliedAmount: 0,
+      });
+    }
+  }
+  return { rows: out, totals: { facilityTotals, ...parseSummary(dataRows, end, lineOf) } };
+}
+
+// Compute unapplied per payment (collected - sum(applied across facilities))
+function withUnappliedAmounts(cleaned) {
+  const appliedByPayment = new Map();
+  for (const row of cleaned) {
+    const key = row.paymentId;
+    const applied = Number.isFinite(row.appliedAmount) ? row.appliedAmount : 0;
+    appliedByPayment.set(key, (appliedByPayment.get(key) || 0) + applied);
+  }
+  return cleaned.map((row) => {
+    const totalApplied = appliedByPayment.get(row.paymentId) || 0;
+    const unapplied = row.paymentAmount - totalApplied;
+    return { ...row, unappliedAmount: Number.isFinite(unapplied) ? unapplied : 0 };
+  });
+}
+
+// A row's unapplied amount for its whole payment, from withUnappliedAmounts: it covers every facility row,
+// so it stays right when filters hide some of them. Rows built without it (hand-made fixtures) fall back
+// to collected minus appliedSeen, the applied amounts the caller has at hand.
+export function paymentUnapplied(row, appliedSeen) {
+  return Number.isFinite(row.unappliedAmount) ? row.unappliedAmount : row.paymentAmount - appliedSeen;
+}
+
+// --- Entry point -----------------------------------------------------------
+/**
+ * Parse raw report rows (array of arrays, or array of objects) into payment rows.
+ * Returns { payments, warnings, totals } where each payment row is one payment/facility pair and each warning is
+ * { type, level: "warning" | "info", line, paymentId?, message } with `line` the 1-based row in the file.
+ * `totals` holds the figures the report printed itself (Format 1 only, null otherwise); see reconcileReport.
+ */
+export function parsePaymentsReport(rows) {
+  const warnings = [];
+  const arrayRows = (rows || []).map((r) => (Array.isArray(r) ? r : Object.values(r || {})));
+
+  let headerRowIdx = detectHeaderRow(arrayRows);
+  if (headerRowIdx === -1) {
+    warnings.push({ type: "no-header", level: "warning", line: null, message: "No \"Payment ID\" header row found in the first 30 rows; assuming row 1." });
+    headerRowIdx = 0;
+  }
+
+  const header = (arrayRows[headerRowIdx] || []).map((c) => String(c || "").trim());
+  const dataRows = arrayRows.slice(headerRowIdx + 1);
+  const idx = (name) => header.findIndex((h) => h.toLowerCase() === name.toLowerCase());
+  // i is an index into dataRows; report it as a line number of the original file
+  const lineOf = (i) => headerRowIdx + i + 2;
+  const warn = (type, i, message, { paymentId, level = "warning" } = {}) => {
+    warnings.push({ type, level, line: lineOf(i), ...(paymentId ? { paymentId } : {}), message });
+  };
+
+  const { rows: cleaned, totals } = isFormat2Header(header)
+    ? parseFormat2(dataRows, idx, warn)
+    : parseFormat1(dataRows, idx, warn, lineOf);
+  return { payments: withUnappliedAmounts(cleaned), warnings, totals };
+}
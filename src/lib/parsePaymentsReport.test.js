@@ -0,0 +1,304 @@
+import { readFileSync } from "node:fs";
+import process from "node:process";
+import { describe, it, expect } from "vitest";
+import Papa from "papaparse";
+import {
+  parsePaymentsReport,
+  parseMoney,
+  splitPayer,
+  normalizeFacility,
+  detectHeaderRow,
+  isFormat2Header,
+} from "./parsePaymentsReport";
+import { workbookToRows } from "./reportFiles";
+import { formatDay } from "./dates";
+
+// Fixtures are the sample exports shipped in public/
+const fixture = (name) => new URL(`../../public/${name}`, import.meta.url);
+const COLLECTED_CSV = "Collected Payments By Payment Date - Detail 8-10-25 to 8-16-25.csv";
+const COLLECTED_XLS = "Collected Payments By Payment Date - Detail 8-10-25 to 8-16-25 (1).XLS";
+const FILTERED_CSV = "filtered_payments (1).csv";
+
+// Read the way reportFiles does: blank lines stay in, so line numbers are the file's
+function csvRows(name) {
+  return Papa.parse(readFileSync(fixture(name), "utf8")).data;
+}
+
+function xlsRows(name) {
+  return workbookToRows(readFileSync(fixture(name)));
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function collectedTotal(payments) {
+  const seen = new Set();
+  let total = 0;
+  for (const p of payments) {
+    if (seen.has(p.paymentId)) continue;
+    seen.add(p.paymentId);
+    total += p.paymentAmount;
+  }
+  return round2(total);
+}
+
+function appliedByFacility(payments) {
+  const m = new Map();
+  for (const p of payments) {
+    if (!p.facility) continue;
+    m.set(p.facility, round2((m.get(p.facility) || 0) + p.appliedAmount));
+  }
+  return m;
+}
+
+describe("helpers", () => {
+  it("parseMoney strips currency formatting and keeps the sign", () => {
+    expect(parseMoney("$1,234.56")).toBe(1234.56);
+    expect(parseMoney("-$12.00")).toBe(-12);
+    expect(parseMoney("")).toBe(0);
+    expect(parseMoney(null)).toBe(0);
+  });
+
+  it("splitPayer separates the category prefix from the payer", () => {
+    expect(splitPayer("PATIENT - IRISH, LIAM")).toEqual({ payerCategory: "PATIENT", payer: "IRISH, LIAM" });
+    expect(splitPayer("BCBS TX HMO & PPO")).toEqual({ payerCategory: null, payer: "BCBS TX HMO & PPO" });
+  });
+
+  it("normalizeFacility folds NBSPs, whitespace and case", () => {
+    expect(normalizeFacility("Synaptic\u00A0Pediatric  Therapies - ARLINGTON ")).toBe("synaptic pediatric therapies - arlington");
+  });
+
+  it("detectHeaderRow finds the Payment ID row or reports -1", () => {
+    expect(detectHeaderRow([["title"], ["", "Payment ID", "Payer Name"]])).toBe(1);
+    expect(detectHeaderRow([["nothing"], ["here"]])).toBe(-1);
+  });
+
+  it("isFormat2Header distinguishes the flat export from the Collected Payments layout", () => {
+    expect(isFormat2Header(["paymentId", "payerCategory", "payer"])).toBe(true);
+    expect(isFormat2Header(["Payment ID", "", "", "Payer Name"])).toBe(false);
+  });
+});
+
+describe("Format 1: Collected Payments CSV", () => {
+  const { payments, warnings } = parsePaymentsReport(csvRows(COLLECTED_CSV));
+
+  it("emits one row per payment/facility pair", () => {
+    expect(payments).toHaveLength(394);
+    expect(new Set(payments.map((p) => p.paymentId)).size).toBe(346);
+  });
+
+  it("only reports the payments that have no facility block", () => {
+    expect(warnings.filter((w) => w.level !== "info")).toEqual([]);
+    const noFacility = warnings.filter((w) => w.type === "no-facility");
+    expect(noFacility).toHaveLength(34);
+    expect(noFacility[0]).toMatchObject({ line: 559, paymentId: "88308" });
+  });
+
+  it("reports real file lines when the file has blank lines", () => {
+    const lines = readFileSync(fixture(COLLECTED_CSV), "utf8").split(/\r?\n/);
+    lines.splice(8, 0, ""); // inside the first Facility / Applied block
+    lines.splice(1, 0, "", ""); // above the first header
+    const blank = parsePaymentsReport(Papa.parse(lines.join("\n")).data);
+    const lineOf = (pattern) => lines.findIndex((l) => pattern.test(l)) + 1;
+    expect(blank.payments).toEqual(payments);
+    expect(blank.warnings.find((w) => w.type === "no-facility").line).toBe(lineOf(/^88308,/));
+    expect(blank.totals.facilityTotals[0].line).toBe(lineOf(/Facility Total:/));
+    expect(blank.totals.appliedGrandTotal.line).toBe(lineOf(/^Grand Total:/));
+  });
+
+  it("matches the report's Collected Payment Totals", () => {
+    expect(collectedTotal(payments)).toBe(45866.49);
+  });
+
+  it("matches the report's Applied Payment Grand Total and per-facility totals", () => {
+    const applied = round2(payments.reduce((s, p) => s + p.appliedAmount, 0));
+    expect(applied).toBe(45423.8);
+
+    const byFacility = appliedByFacility(payments);
+    expect(byFacility.get("Synaptic Pediatric Therapies - Arlington")).toBe(2744.77);
+    expect(byFacility.get("Synaptic Pediatric Therapies - DeSoto")).toBe(4578.64);
+    expect(byFacility.get("Synaptic Pediatric Therapies - Wylie")).toBe(4665.93);
+    expect(byFacility.get("Synaptic Pediatric Therapies- Richardson")).toBe(6158.46);
+  });
+
+  it("splits a multi-facility payment and computes unapplied per payment", () => {
+    const split = payments.filter((p) => p.paymentId === "88574");
+    expect(split.map((p) => [p.facility, p.appliedAmount])).toEqual([
+      ["Synaptic Pediatric Therapies - Royse", 215.34],
+      ["Synaptic Pediatric Therapies - Wylie", 124.15],
+      ["Synaptic Pediatric Therapies - DeSoto", 156.77],
+    ]);
+    for (const p of split) {
+      expect(p.paymentAmount).toBe(496.26);
+      expect(round2(p.unappliedAmount)).toBe(0);
+    }
+  });
+
+  it("parses the payment header fields", () => {
+    const first = payments.find((p) => p.paymentId === "88228");
+    expect(first).toMatchObject({
+      payerCategory: "PATIENT",
+      payer: "IRISH, LIAM",
+      paymentType: "Credit Card",
+      paymentAmount: 23.75,
+      facility: "Synaptic Pediatric Therapies - Arlington",
+      facilityNorm: "synaptic pediatric therapies - arlington",
+      appliedAmount: 23.75,
+    });
+    expect(first.dateEntered).toBeInstanceOf(Date);
+    expect(first.paymentDate.getFullYear()).toBe(2025);
+  });
+});
+
+describe("Format 1: Collected Payments XLS", () => {
+  it("parses identically to the CSV export", () => {
+    const fromXls = parsePaymentsReport(xlsRows(COLLECTED_XLS));
+    const fromCsv = parsePaymentsReport(csvRows(COLLECTED_CSV));
+    expect(fromXls.payments).toEqual(fromCsv.payments);
+  });
+});
+
+describe("Format 2: filtered_payments CSV", () => {
+  const { payments, warnings } = parsePaymentsReport(csvRows(FILTERED_CSV));
+
+  it("emits one row per payment with separated payer fields", () => {
+    expect(payments).toHaveLength(346);
+    expect(warnings).toEqual([]);
+    expect(payments[0]).toMatchObject({
+      paymentId: "88228",
+      payerCategory: "PATIENT",
+      payer: "IRISH, LIAM",
+      paymentAmount: 23.75,
+      facility: "",
+      appliedAmount: 0,
+      unappliedAmount: 23.75,
+    });
+  });
+
+  it("matches the collected total of the source report", () => {
+    expect(collectedTotal(payments)).toBe(45866.49);
+  });
+
+  it("reads facility and applied columns when exported from the dashboard", () => {
+    const rows = [
+      ["paymentId", "payerCategory", "payer", "paymentType", "paymentAmount", "facility", "appliedAmount"],
+      ["1", "PATIENT", "DOE, JANE", "Cash", "100", "Clinic A", "60"],
+      ["1", "PATIENT", "DOE, JANE", "Cash", "100", "Clinic B", "30"],
+    ];
+    const { payments: out } = parsePaymentsReport(rows);
+    expect(out.map((p) => [p.facilityNorm, p.appliedAmount, p.unappliedAmount])).toEqual([
+      ["clinic a", 60, 10],
+      ["clinic b", 30, 10],
+    ]);
+  });
+});
+
+describe("dates", () => {
+  // Node picks up a TZ change at runtime; west of UTC a UTC-midnight parse lands on the previous day
+  it("reads the yyyy-mm-dd dates of the dashboard's own export back as the same local days", () => {
+    const tz = process.env.TZ;
+    process.env.TZ = "America/Chicago";
+    try {
+      const rows = [
+        ["paymentId", "payerCategory", "payer", "paymentType", "dateEntered", "paymentDate", "paymentAmount"],
+        ["1", "PATIENT", "DOE, JANE", "Cash", "2025-08-11", "2025-08-09", "100"],
+      ];
+      const [p] = parsePaymentsReport(rows).payments;
+      expect([formatDay(p.dateEntered), formatDay(p.paymentDate)]).toEqual(["2025-08-11", "2025-08-09"]);
+    } finally {
+      if (tz === undefined) delete process.env.TZ;
+      else process.env.TZ = tz;
+    }
+  });
+});
+
+describe("malformed input", () => {
+  const HEADER = ["Payment ID", "Payer Name", "Payment Type", "Check #", "Date Entered", "Payment Date", "Payment", "Notes"];
+  const payment = (id, amount, dateEntered = "08/11/2025") => [id, "PATIENT - DOE, JANE", "Cash", "", dateEntered, "08/11/2025", amount, ""];
+  const facilityHeader = ["", "Facility", "", "", "", "", "Applied", ""];
+  const facility = (name, applied) => ["", name, "", "", "", "", applied, ""];
+  const facilityTotal = (amount) => ["", "Facility Total:", "", "", "", "", amount, ""];
+
+  const byType = (warnings, type) => warnings.filter((w) => w.type === type);
+
+  it("warns when no header row can be found", () => {
+    const { payments, warnings } = parsePaymentsReport([["just"], ["noise"]]);
+    expect(payments).toEqual([]);
+    expect(warnings[0].type).toBe("no-header");
+  });
+
+  it("reports non-numeric payment ids and total rows with their line numbers", () => {
+    const { payments, warnings } = parsePaymentsReport([
+      ["Report title"],
+      HEADER,
+      payment("ABC", "$5.00"),
+      payment("12", "Total"),
+    ]);
+    expect(payments).toEqual([]);
+    expect(byType(warnings, "skipped-row")).toMatchObject([{ line: 3 }]);
+    expect(byType(warnings, "total-row")).toMatchObject([{ line: 4 }]);
+  });
+
+  it("flags facility blocks whose applied rows don't add up to the Facility Total", () => {
+    const { payments, warnings } = parsePaymentsReport([
+      HEADER,
+      payment("1", "$100.00"),
+      facilityHeader,
+      facility("Clinic A", "$40.00"),
+      facility("Clinic B", "$50.00"),
+      facilityTotal("$100.00"),
+    ]);
+    expect(payments).toHaveLength(2);
+    expect(byType(warnings, "facility-total-mismatch")).toMatchObject([{ line: 6, paymentId: "1" }]);
+  });
+
+  it("reports rows it cannot attach to a payment", () => {
+    const { warnings } = parsePaymentsReport([
+      HEADER,
+      ["", "stray text", "", "", "", "", "", ""],
+      payment("1", "$10.00"),
+      facilityHeader,
+      ["", "", "", "", "", "", "$10.00", ""],
+    ]);
+    expect(byType(warnings, "orphan-row").map((w) => w.line)).toEqual([2, 5]);
+    expect(byType(warnings, "no-facility")).toHaveLength(1);
+  });
+
+  it("reports unparseable dates and amounts", () => {
+    const { payments, warnings } = parsePaymentsReport([
+      HEADER,
+      payment("1", "n/a", "someday"),
+      facilityHeader,
+      facility("Clinic A", "$0.00"),
+    ]);
+    expect(payments[0]).toMatchObject({ paymentAmount: 0, dateEntered: null });
+    expect(byType(warnings, "bad-date")).toMatchObject([{ line: 2, paymentId: "1" }]);
+    expect(byType(warnings, "bad-amount")).toMatchObject([{ line: 2, paymentId: "1" }]);
+  });
+
+  it("stops at the report's summary section instead of reading it as payment rows", () => {
+    const { payments, warnings } = parsePaymentsReport([
+      HEADER,
+      payment("1", "$10.00"),
+      facilityHeader,
+      facility("Clinic A", "$10.00"),
+      facilityTotal("$10.00"),
+      ["Collected Payment Totals", "", "", "", "", "", "", ""],
+      ["Cash", "", "", "", "", "$10.00", "", ""],
+      ["Grand Total:", "", "", "", "", "$10.00", "", ""],
+    ]);
+    expect(payments).toHaveLength(1);
+    expect(warnings).toEqual([]);
+  });
+
+  it("reports Format 2 rows without a usable payment id", () => {
+    const { payments, warnings } = parsePaymentsReport([
+      ["paymentId", "payerCategory", "payer", "paymentAmount"],
+      ["", "PATIENT", "DOE, JANE", "10"],
+      ["x1", "PATIENT", "DOE, JANE", "10"],
+      ["7", "PATIENT", "DOE, JANE", "ten"],
+    ]);
+    expect(payments).toHaveLength(1);
+    expect(byType(warnings, "skipped-row").map((w) => w.line)).toEqual([2, 3]);
+    expect(byType(warnings, "bad-amount")).toMatchObject([{ line: 4, paymentId: "7" }]);
+  });
+});
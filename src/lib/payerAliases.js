@@ -0,0 +1,225 @@
+// Payer aliases: payers are free text, so one entity arrives as "SMITH, THOMAS", "Smith, Thomas " or
+// "BCBS TX" / "Blue Cross Blue Shield of Texas". clusterPayers groups look-alike names by fuzzy
+// matching and suggestPayerGroups turns the clusters into merge proposals; groups the user approves
+// become aliases (variant -> canonical payer) that apply to every upload, and rejected groups are
+// remembered so they are not proposed again.
+
+export const EMPTY_PAYER_ALIASES = { aliases: {}, rejected: [] };
+
+const STOPWORDS = new Set(["of", "the", "and", "inc", "co", "llc", "corp"]);
+
+// Case, punctuation, spacing and word order do not matter: "Smith, Thomas" = "THOMAS SMITH"
+export function payerKey(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+}
+
+const words = (name) => String(name ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+
+export function normalizePayerAliases(input) {
+  const out = { aliases: {}, rejected: [] };
+  if (!input || typeof input !== "object") return out;
+  if (input.aliases && typeof input.aliases === "object") {
+    for (const [key, value] of Object.entries(input.aliases)) {
+      if (typeof value === "string" && value.trim() && payerKey(key)) out.aliases[payerKey(key)] = value.trim();
+    }
+  }
+  if (Array.isArray(input.rejected)) out.rejected = input.rejected.filter((s) => typeof s === "string");
+  return out;
+}
+
+export function canonicalPayer(map, payer) {
+  return map.aliases[payerKey(payer)] || payer;
+}
+
+// Rows with payer replaced by its canonical name; payerRaw keeps the name as parsed
+export function applyPayerAliases(rows, map) {
+  if (Object.keys(map.aliases).length === 0) return rows;
+  return rows.map((r) => {
+    const payer = r.payer ? canonicalPayer(map, r.payer) : r.payer;
+    return payer === r.payer ? r : { ...r, payer, payerRaw: r.payer };
+  });
+}
+
+// --- Fuzzy matching ----------------------------------------------------------
+function bigrams(s) {
+  const out = new Set();
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  return out;
+}
+
+// Sørensen–Dice over character bigrams of the word-sorted keys
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const g of a) if (b.has(g)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+const isSubsequence = (short, long) => {
+  let i = 0;
+  for (const ch of long) if (ch === short[i]) i++;
+  return i === short.length;
+};
+
+// "BCBS TX" abbreviates "Blue Cross Blue Shield of Texas": each short word is either the initials of
+// the next few long words ("bcbs") or an abbreviation of the next one ("tx" of "texas")
+export function isAbbreviation(shortName, longName) {
+  return abbreviates(words(shortName), significantWords(longName));
+}
+
+const significantWords = (name) => words(name).filter((w) => !STOPWORDS.has(w));
+
+function abbreviates(short, long) {
+  if (short.length === 0 || long.length <= short.length || short[0][0] !== long[0][0]) return false;
+  const match = (si, li) => {
+    if (si === short.length) return li === long.length;
+    const tok = short[si];
+    const initials = long.slice(li, li + tok.length).map((w) => w[0]).join("");
+    if (tok.length > 1 && initials === tok && match(si + 1, li + tok.length)) return true;
+    const word = long[li];
+    return Boolean(word) && word !== tok && word[0] === tok[0] && isSubsequence(tok, word) && match(si + 1, li + 1);
+  };
+  return match(0, 0);
+}
+
+export const SIMILARITY_THRESHOLD = 0.88;
+
+// Dice can be no higher than 2·min / (a + b), so very different lengths are skipped without comparing
+const sizesAllow = (a, b) => (2 * Math.min(a, b)) / (a + b) >= SIMILARITY_THRESHOLD;
+
+// Fewest bigrams a set of `size` must share with any other to reach the threshold: 2s / (size + other)
+// with s <= other gives s >= t·size / (2 - t). The epsilon keeps float noise from rounding up a whole one.
+const minShared = (size) => Math.ceil((SIMILARITY_THRESHOLD * size) / (2 - SIMILARITY_THRESHOLD) - 1e-9);
+
+// Signature of a group, for remembering rejections: its members' keys, sorted
+export const groupSignature = (names) => Array.from(new Set(names.map(payerKey))).sort().join("|");
+
+/**
+ * Payers as parsed that look like one entity: [[{ name, count }]], only clusters of two or more.
+ * counts = Map(raw payer -> payment count). This is the expensive part of suggestPayerGroups and does
+ * not depend on the alias map, so callers can keep it across approvals and rejections.
+ */
+export function clusterPayers(counts) {
+  const names = Array.from(counts.keys()).filter(Boolean);
+  const keys = names.map(payerKey);
+  const grams = keys.map((k) => bigrams(k));
+  const split = names.map(words);
+  const significant = names.map(significantWords);
+  const parent = names.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const union = (i, j) => {
+    if (find(i) !== find(j)) parent[find(j)] = find(i);
+  };
+
+  // Comparing every pair is quadratic, so only names that share a block are compared. Both kinds of
+  // block are exact: no pair that would match is skipped.
+  //
+  // Dice: with bigrams in one global order (rarest first), two names that reach the threshold share
+  // one of the first size - minShared(size) + 1 bigrams of each (a prefix filter).
+  const freq = new Map();
+  for (const g of grams) for (const gram of g) freq.set(gram, (freq.get(gram) || 0) + 1);
+  const rarestFirst = (g) => Array.from(g).sort((a, b) => freq.get(a) - freq.get(b) || (a < b ? -1 : 1));
+  const similarBlocks = new Map();
+  // Abbreviations: the long name starts with the initials of the short name's first token ("bcbs": "bc")
+  // or with the first letters of its first two tokens ("bc tx": "bt"), and has more words than it
+  const abbreviationBlocks = new Map();
+  const addTo = (blocks, block, i, side = "members") => {
+    if (!blocks.has(block)) blocks.set(block, { members: [], short: [], long: [] });
+    const list = blocks.get(block)[side];
+    if (list[list.length - 1] !== i) list.push(i);
+  };
+  names.forEach((_, i) => {
+    addTo(similarBlocks, keys[i], i);
+    const ordered = rarestFirst(grams[i]);
+    for (const gram of ordered.slice(0, ordered.length - minShared(ordered.length) + 1)) addTo(similarBlocks, gram, i);
+    const [first, second] = split[i];
+    if (first && first.length > 1) addTo(abbreviationBlocks, first.slice(0, 2), i, "short");
+    if (second) addTo(abbreviationBlocks, first[0] + second[0], i, "short");
+    if (significant[i].length > 1) addTo(abbreviationBlocks, significant[i][0][0] + significant[i][1][0], i, "long");
+  });
+
+  for (const { members } of similarBlocks.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const i = members[x];
+        const j = members[y];
+        if (find(i) === find(j)) continue;
+        if (keys[i] === keys[j] || (sizesAllow(grams[i].size, grams[j].size) && dice(grams[i], grams[j]) >= SIMILARITY_THRESHOLD)) union(i, j);
+      }
+    }
+  }
+
+  for (const { short, long } of abbreviationBlocks.values()) {
+    long.sort((a, b) => significant[b].length - significant[a].length);
+    for (const i of short) {
+      for (const j of long) {
+        if (significant[j].length <= split[i].length) break;
+        if (i !== j && find(i) !== find(j) && abbreviates(split[i], significant[j])) union(i, j);
+      }
+    }
+  }
+
+  const byRoot = new Map();
+  names.forEach((name, i) => {
+    const root = find(i);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push({ name, count: counts.get(name) });
+  });
+  return Array.from(byRoot.values()).filter((members) => members.length > 1);
+}
+
+/**
+ * Proposed merge groups over the payers as parsed: [{ names: [{ name, count }], suggested, signature }],
+ * biggest first. Groups whose members already share one canonical payer, or that were rejected, are
+ * left out. suggested is the most used name. Pass clusters from clusterPayers(counts) to reuse them.
+ */
+export function suggestPayerGroups(counts, map = EMPTY_PAYER_ALIASES, clusters = clusterPayers(counts)) {
+  const rejected = new Set(map.rejected);
+  const groups = [];
+  for (const cluster of clusters) {
+    const members = [...cluster];
+    const canonicals = new Set(members.map((m) => canonicalPayer(map, m.name)));
+    if (canonicals.size === 1) continue;
+    const signature = groupSignature(members.map((m) => m.name));
+    if (rejected.has(signature)) continue;
+    members.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    groups.push({ names: members, suggested: members[0].name, signature });
+  }
+  return groups.sort((a, b) => b.names.length - a.names.length || a.suggested.localeCompare(b.suggested));
+}
+
+export function approveGroup(map, names, canonical) {
+  const aliases = { ...map.aliases };
+  for (const name of names) aliases[payerKey(name)] = canonical;
+  aliases[payerKey(canonical)] = canonical; // so the canonical's own variants fold in too
+  return { ...map, aliases };
+}
+
+export function rejectGroup(map, signature) {
+  return map.rejected.includes(signature) ? map : { ...map, rejected: [...map.rejected, signature] };
+}
+
+// Undo an approved merge: drop every alias pointing at canonical
+export function removeCanonical(map, canonical) {
+  const aliases = Object.fromEntries(Object.entries(map.aliases).filter(([, value]) => value !== canonical));
+  return { ...map, aliases };
+}
+
+// Approved merges for listing: [{ canonical, keys }]
+export function approvedMerges(map) {
+  const m = new Map();
+  for (const [key, canonical] of Object.entries(map.aliases)) {
+    if (!m.has(canonical)) m.set(canonical, []);
+    m.get(canonical).push(key);
+  }
+  return Array.from(m, ([canonical, keys]) => ({ canonical, keys })).sort((a, b) => a.canonical.localeCompare(b.canonical));
+}
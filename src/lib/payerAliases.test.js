@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import {
+  payerKey, isAbbreviation, clusterPayers, suggestPayerGroups, approveGroup, rejectGroup, removeCanonical, applyPayerAliases,
+  normalizePayerAliases, EMPTY_PAYER_ALIASES,
+} from "./payerAliases";
+
+const counts = new Map([
+  ["SMITH, THOMAS", 5],
+  ["Smith, Thomas ", 1],
+  ["BCBS TX", 3],
+  ["Blue Cross Blue Shield of Texas", 8],
+  ["AETNA", 4],
+  ["JONES, MARY", 2],
+]);
+
+describe("payer matching", () => {
+  it("ignores case, punctuation, spacing and word order", () => {
+    expect(payerKey("Smith, Thomas ")).toBe(payerKey("THOMAS SMITH"));
+  });
+
+  it("recognises initials and abbreviations", () => {
+    expect(isAbbreviation("BCBS TX", "Blue Cross Blue Shield of Texas")).toBe(true);
+    expect(isAbbreviation("BCBS", "Blue Cross Blue Shield of Texas")).toBe(false);
+    expect(isAbbreviation("SMITH", "SMITH, JOHN")).toBe(false);
+  });
+
+  it("proposes merge groups with the most used name first", () => {
+    const groups = suggestPayerGroups(counts);
+    expect(groups.map((g) => [g.suggested, g.names.map((n) => n.name)])).toEqual([
+      ["Blue Cross Blue Shield of Texas", ["Blue Cross Blue Shield of Texas", "BCBS TX"]],
+      ["SMITH, THOMAS", ["SMITH, THOMAS", "Smith, Thomas "]],
+    ]);
+  });
+
+  it("finds typos and abbreviations among many unrelated payers", () => {
+    const many = new Map(Array.from({ length: 500 }, (_, i) => [`Payer ${i.toString(36)} Group ${i}`, 1]));
+    many.set("UnitedHealthcare", 5).set("UnitedHealthcre", 1).set("BCBS TX", 2).set("Blue Cross Blue Shield of Texas", 4);
+    const clusters = clusterPayers(many);
+    const groups = suggestPayerGroups(many, EMPTY_PAYER_ALIASES, clusters);
+    expect(groups.map((g) => g.names.map((n) => n.name))).toEqual(expect.arrayContaining([
+      ["Blue Cross Blue Shield of Texas", "BCBS TX"],
+      ["UnitedHealthcare", "UnitedHealthcre"],
+    ]));
+    expect(groups).toEqual(suggestPayerGroups(many));
+  });
+});
+
+describe("approving and rejecting groups", () => {
+  it("applies approved groups to rows and stops proposing them", () => {
+    const [bcbs] = suggestPayerGroups(counts);
+    const map = approveGroup(EMPTY_PAYER_ALIASES, bcbs.names.map((n) => n.name), "BCBS of Texas");
+    const rows = applyPayerAliases([{ payer: "BCBS TX" }, { payer: "AETNA" }], map);
+    expect(rows).toEqual([{ payer: "BCBS of Texas", payerRaw: "BCBS TX" }, { payer: "AETNA" }]);
+    expect(suggestPayerGroups(counts, map).map((g) => g.suggested)).toEqual(["SMITH, THOMAS"]);
+    expect(removeCanonical(map, "BCBS of Texas").aliases).toEqual({});
+  });
+
+  it("remembers rejected groups", () => {
+    const [, smith] = suggestPayerGroups(counts);
+    const map = normalizePayerAliases(JSON.parse(JSON.stringify(rejectGroup(EMPTY_PAYER_ALIASES, smith.signature))));
+    expect(suggestPayerGroups(counts, map).map((g) => g.suggested)).toEqual(["Blue Cross Blue Shield of Texas"]);
+  });
+});
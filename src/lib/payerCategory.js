@@ -0,0 +1,25 @@
+// Payer category for filtering, and the patient-responsibility vs insurance split.
+// The report only labels patient payments ("PATIENT - SMITH, JOHN" -> payerCategory "PATIENT");
+// insurance remittances come through with just the payer name, and a patient payment without a
+// name can arrive as payer "PATIENT" with no category.
+
+export const NO_CATEGORY = ""; // filter value for rows without a category
+
+export const PAYER_GROUPS = { patient: "Patient responsibility", insurance: "Insurance" };
+
+const PATIENT_RE = /^(patient|self[ -]?pay)$/i;
+
+// Filter key: the category as printed, or PATIENT for the bare "PATIENT" payer
+export function payerCategoryOf(r) {
+  const category = String(r.payerCategory || "").trim();
+  if (category) return category;
+  return PATIENT_RE.test(String(r.payer || "").trim()) ? "PATIENT" : NO_CATEGORY;
+}
+
+export function payerGroupOf(r) {
+  return PATIENT_RE.test(payerCategoryOf(r)) ? "patient" : "insurance";
+}
+
+export function payerCategoryLabel(category) {
+  return category === NO_CATEGORY ? "(none – insurance)" : category;
+}
@@ -0,0 +1,16 @@
+import { describe, it, expect } from "vitest";
+import { payerCategoryOf, payerGroupOf, NO_CATEGORY } from "./payerCategory";
+
+describe("payer category", () => {
+  it("uses the printed category, or PATIENT for an unnamed patient payer", () => {
+    expect(payerCategoryOf({ payerCategory: "PATIENT", payer: "SMITH, JOHN" })).toBe("PATIENT");
+    expect(payerCategoryOf({ payerCategory: "", payer: "PATIENT" })).toBe("PATIENT");
+    expect(payerCategoryOf({ payerCategory: null, payer: "BCBS TX" })).toBe(NO_CATEGORY);
+  });
+
+  it("splits patient responsibility from insurance", () => {
+    expect(payerGroupOf({ payerCategory: "PATIENT", payer: "SMITH, JOHN" })).toBe("patient");
+    expect(payerGroupOf({ payerCategory: "Self Pay", payer: "DOE, JANE" })).toBe("patient");
+    expect(payerGroupOf({ payerCategory: "", payer: "Aetna" })).toBe("insurance");
+  });
+});
@@ -0,0 +1,23 @@
+// Payment-level helpers shared by the views that work per payment rather than per facility row
+// (duplicates, bank deposits, exceptions, the unapplied work queue).
+
+// "000123" and "123 " are the same check
+export const checkKey = (s) => String(s ?? "").trim().toLowerCase().replace(/^0+(?=.)/, "");
+
+/**
+ * One entry per payment ID, in first-seen order (a Format 1 payment has a row per facility, each
+ * repeating the payment's fields). start(row) builds the entry from the payment's first row;
+ * add(entry, row) is then called for every row of the payment, the first one included.
+ */
+export function groupPayments(rows, start, add = null) {
+  const byPid = new Map();
+  for (const r of rows) {
+    let p = byPid.get(r.paymentId);
+    if (!p) {
+      p = start(r);
+      byPid.set(r.paymentId, p);
+    }
+    if (add) add(p, r);
+  }
+  return Array.from(byPid.values());
+}
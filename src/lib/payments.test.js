@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { checkKey, groupPayments } from "./payments";
+
+describe("checkKey", () => {
+  it("ignores leading zeros, spacing and case", () => {
+    expect(checkKey(" 000123 ")).toBe("123");
+    expect(checkKey("EFT0042")).toBe("eft0042");
+    expect(checkKey("0")).toBe("0");
+    expect(checkKey(null)).toBe("");
+  });
+});
+
+describe("groupPayments", () => {
+  it("builds one entry per payment from its first row and folds in every row", () => {
+    const rows = [
+      { paymentId: "1", paymentAmount: 100, facility: "A" },
+      { paymentId: "2", paymentAmount: 50, facility: "" },
+      { paymentId: "1", paymentAmount: 100, facility: "B" },
+    ];
+    const out = groupPayments(rows, (r) => ({ paymentId: r.paymentId, amount: r.paymentAmount, facilities: [] }), (p, r) => {
+      if (r.facility) p.facilities.push(r.facility);
+    });
+    expect(out).toEqual([
+      { paymentId: "1", amount: 100, facilities: ["A", "B"] },
+      { paymentId: "2", amount: 50, facilities: [] },
+    ]);
+  });
+});
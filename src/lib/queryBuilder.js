@@ -0,0 +1,181 @@
+// Advanced filter: AND / OR groups of conditions on any row field, applied on top of the quick filters.
+// A query is { combinator: "and" | "or", rules: [rule | query] } with rule = { field, op, value, value2 }.
+// Incomplete or invalid conditions (no value yet, bad regex) are skipped rather than matching nothing,
+// so a half-typed condition never blanks the dashboard.
+import { parseDay } from "./dates";
+import { payerCategoryOf } from "./payerCategory";
+
+export const QUERY_FIELDS = {
+  paymentId: { label: "Payment ID", type: "string" },
+  facility: { label: "Facility", type: "string" },
+  region: { label: "Region", type: "string" },
+  payerCategory: { label: "Payer Category", type: "string", get: payerCategoryOf },
+  payer: { label: "Payer", type: "string" },
+  paymentType: { label: "Payment Type", type: "string" },
+  checkNumber: { label: "Check #", type: "string" },
+  dateEntered: { label: "Date Entered", type: "date" },
+  paymentDate: { label: "Payment Date", type: "date" },
+  paymentAmount: { label: "Payment Amount", type: "number" },
+  appliedAmount: { label: "Applied Amount", type: "number" },
+  unappliedAmount: { label: "Unapplied Amount", type: "number" },
+  notes: { label: "Notes", type: "string" },
+};
+
+// Operators per field type; `values` is how many inputs the operator takes
+export const QUERY_OPERATORS = {
+  string: {
+    equals: { label: "equals", values: 1 },
+    notEquals: { label: "does not equal", values: 1 },
+    contains: { label: "contains", values: 1 },
+    notContains: { label: "does not contain", values: 1 },
+    startsWith: { label: "starts with", values: 1 },
+    regex: { label: "matches regex", values: 1 },
+    isEmpty: { label: "is empty", values: 0 },
+    isNotEmpty: { label: "is not empty", values: 0 },
+  },
+  number: {
+    equals: { label: "=", values: 1 },
+    notEquals: { label: "≠", values: 1 },
+    lt: { label: "<", values: 1 },
+    lte: { label: "≤", values: 1 },
+    gt: { label: ">", values: 1 },
+    gte: { label: "≥", values: 1 },
+    between: { label: "between", values: 2 },
+    isEmpty: { label: "is empty", values: 0 },
+    isNotEmpty: { label: "is not empty", values: 0 },
+  },
+  date: {
+    equals: { label: "on", values: 1 },
+    lt: { label: "before", values: 1 },
+    gt: { label: "after", values: 1 },
+    between: { label: "between", values: 2 },
+    isEmpty: { label: "is empty", values: 0 },
+    isNotEmpty: { label: "is not empty", values: 0 },
+  },
+};
+
+export const COMBINATORS = { and: "AND", or: "OR" };
+export const EMPTY_QUERY = { combinator: "and", rules: [] };
+const MAX_DEPTH = 3;
+
+export function newRule(field = "payer") {
+  const type = QUERY_FIELDS[field].type;
+  return { field, op: Object.keys(QUERY_OPERATORS[type])[0], value: "", value2: "" };
+}
+
+export const isGroup = (node) => Boolean(node) && Array.isArray(node.rules);
+
+function normalizeNode(node, depth) {
+  if (isGroup(node)) {
+    if (depth >= MAX_DEPTH) return null;
+    return {
+      combinator: COMBINATORS[node.combinator] ? node.combinator : "and",
+      rules: node.rules.map((n) => normalizeNode(n, depth + 1)).filter(Boolean),
+    };
+  }
+  if (!node || !QUERY_FIELDS[node.field]) return null;
+  const ops = QUERY_OPERATORS[QUERY_FIELDS[node.field].type];
+  return {
+    field: node.field,
+    op: ops[node.op] ? node.op : Object.keys(ops)[0],
+    value: typeof node.value === "string" ? node.value : "",
+    value2: typeof node.value2 === "string" ? node.value2 : "",
+  };
+}
+
+// A query from a saved view or a shared link, safe to run: conditions on unknown fields and groups
+// nested past MAX_DEPTH are dropped, unknown operators fall back to the field's first one
+export function normalizeQuery(input) {
+  return isGroup(input) ? normalizeNode(input, 0) : { ...EMPTY_QUERY, rules: [] };
+}
+
+// Conditions in the query (nested groups included), for the "3 conditions" badge
+export function countRules(query) {
+  return query.rules.reduce((n, node) => n + (isGroup(node) ? countRules(node) : 1), 0);
+}
+
+function parseNumber(s) {
+  const n = parseFloat(String(s).replace(/[$,\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Why a condition is skipped, or null when it is usable. Shown next to the condition in the builder.
+ */
+export function ruleError(rule) {
+  const { type } = QUERY_FIELDS[rule.field];
+  const arity = QUERY_OPERATORS[type][rule.op].values;
+  const values = [rule.value, rule.value2].slice(0, arity);
+  if (values.some((v) => v.trim() === "")) return "Enter a value";
+  if (type === "number" && values.some((v) => parseNumber(v) === null)) return "Not a number";
+  if (type === "date" && values.some((v) => isNaN(parseDay(v)))) return "Not a date";
+  if (rule.op === "regex") {
+    try {
+      new RegExp(rule.value, "i");
+    } catch {
+      return "Invalid regex";
+    }
+  }
+  return null;
+}
+
+function compileRule(rule) {
+  if (ruleError(rule)) return null;
+  const { type, get } = QUERY_FIELDS[rule.field];
+  const read = get || ((r) => r[rule.field]);
+
+  if (rule.op === "isEmpty" || rule.op === "isNotEmpty") {
+    const empty = (v) => v == null || (typeof v === "number" ? !Number.isFinite(v) : String(v).trim() === "");
+    return rule.op === "isEmpty" ? (r) => empty(read(r)) : (r) => !empty(read(r));
+  }
+
+  if (type === "string") {
+    const needle = rule.value.trim().toLowerCase();
+    const text = (r) => String(read(r) ?? "").trim().toLowerCase();
+    switch (rule.op) {
+      case "equals": return (r) => text(r) === needle;
+      case "notEquals": return (r) => text(r) !== needle;
+      case "contains": return (r) => text(r).includes(needle);
+      case "notContains": return (r) => !text(r).includes(needle);
+      case "startsWith": return (r) => text(r).startsWith(needle);
+      case "regex": {
+        const re = new RegExp(rule.value, "i");
+        return (r) => re.test(String(read(r) ?? ""));
+      }
+    }
+  }
+
+  // Dates compare as whole local days, so "on 2025-08-12" matches any time that day
+  const toValue = type === "date"
+    ? (v) => (v instanceof Date && !isNaN(v) ? new Date(v.getFullYear(), v.getMonth(), v.getDate()).getTime() : null)
+    : (v) => (Number.isFinite(v) ? v : null);
+  const parse = type === "date" ? (s) => parseDay(s).getTime() : parseNumber;
+  const a = parse(rule.value);
+  const b = rule.op === "between" ? parse(rule.value2) : null;
+  const test = {
+    equals: (v) => Math.abs(v - a) < 0.005, // cents; whole days for dates
+    notEquals: (v) => Math.abs(v - a) >= 0.005,
+    lt: (v) => v < a,
+    lte: (v) => v <= a,
+    gt: (v) => v > a,
+    gte: (v) => v >= a,
+    between: (v) => v >= Math.min(a, b) && v <= Math.max(a, b),
+  }[rule.op];
+  return (r) => {
+    const v = toValue(read(r));
+    return v !== null && test(v);
+  };
+}
+
+function compileGroup(group) {
+  const tests = group.rules.map((n) => (isGroup(n) ? compileGroup(n) : compileRule(n))).filter(Boolean);
+  if (tests.length === 0) return null;
+  return group.combinator === "or"
+    ? (r) => tests.some((t) => t(r))
+    : (r) => tests.every((t) => t(r));
+}
+
+// Row predicate for the query, or null when it has no usable conditions
+export function compileQuery(query) {
+  return compileGroup(normalizeQuery(query));
+}
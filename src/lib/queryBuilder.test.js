@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { compileQuery, normalizeQuery, countRules, ruleError, newRule } from "./queryBuilder";
+
+const rows = [
+  { paymentId: "1", payer: "BCBS TX", paymentType: "Check", checkNumber: "", notes: "", paymentAmount: 120, dateEntered: new Date(2025, 7, 12, 15, 30) },
+  { paymentId: "2", payer: "SMITH, THOMAS", paymentType: "Check", checkNumber: "1042", notes: "Refund issued", paymentAmount: 40, dateEntered: new Date(2025, 7, 13) },
+  { paymentId: "3", payer: "AETNA", paymentType: "Insurance Remitence", checkNumber: "", notes: "", paymentAmount: -15.5, dateEntered: null },
+];
+const rule = (field, op, value = "", value2 = "") => ({ field, op, value, value2 });
+const ids = (query) => {
+  const test = compileQuery(query);
+  return rows.filter((r) => !test || test(r)).map((r) => r.paymentId);
+};
+
+describe("compileQuery", () => {
+  it("ANDs and ORs conditions", () => {
+    expect(ids({ combinator: "and", rules: [rule("checkNumber", "isEmpty"), rule("paymentType", "equals", "check")] })).toEqual(["1"]);
+    expect(ids({ combinator: "or", rules: [rule("notes", "contains", "refund"), rule("paymentAmount", "lt", "0")] })).toEqual(["2", "3"]);
+  });
+
+  it("nests groups", () => {
+    const query = {
+      combinator: "or",
+      rules: [
+        rule("payer", "regex", "^aet"),
+        { combinator: "and", rules: [rule("paymentType", "equals", "Check"), rule("paymentAmount", "between", "100", "200")] },
+      ],
+    };
+    expect(ids(query)).toEqual(["1", "3"]);
+  });
+
+  it("compares dates as whole local days and skips rows without one", () => {
+    expect(ids({ combinator: "and", rules: [rule("dateEntered", "equals", "2025-08-12")] })).toEqual(["1"]);
+    expect(ids({ combinator: "and", rules: [rule("dateEntered", "gt", "2025-08-12")] })).toEqual(["2"]);
+    expect(ids({ combinator: "and", rules: [rule("dateEntered", "isEmpty")] })).toEqual(["3"]);
+  });
+
+  it("skips incomplete and invalid conditions instead of matching nothing", () => {
+    expect(compileQuery({ combinator: "and", rules: [rule("payer", "contains", ""), rule("payer", "regex", "(")] })).toBeNull();
+    expect(ruleError(rule("payer", "regex", "("))).toBe("Invalid regex");
+    expect(ruleError(rule("paymentAmount", "between", "1", "abc"))).toBe("Not a number");
+    expect(ruleError(newRule("checkNumber"))).toBe("Enter a value");
+    expect(compileQuery(null)).toBeNull();
+  });
+});
+
+describe("normalizeQuery", () => {
+  it("drops unknown fields and fixes operators that do not fit the field", () => {
+    const query = normalizeQuery({ combinator: "xor", rules: [rule("nope", "equals", "x"), rule("paymentAmount", "contains", "5"), "junk"] });
+    expect(query).toEqual({ combinator: "and", rules: [rule("paymentAmount", "equals", "5")] });
+    expect(countRules({ combinator: "and", rules: [rule("payer", "isEmpty"), { combinator: "or", rules: [rule("notes", "isEmpty")] }] })).toBe(2);
+  });
+});
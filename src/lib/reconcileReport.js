@@ -0,0 +1,81 @@
+// Cross-check what we computed from the payment rows against the totals the report printed itself.
+// Run per source file on its unfiltered rows, so a pass means the dashboard read every dollar in the file.
+import { normalizeFacility } from "./parsePaymentsReport";
+
+export const TOLERANCE = 0.005; // half a cent
+
+const matches = (a, b) => Math.abs(a - b) <= TOLERANCE;
+
+// Same de-duplication as the KPI cards: each payment's amount counts once, applied counts per facility row
+export function computeTotals(rows) {
+  const seen = new Set();
+  let collected = 0;
+  let applied = 0;
+  const collectedByType = new Map();
+  const appliedByFacility = new Map();
+  const appliedByPayment = new Map();
+  for (const r of rows) {
+    const a = Number.isFinite(r.appliedAmount) ? r.appliedAmount : 0;
+    applied += a;
+    appliedByPayment.set(r.paymentId, (appliedByPayment.get(r.paymentId) || 0) + a);
+    if (r.facility) {
+      const norm = r.facilityNorm || normalizeFacility(r.facility);
+      appliedByFacility.set(norm, (appliedByFacility.get(norm) || 0) + a);
+    }
+    if (seen.has(r.paymentId)) continue;
+    seen.add(r.paymentId);
+    collected += r.paymentAmount;
+    collectedByType.set(r.paymentType, (collectedByType.get(r.paymentType) || 0) + r.paymentAmount);
+  }
+  return { collected, applied, collectedByType, appliedByFacility, appliedByPayment };
+}
+
+/**
+ * rows: parsed payment rows of one report; totals: the `totals` returned by parsePaymentsReport.
+ * Returns { hasTotals, ok, checks: [{ key, label, printed, computed, ok, line? }] }.
+ */
+export function reconcileReport(rows, totals) {
+  if (!totals) return { hasTotals: false, ok: true, checks: [] };
+
+  const computed = computeTotals(rows);
+  const checks = [];
+  const add = (key, label, printed, value, line) =>
+    checks.push({ key, label, printed, computed: value, ok: matches(printed, value), line });
+
+  if (totals.collectedTotal) {
+    add("collected", "Collected total", totals.collectedTotal.amount, computed.collected, totals.collectedTotal.line);
+  }
+  if (totals.appliedGrandTotal) {
+    add("applied", "Applied grand total", totals.appliedGrandTotal.amount, computed.applied, totals.appliedGrandTotal.line);
+  }
+
+  // "Facility Total:" under every payment, rolled up into one check
+  if (totals.facilityTotals.length > 0) {
+    let printed = 0;
+    let value = 0;
+    const mismatched = [];
+    for (const ft of totals.facilityTotals) {
+      const applied = computed.appliedByPayment.get(ft.paymentId) || 0;
+      printed += ft.amount;
+      value += applied;
+      if (!matches(ft.amount, applied)) mismatched.push(ft.paymentId);
+    }
+    checks.push({
+      key: "facility-totals",
+      label: `Facility Total lines (${totals.facilityTotals.length - mismatched.length}/${totals.facilityTotals.length} payments match)`,
+      printed,
+      computed: value,
+      ok: mismatched.length === 0 && matches(printed, value),
+      mismatchedPaymentIds: mismatched,
+    });
+  }
+
+  for (const t of totals.collectedByType) {
+    add(`type:${t.paymentType}`, `Collected – ${t.paymentType}`, t.amount, computed.collectedByType.get(t.paymentType) || 0, t.line);
+  }
+  for (const f of totals.appliedByFacility) {
+    add(`facility:${f.facilityNorm}`, `Applied – ${f.facility}`, f.amount, computed.appliedByFacility.get(f.facilityNorm) || 0, f.line);
+  }
+
+  return { hasTotals: checks.length > 0, ok: checks.every((c) => c.ok), checks };
+}
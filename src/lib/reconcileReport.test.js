@@ -0,0 +1,82 @@
+import { readFileSync } from "node:fs";
+import { describe, it, expect } from "vitest";
+import Papa from "papaparse";
+import { parsePaymentsReport } from "./parsePaymentsReport";
+import { reconcileReport, computeTotals } from "./reconcileReport";
+
+const COLLECTED_CSV = new URL("../../public/Collected Payments By Payment Date - Detail 8-10-25 to 8-16-25.csv", import.meta.url);
+const FILTERED_CSV = new URL("../../public/filtered_payments (1).csv", import.meta.url);
+
+const parseFixture = (url) =>
+  parsePaymentsReport(Papa.parse(readFileSync(url, "utf8")).data);
+
+describe("parsePaymentsReport totals", () => {
+  const { totals } = parseFixture(COLLECTED_CSV);
+
+  it("captures the Collected Payment Totals section", () => {
+    expect(totals.collectedTotal).toEqual({ amount: 45866.49, line: 2485 });
+    expect(totals.collectedByType.map((t) => [t.paymentType, t.amount])).toEqual([
+      ["Cash", 30],
+      ["Credit Card", 13719.18],
+      ["Insurance Remitence", 32032.31],
+      ["Sponsored Grant-CC", 85],
+    ]);
+  });
+
+  it("captures the Applied Payment Totals per facility and the grand total", () => {
+    expect(totals.appliedByFacility).toHaveLength(9);
+    expect(totals.appliedByFacility[0]).toMatchObject({ facility: "Synaptic Pediatric Therapies - Arlington", amount: 2744.77 });
+    expect(totals.appliedGrandTotal).toEqual({ amount: 45423.8, line: 2553 });
+  });
+
+  it("captures the Facility Total line printed under each payment", () => {
+    expect(totals.facilityTotals[0]).toEqual({ paymentId: "88228", amount: 23.75, line: 10 });
+  });
+
+  it("is null for the flat Format 2 export", () => {
+    expect(parseFixture(FILTERED_CSV).totals).toBeNull();
+  });
+});
+
+describe("reconcileReport", () => {
+  it("passes every check on the sample report", () => {
+    const { payments, totals } = parseFixture(COLLECTED_CSV);
+    const result = reconcileReport(payments, totals);
+    expect(result.hasTotals).toBe(true);
+    expect(result.checks.filter((c) => !c.ok)).toEqual([]);
+    expect(result.ok).toBe(true);
+  });
+
+  it("fails when rows go missing", () => {
+    const { payments, totals } = parseFixture(COLLECTED_CSV);
+    const dropped = payments.filter((p) => p.paymentId !== "88574");
+    const result = reconcileReport(dropped, totals);
+    expect(result.ok).toBe(false);
+    const failed = result.checks.filter((c) => !c.ok).map((c) => c.key);
+    expect(failed).toContain("collected");
+    expect(failed).toContain("applied");
+    expect(failed).toContain("facility-totals");
+    expect(failed).toContain("type:Insurance Remitence");
+    expect(failed).toContain("facility:synaptic pediatric therapies - royse");
+    expect(result.checks.find((c) => c.key === "facility-totals").mismatchedPaymentIds).toEqual(["88574"]);
+  });
+
+  it("has nothing to check without printed totals", () => {
+    expect(reconcileReport([], null)).toEqual({ hasTotals: false, ok: true, checks: [] });
+  });
+});
+
+describe("computeTotals", () => {
+  it("counts each payment's amount once and applied per facility row", () => {
+    const rows = [
+      { paymentId: "1", paymentType: "Check", paymentAmount: 100, facility: "A", facilityNorm: "a", appliedAmount: 60 },
+      { paymentId: "1", paymentType: "Check", paymentAmount: 100, facility: "B", facilityNorm: "b", appliedAmount: 40 },
+      { paymentId: "2", paymentType: "Cash", paymentAmount: 5, facility: "", facilityNorm: "", appliedAmount: 0 },
+    ];
+    const t = computeTotals(rows);
+    expect(t.collected).toBe(105);
+    expect(t.applied).toBe(100);
+    expect(t.collectedByType.get("Check")).toBe(100);
+    expect(t.appliedByFacility.get("b")).toBe(40);
+  });
+});
@@ -0,0 +1,49 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+
+// Report exports we can read: CSV plus native Excel workbooks (.xls / .xlsx)
+export const ACCEPTED_EXTENSIONS = [".csv", ".xls", ".xlsx"];
+
+export function isAcceptedFile(name) {
+  const lower = String(name || "").toLowerCase();
+  return ACCEPTED_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+export function isSpreadsheetFile(name) {
+  return /\.xlsx?$/i.test(String(name || ""));
+}
+
+// Read the first sheet of a workbook into the same array-of-arrays shape Papa.parse gives us.
+// raw:false keeps the cell text as displayed ("$23.75", "08/11/2025") so parsing stays identical to CSV.
+export function workbookToRows(data) {
+  const wb = XLSX.read(data, { type: "array" });
+  const firstSheet = wb.Sheets[wb.SheetNames[0]];
+  if (!firstSheet) return [];
+  return XLSX.utils.sheet_to_json(firstSheet, { header: 1, raw: false, defval: "" });
+}
+
+// Read an uploaded File into raw report rows. Resolves with the rows; onProgress(fraction) is called
+// as the file is read. Meant for workers/parseReport.worker.js, so large files never block the page.
+export function readReportRows(file, onProgress = () => {}) {
+  if (isSpreadsheetFile(file.name)) {
+    // SheetJS has no incremental API: report the read, then the workbook parse, as two steps
+    return file.arrayBuffer().then((buffer) => {
+      onProgress(0.5);
+      return workbookToRows(new Uint8Array(buffer));
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    // Blank lines are kept (the parser skips blank rows) so warning line numbers match the file
+    Papa.parse(file, {
+      chunkSize: 1024 * 1024,
+      chunk: (result) => {
+        for (const row of result.data) rows.push(row);
+        if (file.size) onProgress(Math.min(1, result.meta.cursor / file.size));
+      },
+      complete: () => resolve(rows),
+      error: reject,
+    });
+  });
+}
@@ -0,0 +1,118 @@
+// Buckets for the trend chart: day, ISO week, month or day of week, by Date Entered or Payment Date
+// (the date field comes from the filter state). Buckets are local calendar days (lib/dates), so a
+// payment entered at 11pm stays on its own day.
+import { parseDay, formatDay, addDays, daysBetween, startOfIsoWeek, isoWeek } from "./dates";
+import { payerGroupOf } from "./payerCategory";
+
+export const GRANULARITIES = { day: "Day", week: "ISO week", month: "Month", dow: "Day of week" };
+export const MOVING_AVERAGE_WINDOWS = [0, 3, 7]; // buckets; 0 = off
+
+export const DEFAULT_TREND = { granularity: "day", movingAverage: 0 };
+
+export function normalizeTrendOptions(input) {
+  const t = input && typeof input === "object" ? input : {};
+  return {
+    granularity: GRANULARITIES[t.granularity] ? t.granularity : DEFAULT_TREND.granularity,
+    movingAverage: MOVING_AVERAGE_WINDOWS.includes(t.movingAverage) ? t.movingAverage : DEFAULT_TREND.movingAverage,
+  };
+}
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const pad = (n) => String(n).padStart(2, "0");
+const DAY_MS = 24 * 60 * 60 * 1000;
+// toLocaleDateString builds a formatter per call; these are built once
+const SHORT_DAY = new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric" });
+const MONTH_YEAR = new Intl.DateTimeFormat("en-US", { month: "short", year: "numeric" });
+const shortDay = (d) => SHORT_DAY.format(d);
+
+/**
+ * The bucket a date falls in: { key, start, label }. Keys sort chronologically as strings
+ * (yyyy-mm-dd, yyyy-Www, yyyy-mm, or "0".."6" for Mon..Sun); start is the bucket's first day.
+ */
+export function bucketFor(d, granularity) {
+  if (granularity === "week") {
+    const start = startOfIsoWeek(d);
+    const { year, week } = isoWeek(d);
+    return { key: `${year}-W${pad(week)}`, start: formatDay(start), label: `W${week} (${shortDay(start)})` };
+  }
+  if (granularity === "month") {
+    const start = new Date(d.getFullYear(), d.getMonth(), 1);
+    return {
+      key: `${d.getFullYear()}-${pad(d.getMonth() + 1)}`,
+      start: formatDay(start),
+      label: MONTH_YEAR.format(start),
+    };
+  }
+  if (granularity === "dow") {
+    const i = (d.getDay() + 6) % 7;
+    return { key: String(i), start: "", label: WEEKDAYS[i] };
+  }
+  return { key: formatDay(d), start: formatDay(d), label: shortDay(d) };
+}
+
+// A number identifying the bucket d falls in, cheap enough to compute for every row. Days count from
+// 1970-01-01 (a Thursday), so day + 3 is a multiple of 7 on Mondays.
+function bucketId(d, granularity) {
+  if (granularity === "dow") return d.getDay();
+  if (granularity === "month") return d.getFullYear() * 12 + d.getMonth();
+  const day = Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY_MS;
+  return granularity === "week" ? Math.floor((day + 3) / 7) : day;
+}
+
+// Totals per bucket, counting each payment once per bucket (a split payment repeats its amount per facility row).
+// patientTotal / insuranceTotal split the same total by payer group (lib/payerCategory).
+export function trendSeries(filtered, granularity = "day", dateField = "dateEntered") {
+  const buckets = new Map();
+  const seenPayments = new Set();
+
+  for (const r of filtered) {
+    const d = r[dateField];
+    if (!d) continue;
+    const id = bucketId(d, granularity);
+    const paymentKey = `${id}-${r.paymentId}`;
+    if (seenPayments.has(paymentKey)) continue;
+    seenPayments.add(paymentKey);
+    let entry = buckets.get(id);
+    if (!entry) {
+      // Key, start and label are only built for a bucket's first row
+      entry = { ...bucketFor(d, granularity), total: 0, count: 0, patientTotal: 0, insuranceTotal: 0 };
+      buckets.set(id, entry);
+    }
+    entry.total += r.paymentAmount;
+    entry[payerGroupOf(r) === "patient" ? "patientTotal" : "insuranceTotal"] += r.paymentAmount;
+    entry.count += 1;
+  }
+  return Array.from(buckets.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Trailing mean of `total` over the last `window` buckets (fewer at the start of the series)
+export function withMovingAverage(series, window) {
+  if (!window) return series;
+  return series.map((entry, i) => {
+    const slice = series.slice(Math.max(0, i - window + 1), i + 1).filter((e) => e.total != null);
+    const movingAverage = slice.length ? slice.reduce((sum, e) => sum + e.total, 0) / slice.length : null;
+    return { ...entry, movingAverage };
+  });
+}
+
+// Position of a bucket counted from the bucket holding periodStart (yyyy-mm-dd), so two periods
+// can be lined up: day 0 of this week with day 0 of last week, month 0 with month 0, and so on.
+export function bucketOffset(granularity, periodStart, bucket) {
+  if (granularity === "dow") return Number(bucket.key);
+  const start = parseDay(periodStart);
+  const bucketStart = parseDay(bucket.start);
+  if (granularity === "week") return Math.round(daysBetween(startOfIsoWeek(start), bucketStart) / 7);
+  if (granularity === "month") {
+    return (bucketStart.getFullYear() - start.getFullYear()) * 12 + bucketStart.getMonth() - start.getMonth();
+  }
+  return daysBetween(start, bucketStart);
+}
+
+// Inverse of bucketOffset: the bucket `offset` steps after the one holding periodStart
+export function bucketAtOffset(granularity, periodStart, offset) {
+  if (granularity === "dow") return bucketFor(addDays(new Date(2024, 0, 1), offset), "dow"); // Jan 1 2024 is a Monday
+  const start = parseDay(periodStart);
+  if (granularity === "week") return bucketFor(addDays(startOfIsoWeek(start), offset * 7), "week");
+  if (granularity === "month") return bucketFor(new Date(start.getFullYear(), start.getMonth() + offset, 1), "month");
+  return bucketFor(addDays(start, offset), "day");
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { parseDay } from "./dates";
+import { bucketFor, trendSeries, withMovingAverage, bucketOffset, normalizeTrendOptions } from "./trend";
+
+const row = (paymentId, dateEntered, paymentAmount, extra = {}) => ({ paymentId, dateEntered, paymentAmount, ...extra });
+
+describe("bucketFor", () => {
+  it("uses ISO weeks that start on Monday and can belong to the previous year", () => {
+    expect(bucketFor(parseDay("2025-08-17"), "week")).toMatchObject({ key: "2025-W33", start: "2025-08-11" }); // a Sunday
+    expect(bucketFor(parseDay("2021-01-01"), "week")).toMatchObject({ key: "2020-W53", start: "2020-12-28" });
+  });
+
+  it("buckets months and weekdays", () => {
+    expect(bucketFor(parseDay("2025-08-17"), "month")).toMatchObject({ key: "2025-08", start: "2025-08-01", label: "Aug 2025" });
+    expect(bucketFor(parseDay("2025-08-17"), "dow")).toMatchObject({ key: "6", label: "Sun" });
+  });
+
+  it("keeps a late-evening entry on its local day", () => {
+    expect(bucketFor(new Date(2025, 7, 11, 23, 30), "day").key).toBe("2025-08-11");
+  });
+});
+
+describe("trendSeries", () => {
+  const rows = [
+    row("1", new Date(2025, 7, 11), 100, { paymentDate: new Date(2025, 7, 8) }),
+    row("1", new Date(2025, 7, 11), 100, { paymentDate: new Date(2025, 7, 8) }), // second facility of the same payment
+    row("2", new Date(2025, 7, 12), 50, { paymentDate: new Date(2025, 7, 12) }),
+    row("3", new Date(2025, 7, 19), 25, { paymentDate: null }),
+  ];
+
+  it("counts each payment once per bucket", () => {
+    expect(trendSeries(rows, "day").map((b) => [b.key, b.total, b.count])).toEqual([
+      ["2025-08-11", 100, 1],
+      ["2025-08-12", 50, 1],
+      ["2025-08-19", 25, 1],
+    ]);
+    expect(trendSeries(rows, "week").map((b) => [b.key, b.total])).toEqual([
+      ["2025-W33", 150],
+      ["2025-W34", 25],
+    ]);
+  });
+
+  it("keeps an ISO week together across New Year", () => {
+    const series = trendSeries([row("1", new Date(2020, 11, 31), 10), row("2", new Date(2021, 0, 3, 23), 5), row("3", new Date(2021, 0, 4), 1)], "week");
+    expect(series.map((b) => [b.key, b.start, b.total])).toEqual([["2020-W53", "2020-12-28", 15], ["2021-W01", "2021-01-04", 1]]);
+  });
+
+  it("can bucket by Payment Date, skipping rows without one", () => {
+    expect(trendSeries(rows, "day", "paymentDate").map((b) => b.key)).toEqual(["2025-08-08", "2025-08-12"]);
+  });
+});
+
+describe("withMovingAverage", () => {
+  it("averages the trailing window", () => {
+    const series = [{ total: 10 }, { total: 20 }, { total: 60 }];
+    expect(withMovingAverage(series, 2).map((b) => b.movingAverage)).toEqual([10, 15, 40]);
+    expect(withMovingAverage(series, 0)).toBe(series);
+  });
+});
+
+describe("bucketOffset", () => {
+  it("counts weeks and months from the period start", () => {
+    expect(bucketOffset("week", "2025-08-13", { start: "2025-08-25" })).toBe(2);
+    expect(bucketOffset("month", "2024-11-15", { start: "2025-02-01" })).toBe(3);
+  });
+
+  it("falls back to defaults for unknown options", () => {
+    expect(normalizeTrendOptions({ granularity: "hour", movingAverage: 5 })).toEqual({ granularity: "day", movingAverage: 0 });
+  });
+});
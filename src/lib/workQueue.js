@@ -0,0 +1,79 @@
+// Unapplied payments work queue: every payment with money left to apply, how long it has been waiting,
+// and the billing team's follow-up (assignee, status, notes). Follow-ups are stored by paymentId, so
+// they carry over when a newer report with the same payments is uploaded.
+import { daysBetween } from "./dates";
+
+export const AGING_BUCKETS = [
+  { key: "0-7", label: "0–7 days", maxDays: 7 },
+  { key: "8-30", label: "8–30 days", maxDays: 30 },
+  { key: "31-60", label: "31–60 days", maxDays: 60 },
+  { key: "61+", label: "61+ days", maxDays: Infinity },
+];
+
+export const WORK_STATUSES = { open: "Open", researching: "Researching", resolved: "Resolved" };
+
+const EMPTY_ITEM = { status: "open", assignee: "", notes: "" };
+
+// Days since the payment date (Date Entered when there is none), or null when neither is known
+export function ageInDays(payment, today = new Date()) {
+  const d = payment.paymentDate || payment.dateEntered;
+  if (!d) return null;
+  return Math.max(0, daysBetween(d, today));
+}
+
+export function agingBucket(days) {
+  if (days === null) return null;
+  return AGING_BUCKETS.find((b) => days <= b.maxDays).key;
+}
+
+// Stored work items read back: an unknown status reopens the item, and items saved before a field
+// existed get it empty
+export function normalizeWorkItems(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  for (const [paymentId, item] of Object.entries(input)) {
+    if (!item || typeof item !== "object") continue;
+    out[paymentId] = {
+      status: WORK_STATUSES[item.status] ? item.status : EMPTY_ITEM.status,
+      assignee: typeof item.assignee === "string" ? item.assignee : "",
+      notes: typeof item.notes === "string" ? item.notes : "",
+      updatedAt: typeof item.updatedAt === "string" ? item.updatedAt : "",
+    };
+  }
+  return out;
+}
+
+export function workItemFor(items, paymentId) {
+  return items[paymentId] || EMPTY_ITEM;
+}
+
+// Items with paymentId's follow-up patched; an item back at the defaults is dropped
+export function updateWorkItem(items, paymentId, patch, now = new Date()) {
+  const item = { ...workItemFor(items, paymentId), ...patch };
+  const next = { ...items };
+  if (item.status === EMPTY_ITEM.status && !item.assignee.trim() && !item.notes.trim()) delete next[paymentId];
+  else next[paymentId] = { ...item, updatedAt: now.toISOString() };
+  return next;
+}
+
+/**
+ * Queue rows: the unapplied payments (see unappliedByPayment in lib/aggregate) joined with their
+ * follow-up, plus ageDays / aging. Aging is in whole local days from `today`.
+ */
+export function buildWorkQueue(unapplied, items, today = new Date()) {
+  return unapplied.map((p) => {
+    const ageDays = ageInDays(p, today);
+    return { ...p, ...workItemFor(items, p.paymentId), ageDays, aging: agingBucket(ageDays) };
+  });
+}
+
+// Count and unapplied total per aging bucket, for the summary chips
+export function agingSummary(queue) {
+  const out = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, { count: 0, amount: 0 }]));
+  for (const q of queue) {
+    if (!q.aging) continue;
+    out[q.aging].count++;
+    out[q.aging].amount += q.unapplied;
+  }
+  return out;
+}
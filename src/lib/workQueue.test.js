@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { ageInDays, agingBucket, buildWorkQueue, agingSummary, updateWorkItem, normalizeWorkItems } from "./workQueue";
+
+const today = new Date(2025, 8, 15, 9, 30);
+
+describe("aging", () => {
+  it("counts whole days since the payment date and buckets them", () => {
+    expect(ageInDays({ paymentDate: new Date(2025, 8, 8, 23, 0) }, today)).toBe(7);
+    expect(ageInDays({ paymentDate: null, dateEntered: new Date(2025, 7, 16) }, today)).toBe(30);
+    expect(ageInDays({ paymentDate: null, dateEntered: null }, today)).toBeNull();
+    expect([0, 7, 8, 30, 31, 60, 61].map(agingBucket)).toEqual(["0-7", "0-7", "8-30", "8-30", "31-60", "31-60", "61+"]);
+  });
+
+  it("joins follow-ups by paymentId and sums unapplied per bucket", () => {
+    const unapplied = [
+      { paymentId: "1", paymentDate: new Date(2025, 8, 14), unapplied: 50 },
+      { paymentId: "2", paymentDate: new Date(2025, 5, 1), unapplied: 20 },
+    ];
+    const items = updateWorkItem({}, "2", { status: "researching", assignee: "Dana" }, today);
+    const queue = buildWorkQueue(unapplied, items, today);
+    expect(queue.map((q) => [q.paymentId, q.aging, q.status, q.assignee])).toEqual([
+      ["1", "0-7", "open", ""],
+      ["2", "61+", "researching", "Dana"],
+    ]);
+    expect(agingSummary(queue)["61+"]).toEqual({ count: 1, amount: 20 });
+  });
+});
+
+describe("follow-up items", () => {
+  it("drops an item reset to the defaults and survives a storage round trip", () => {
+    let items = updateWorkItem({}, "7", { notes: "called payer" }, today);
+    expect(normalizeWorkItems(JSON.parse(JSON.stringify(items)))).toEqual(items);
+    items = updateWorkItem(items, "7", { notes: "" }, today);
+    expect(items).toEqual({});
+    expect(normalizeWorkItems({ 9: { status: "bogus", assignee: 3 } })).toEqual({
+      9: { status: "open", assignee: "", notes: "", updatedAt: "" },
+    });
+  });
+});
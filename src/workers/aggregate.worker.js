@@ -0,0 +1,52 @@
+// Long-lived worker holding the merged rows; answers filter states with the table order + chart/KPI series.
+//   { type: "rows", version, rows }               replace the rows (sent once per dataset change)
+//   { type: "compareRows", version, rows }        rows of the dataset picked for comparison, or null
+//   { type: "aggregate", version, requestId, filters, grouped, compare, granularity }
+// Replies { type: "result", version, requestId, aggregates }, or { type: "error", version, requestId, message }
+// when the request could not be computed. aggregates.order is an Int32Array whose buffer is transferred. Requests that arrive while one is queued replace it, so typing only computes the last.
+import { computeAggregates, computeComparison } from "../lib/aggregate";
+
+let rows = [];
+let compareRows = null;
+let rowsVersion = 0;
+let pending = null;
+
+function run() {
+  const request = pending;
+  pending = null;
+  if (!request || request.version !== rowsVersion) return;
+  try {
+    const { order, ...series } = computeAggregates(rows, request.filters, {
+      grouped: request.grouped,
+      granularity: request.granularity,
+      facets: true,
+    });
+    const comparison = computeComparison(rows, compareRows, request.filters, request.compare, series, { granularity: request.granularity });
+    const aggregates = { ...series, comparison, order: Int32Array.from(order) };
+    self.postMessage(
+      { type: "result", version: request.version, requestId: request.requestId, aggregates },
+      [aggregates.order.buffer]
+    );
+  } catch (err) {
+    self.postMessage({
+      type: "error",
+      version: request.version,
+      requestId: request.requestId,
+      message: err && err.message ? err.message : String(err),
+    });
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "rows") {
+    rows = msg.rows;
+    rowsVersion = msg.version;
+  } else if (msg.type === "compareRows") {
+    compareRows = msg.rows;
+    rowsVersion = msg.version;
+  } else if (msg.type === "aggregate") {
+    if (!pending) setTimeout(run, 0);
+    pending = msg;
+  }
+};
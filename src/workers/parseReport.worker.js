@@ -0,0 +1,18 @@
+// One worker per upload: read + parse a report file off the main thread.
+// Posts { type: "progress", progress } while reading, then { type: "done", payments, warnings, totals }
+// or { type: "error", message }. The page cancels an upload by terminating the worker.
+import { readReportRows } from "../lib/reportFiles";
+import { parsePaymentsReport } from "../lib/parsePaymentsReport";
+
+self.onmessage = async (e) => {
+  const { file } = e.data;
+  try {
+    // Reading is most of the work; the parse pass is the last 10%
+    const raw = await readReportRows(file, (fraction) => self.postMessage({ type: "progress", progress: fraction * 0.9 }));
+    self.postMessage({ type: "progress", progress: 0.9 });
+    const { payments, warnings, totals } = parsePaymentsReport(raw);
+    self.postMessage({ type: "done", payments, warnings, totals });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err && err.message ? err.message : String(err) });
+  }
+};